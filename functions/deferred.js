@@ -0,0 +1,13 @@
+// Notifications held back during quiet hours (important events only, see events.js)
+// go out once the user's quiet hours have ended.
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { logger } from 'firebase-functions';
+import { db, sendPending } from './notify.js';
+
+export const pendingNotifications = onSchedule({ schedule: 'every 15 minutes' }, async () => {
+    const snapshot = await db.collection('users').where('hasPendingNotifications', '==', true).get();
+    const results = await Promise.allSettled(snapshot.docs.map(sendPending));
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => logger.error('Held notifications failed', { error: String(result.reason) }));
+});
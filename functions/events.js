@@ -0,0 +1,51 @@
+// Which follower notifications a cat change produces. Kept free of Firebase so the
+// rules of thumb are easy to read: one event per kind at most.
+
+// Needs values are the Korean strings stored by the app (src/catFilters.js NEEDS_OPTIONS)
+const URGENT_NEED = '즉시 치료 필요';
+const HELP_NEEDS = ['중성화 필요', '주기적 길냥이 집사 필요'];
+
+// A feeding after this long without one is worth telling followers about.
+// Matches FED_STALE_HOURS in src/catMarkers.js.
+export const CARE_GAP_HOURS = 72;
+
+// Lifecycle states followers are told about
+export const NOTIFY_STATUSES = ['deceased', 'adopted', 'missing'];
+
+const HOUR = 60 * 60 * 1000;
+const feedingMillis = (cat) => (cat && cat.lastFeeding && cat.lastFeeding.at ? cat.lastFeeding.at.toMillis() : null);
+
+// Events that should not wait until morning: held during the follower's quiet hours and
+// sent when they end (functions/notify.js). Other events are dropped during quiet hours.
+export const isImportantEvent = (event) =>
+    event.type === 'urgent' || (event.type === 'status' && event.status === 'deceased');
+
+// Events for a newly registered cat (area followers only)
+export const getNewCatEvents = (cat) => {
+    if (cat.hidden) return [];
+    if (cat.needs === URGENT_NEED) return [{ type: 'urgent' }];
+    if (HELP_NEEDS.includes(cat.needs)) return [{ type: 'help' }];
+    return [];
+};
+
+export const getCatUpdateEvents = (before, after) => {
+    // Moderated, merged and deleted records stay silent
+    if (after.hidden || after.mergedInto || after.deleted) return [];
+    const events = [];
+
+    if (after.needs !== before.needs) {
+        if (after.needs === URGENT_NEED) events.push({ type: 'urgent' });
+        else if (HELP_NEEDS.includes(after.needs)) events.push({ type: 'help' });
+    }
+
+    const previousFeeding = feedingMillis(before);
+    const latestFeeding = feedingMillis(after);
+    if (previousFeeding && latestFeeding && latestFeeding - previousFeeding >= CARE_GAP_HOURS * HOUR) {
+        events.push({ type: 'careGap', days: Math.floor((latestFeeding - previousFeeding) / (24 * HOUR)) });
+    }
+
+    if (after.status !== before.status && NOTIFY_STATUSES.includes(after.status)) {
+        events.push({ type: 'status', status: after.status });
+    }
+    return events;
+};
@@ -0,0 +1,19 @@
+// Push notifications for followed cats and areas (see src/notifications.js for the client side),
+// the hourly feeding roster job (roster.js), and the job sending what quiet hours held back (deferred.js).
+// Followers are in `follows`; preferences, quiet hours and FCM tokens on users/{uid}.
+import { onDocumentCreated, onDocumentUpdated } from 'firebase-functions/v2/firestore';
+import { getNewCatEvents, getCatUpdateEvents } from './events.js';
+import { notifyFollowers } from './notify.js';
+
+export { rosterReminders } from './roster.js';
+export { pendingNotifications } from './deferred.js';
+
+export const onCatCreated = onDocumentCreated('cats/{catId}', (event) => {
+    const cat = event.data.data();
+    return notifyFollowers(event.params.catId, cat, getNewCatEvents(cat), { includeCatFollowers: false });
+});
+
+export const onCatUpdated = onDocumentUpdated('cats/{catId}', (event) => {
+    const after = event.data.after.data();
+    return notifyFollowers(event.params.catId, after, getCatUpdateEvents(event.data.before.data(), after));
+});
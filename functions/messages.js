@@ -0,0 +1,33 @@
+// Notification texts. `language` is saved with the preferences from the app's language toggle.
+const STATUS_BODIES = {
+    ko: { adopted: '입양되었어요.', deceased: '무지개다리를 건넜어요.', missing: '실종되었어요. 보시면 알려주세요.' },
+    en: { adopted: 'Has been adopted.', deceased: 'Has passed away.', missing: 'Has gone missing. Let us know if you see it.' },
+};
+
+const MESSAGES = {
+    ko: {
+        urgent: (name) => ({ title: `🚨 ${name}`, body: '즉시 치료가 필요해요.' }),
+        help: (name) => ({ title: `🆘 ${name}`, body: '도움을 요청하고 있어요.' }),
+        careGap: (name, event) => ({ title: `🍚 ${name}`, body: `${event.days}일 만에 밥을 먹었어요.` }),
+        status: (name, event) => ({
+            title: `🐾 ${name}`,
+            body: STATUS_BODIES.ko[event.status],
+        }),
+        rosterReminder: (name) => ({ title: `📅 ${name}`, body: '1시간 뒤 급식 당번이에요.' }),
+        rosterMissed: (name, event) => ({ title: `⏰ ${name}`, body: `${event.nickname}님 당번 시간에 급식 기록이 없어요. 대신 챙겨주실 수 있나요?` }),
+    },
+    en: {
+        urgent: (name) => ({ title: `🚨 ${name}`, body: 'Needs treatment right away.' }),
+        help: (name) => ({ title: `🆘 ${name}`, body: 'Is asking for help.' }),
+        careGap: (name, event) => ({ title: `🍚 ${name}`, body: `Was fed again after ${event.days} days.` }),
+        status: (name, event) => ({
+            title: `🐾 ${name}`,
+            body: STATUS_BODIES.en[event.status],
+        }),
+        rosterReminder: (name) => ({ title: `📅 ${name}`, body: 'Your feeding slot starts in an hour.' }),
+        rosterMissed: (name, event) => ({ title: `⏰ ${name}`, body: `No feeding was logged in ${event.nickname}'s slot. Can you step in?` }),
+    },
+};
+
+export const buildMessage = (language, cat, event) =>
+    (MESSAGES[language] || MESSAGES.ko)[event.type](cat.name || '', event);
@@ -0,0 +1,116 @@
+// Shared by the triggers: follower lookup and sending, honoring preferences and quiet hours.
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { getMessaging } from 'firebase-admin/messaging';
+import { logger } from 'firebase-functions';
+import { setGlobalOptions } from 'firebase-functions/v2';
+import { geohashQueryBounds, distanceBetween } from 'geofire-common';
+import { buildMessage } from './messages.js';
+import { isImportantEvent } from './events.js';
+
+initializeApp();
+export const db = getFirestore();
+
+// Imported first by every trigger module, so the region applies to all of them
+setGlobalOptions({ region: 'asia-northeast3' });
+
+// Largest area a user can follow; keep in sync with AREA_RADIUS_OPTIONS_KM in src/notifications.js
+const MAX_AREA_RADIUS_KM = 3;
+const DEFAULT_TIME_ZONE = 'Asia/Seoul';
+
+export const catFollowers = async (catId) => {
+    const snapshot = await db.collection('follows').where('catId', '==', catId).get();
+    return snapshot.docs.map(doc => doc.data().uid);
+};
+
+// Area follows are stored with the geohash of their center; query around the cat
+// with the largest radius, then keep the ones whose own radius covers it
+const areaFollowers = async (cat) => {
+    if (typeof cat.lat !== 'number' || typeof cat.lng !== 'number') return [];
+    const center = [cat.lat, cat.lng];
+    const snapshots = await Promise.all(geohashQueryBounds(center, MAX_AREA_RADIUS_KM * 1000).map(([start, end]) =>
+        db.collection('follows').orderBy('geohash').startAt(start).endAt(end).get()
+    ));
+    return snapshots
+        .flatMap(snapshot => snapshot.docs.map(doc => doc.data()))
+        .filter(follow => distanceBetween([follow.lat, follow.lng], center) <= follow.radiusKm)
+        .map(follow => follow.uid);
+};
+
+// "HH:MM" in the user's time zone; quiet hours may wrap past midnight (22:00-07:00)
+const isQuietNow = (quietHours, timeZone) => {
+    if (!quietHours || !quietHours.enabled) return false;
+    const now = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timeZone || DEFAULT_TIME_ZONE,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).format(new Date());
+    const { start, end } = quietHours;
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+};
+
+const INVALID_TOKEN_CODES = ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'];
+
+// Data-only message: public/sw.js shows it and opens `data.link` on click
+const deliver = async (userRef, tokens, data) => {
+    const response = await getMessaging().sendEachForMulticast({ tokens, data });
+    const stale = tokens.filter((token, i) => {
+        const { error } = response.responses[i];
+        return error && INVALID_TOKEN_CODES.includes(error.code);
+    });
+    if (stale.length > 0) await userRef.update({ pushTokens: FieldValue.arrayRemove(...stale) });
+};
+
+// `link` is the app path opened from the notification; feeding spots pass `spot/${id}`
+export const sendToUser = async (uid, catId, cat, events, link = `cat/${catId}`) => {
+    const userRef = db.collection('users').doc(uid);
+    const userSnap = await userRef.get();
+    if (!userSnap.exists) return;
+    const account = userSnap.data();
+    const tokens = account.pushTokens || [];
+    if (tokens.length === 0 || account.banned) return;
+
+    const prefs = account.notificationPrefs || {};
+    const wanted = events.filter(event => prefs[event.type] !== false);
+    const isQuiet = isQuietNow(account.quietHours, account.timeZone);
+
+    // One notification per change: the first wanted event is the most important one
+    const event = isQuiet ? wanted.find(isImportantEvent) : wanted[0];
+    if (!event) return;
+    const { title, body } = buildMessage(account.language, cat, event);
+    const data = { title, body, link, tag: `${catId}:${event.type}` };
+
+    // Held under its tag, so a later change of the same kind replaces it
+    if (isQuiet) {
+        await userRef.update({ [`pendingNotifications.${data.tag}`]: data, hasPendingNotifications: true });
+        return;
+    }
+    await deliver(userRef, tokens, data);
+};
+
+// Sends what was held during quiet hours once they are over (deferred.js)
+export const sendPending = async (userSnap) => {
+    const account = userSnap.data();
+    if (isQuietNow(account.quietHours, account.timeZone)) return;
+    const tokens = account.pushTokens || [];
+    const pending = Object.values(account.pendingNotifications || {});
+    // Cleared first: a failed send is not retried every few minutes
+    await userSnap.ref.update({ pendingNotifications: FieldValue.delete(), hasPendingNotifications: FieldValue.delete() });
+    if (tokens.length === 0 || account.banned) return;
+    for (const data of pending) {
+        await deliver(userSnap.ref, tokens, data);
+    }
+};
+
+export const notifyFollowers = async (catId, cat, events, { includeCatFollowers = true } = {}) => {
+    if (events.length === 0) return;
+    const uids = new Set([
+        ...(includeCatFollowers ? await catFollowers(catId) : []),
+        ...await areaFollowers(cat),
+    ]);
+    const results = await Promise.allSettled([...uids].map(uid => sendToUser(uid, catId, cat, events)));
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => logger.error('Push notification failed', { catId, error: String(result.reason) }));
+};
@@ -0,0 +1,86 @@
+// Hourly roster job: reminds caretakers an hour before their slot and tells the others
+// (a cat's followers, a feeding spot's caretakers) when a claimed slot passed without a
+// feeding. Slots are `${weekday}_${hour}` keys in Korean time; keep the values in sync with src/roster.js.
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { logger } from 'firebase-functions';
+import { db, catFollowers, sendToUser } from './notify.js';
+
+const ROSTER_HOURS = ['08', '13', '19'];
+const ROSTER_TIME_ZONE = 'Asia/Seoul';
+const SLOT_EARLY_HOURS = 2;
+const SLOT_GRACE_HOURS = 3;
+const HOUR = 60 * 60 * 1000;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Roster key of the slot starting at `date`, or null when no slot starts then
+const slotKeyAt = (date) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: ROSTER_TIME_ZONE,
+        weekday: 'short',
+        hour: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    return ROSTER_HOURS.includes(parts.hour) ? `${WEEKDAYS.indexOf(parts.weekday)}_${parts.hour}` : null;
+};
+
+// Cats and feeding spots (src/spots.js) both keep a roster
+const ROSTER_COLLECTIONS = ['cats', 'spots'];
+
+// Cats no longer on the street (src/lifecycle.js) need no feeding
+const INACTIVE_STATUSES = ['adopted', 'shelter', 'relocated', 'deceased'];
+
+const docsWithSlot = async (slotKey) => {
+    const snapshots = await Promise.all(ROSTER_COLLECTIONS.map(name =>
+        db.collection(name).where('rosterSlotKeys', 'array-contains', slotKey).get()
+    ));
+    return snapshots
+        .flatMap(snapshot => snapshot.docs)
+        .filter(doc => !doc.data().hidden && !doc.data().mergedInto && !doc.data().deleted
+            && !INACTIVE_STATUSES.includes(doc.data().status));
+};
+
+const isSpot = (doc) => doc.ref.parent.id === 'spots';
+
+const linkFor = (doc) => (isSpot(doc) ? `spot/${doc.id}` : `cat/${doc.id}`);
+
+const missedRecipients = async (doc) =>
+    (isSpot(doc) ? Object.keys(doc.data().managers || {}) : catFollowers(doc.id));
+
+const sendReminders = async (slotStart) => {
+    const slotKey = slotKeyAt(slotStart);
+    if (!slotKey) return;
+    const docs = await docsWithSlot(slotKey);
+    await Promise.allSettled(docs.map(doc => {
+        const target = doc.data();
+        return sendToUser(target.roster[slotKey].uid, doc.id, target, [{ type: 'rosterReminder', slotKey }], linkFor(doc));
+    }));
+};
+
+const sendMissed = async (slotStart) => {
+    const slotKey = slotKeyAt(slotStart);
+    if (!slotKey) return;
+    const docs = await docsWithSlot(slotKey);
+    await Promise.allSettled(docs.map(async (doc) => {
+        const target = doc.data();
+        const fedAt = target.lastFeeding && target.lastFeeding.at ? target.lastFeeding.at.toMillis() : 0;
+        if (fedAt >= slotStart.getTime() - SLOT_EARLY_HOURS * HOUR) return;
+
+        const claim = target.roster[slotKey];
+        const recipients = (await missedRecipients(doc)).filter(uid => uid !== claim.uid);
+        const event = { type: 'rosterMissed', nickname: claim.nickname || '' };
+        await Promise.allSettled(recipients.map(uid => sendToUser(uid, doc.id, target, [event], linkFor(doc))));
+    }));
+};
+
+export const rosterReminders = onSchedule({ schedule: '0 * * * *', timeZone: ROSTER_TIME_ZONE }, async (event) => {
+    const now = new Date(event.scheduleTime);
+    now.setMinutes(0, 0, 0);
+    const results = await Promise.allSettled([
+        sendReminders(new Date(now.getTime() + HOUR)),
+        sendMissed(new Date(now.getTime() - SLOT_GRACE_HOURS * HOUR)),
+    ]);
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => logger.error('Roster job failed', { error: String(result.reason) }));
+});
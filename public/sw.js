@@ -0,0 +1,137 @@
+// Service worker: keeps the app usable with poor signal.
+// - App shell (index.html): network first, cached copy when offline
+// - Built assets under /assets/ (hashed, incl. the hospital dataset chunk): cache first
+// - Map tiles the user has looked at: cache first, capped at MAX_TILES
+// - Web fonts: stale-while-revalidate
+// Firestore and Storage traffic is left alone; Firestore keeps its own offline cache.
+// Also shows the follow notifications pushed by functions/index.js.
+const VERSION = 'v2';
+const SHELL_CACHE = `shell-${VERSION}`;
+const ASSET_CACHE = `assets-${VERSION}`;
+const TILE_CACHE = `tiles-${VERSION}`;
+const FONT_CACHE = `fonts-${VERSION}`;
+const CACHES = [SHELL_CACHE, ASSET_CACHE, TILE_CACHE, FONT_CACHE];
+
+const MAX_TILES = 2000;
+const SHELL_FILES = ['./', 'index.html', 'manifest.json'];
+// Referenced by index.html and the manifest but not shipped in public/ yet
+const OPTIONAL_SHELL_FILES = ['favicon.ico', 'logo192.png'];
+const TILE_HOSTS = /\.basemaps\.cartocdn\.com$/;
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => Promise.all([
+                cache.addAll(SHELL_FILES.map(scopeUrl)),
+                // One by one, so a missing icon cannot fail the install
+                ...OPTIONAL_SHELL_FILES.map(file => cache.add(scopeUrl(file)).catch(() => {})),
+            ]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !CACHES.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Drops the oldest entries (insertion order) once the cache is over `max`.
+// Listing a cache is not cheap, so it only runs every TRIM_EVERY stored tiles.
+const TRIM_EVERY = 50;
+let storedSinceTrim = 0;
+const trimCache = async (cacheName, max) => {
+    if (++storedSinceTrim < TRIM_EVERY) return;
+    storedSinceTrim = 0;
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(key => cache.delete(key)));
+};
+
+const networkFirst = async (request, cacheName, fallbackUrl) => {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(fallbackUrl || request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(fallbackUrl || request);
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+const cacheFirst = async (request, cacheName, onStore) => {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    // Tiles are cross-origin without CORS: opaque responses are cached as they are
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        if (onStore) onStore();
+    }
+    return response;
+};
+
+const staleWhileRevalidate = async (request, cacheName) => {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const update = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    });
+    if (cached) {
+        update.catch(() => {});
+        return cached;
+    }
+    return update;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        // Every route (/cat/:id, /admin) is served by index.html, see public/_redirects
+        event.respondWith(networkFirst(request, SHELL_CACHE, scopeUrl('index.html')));
+    } else if (url.origin === self.location.origin && url.pathname.includes('/assets/')) {
+        event.respondWith(cacheFirst(request, ASSET_CACHE));
+    } else if (TILE_HOSTS.test(url.hostname)) {
+        event.respondWith(cacheFirst(request, TILE_CACHE, () => trimCache(TILE_CACHE, MAX_TILES)));
+    } else if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    }
+});
+
+// Push from functions/index.js: FCM data messages { title, body, link, tag }
+self.addEventListener('push', (event) => {
+    const payload = event.data ? event.data.json() : {};
+    const data = payload.data || {};
+    if (!data.title) return;
+    event.waitUntil(self.registration.showNotification(data.title, {
+        body: data.body,
+        tag: data.tag,
+        icon: scopeUrl('logo192.png'),
+        data: { link: data.link },
+    }));
+});
+
+// Focuses an open tab of the app when there is one, otherwise opens the cat's profile
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = scopeUrl(event.notification.data && event.notification.data.link ? event.notification.data.link : './');
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const client = windows.find(item => item.url.startsWith(self.registration.scope));
+            if (client) return client.navigate(url).then(navigated => (navigated || client).focus());
+            return self.clients.openWindow(url);
+        })
+    );
+});
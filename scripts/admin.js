@@ -0,0 +1,16 @@
+// Shared Admin SDK setup for the maintenance scripts in this folder.
+// Credentials come from GOOGLE_APPLICATION_CREDENTIALS (service account JSON).
+import { initializeApp, applicationDefault } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+
+const app = initializeApp({
+    credential: applicationDefault(),
+    projectId: process.env.VITE_FIREBASE_PROJECT_ID || process.env.GCLOUD_PROJECT,
+});
+
+export const db = getFirestore(app);
+
+export const isDryRun = process.argv.includes('--dry-run');
+
+// Firestore batches are capped at 500 writes
+export const BATCH_LIMIT = 400;
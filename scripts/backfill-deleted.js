@@ -0,0 +1,26 @@
+// One-time backfill: firestore.rules only let map and list queries through when they ask
+// for deleted == false, which cats created before soft delete do not match because they
+// have no `deleted` field. Usage: node scripts/backfill-deleted.js [--dry-run]
+import { db, isDryRun, BATCH_LIMIT } from './admin.js';
+
+const snapshot = await db.collection('cats').get();
+let batch = db.batch();
+let pending = 0;
+let updated = 0;
+
+for (const catDoc of snapshot.docs) {
+    if (typeof catDoc.data().deleted === 'boolean') continue;
+
+    batch.update(catDoc.ref, { deleted: false });
+    pending++;
+    updated++;
+
+    if (pending >= BATCH_LIMIT) {
+        if (!isDryRun) await batch.commit();
+        batch = db.batch();
+        pending = 0;
+    }
+}
+
+if (pending > 0 && !isDryRun) await batch.commit();
+console.log(`${isDryRun ? '[dry-run] ' : ''}deleted: false set on ${updated} of ${snapshot.size} cats.`);
@@ -0,0 +1,27 @@
+// One-time backfill: cats created before viewport loading have no `geohash`
+// and would never show up on the map. Usage: node scripts/backfill-geohash.js [--dry-run]
+import { geohashForLocation } from 'geofire-common';
+import { db, isDryRun, BATCH_LIMIT } from './admin.js';
+
+const snapshot = await db.collection('cats').get();
+let batch = db.batch();
+let pending = 0;
+let updated = 0;
+
+for (const catDoc of snapshot.docs) {
+    const { lat, lng, geohash } = catDoc.data();
+    if (geohash || typeof lat !== 'number' || typeof lng !== 'number') continue;
+
+    batch.update(catDoc.ref, { geohash: geohashForLocation([lat, lng]) });
+    pending++;
+    updated++;
+
+    if (pending >= BATCH_LIMIT) {
+        if (!isDryRun) await batch.commit();
+        batch = db.batch();
+        pending = 0;
+    }
+}
+
+if (pending > 0 && !isDryRun) await batch.commit();
+console.log(`${isDryRun ? '[dry-run] ' : ''}geohash set on ${updated} of ${snapshot.size} cats.`);
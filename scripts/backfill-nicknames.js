@@ -0,0 +1,41 @@
+// One-time backfill: users who signed up before nickname claims existed have no
+// nicknames/{nickname} document, so the sign-up check would not see their nickname.
+// The first user (by createdAt) keeps a nickname shared by several accounts.
+// Usage: node scripts/backfill-nicknames.js [--dry-run]
+import { db, isDryRun, BATCH_LIMIT } from './admin.js';
+
+const [usersSnapshot, claimedSnapshot] = await Promise.all([
+    db.collection('users').get(),
+    db.collection('nicknames').get(),
+]);
+const claimed = new Set(claimedSnapshot.docs.map(nicknameDoc => nicknameDoc.id));
+let batch = db.batch();
+let pending = 0;
+let created = 0;
+let skipped = 0;
+
+// createdAt is an ISO string; documents without one go last
+const byCreatedAt = (a, b) => String(a.data().createdAt || '~').localeCompare(String(b.data().createdAt || '~'));
+
+for (const userDoc of [...usersSnapshot.docs].sort(byCreatedAt)) {
+    const { nickname } = userDoc.data();
+    if (!nickname || claimed.has(nickname)) continue;
+    if (nickname.includes('/') || nickname.length > 30) {
+        skipped++;
+        continue;
+    }
+
+    batch.set(db.collection('nicknames').doc(nickname), { uid: userDoc.id });
+    claimed.add(nickname);
+    pending++;
+    created++;
+
+    if (pending >= BATCH_LIMIT) {
+        if (!isDryRun) await batch.commit();
+        batch = db.batch();
+        pending = 0;
+    }
+}
+
+if (pending > 0 && !isDryRun) await batch.commit();
+console.log(`${isDryRun ? '[dry-run] ' : ''}claimed ${created} nicknames for ${usersSnapshot.size} users (${skipped} not usable as ids).`);
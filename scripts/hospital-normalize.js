@@ -0,0 +1,138 @@
+// Pure helpers used by import-hospitals.js to clean up public animal-hospital rows.
+import proj4 from 'proj4';
+
+// The public dataset (and the legacy dump) store EPSG:5181-style TM coordinates.
+// Same definition the app used to apply at runtime before the data was pre-projected.
+proj4.defs("EPSG:5181", "+proj=tmerc +lat_0=38 +lon_0=127.0028902777778 +k=1 +x_0=200000 +y_0=500000 +ellps=bessel +units=m +no_defs +towgs84=-115.80,474.99,674.11,1.16,-2.31,-1.63,6.43");
+
+export const AREA_CODES = {
+    '서울': '02', '부산': '051', '대구': '053', '인천': '032', '광주': '062', '대전': '042',
+    '울산': '052', '세종': '044', '경기': '031', '강원': '033', '충북': '043', '충남': '041',
+    '전북': '063', '전남': '061', '경북': '054', '경남': '055', '제주': '064',
+};
+
+const REGION_ALIASES = [
+    ['서울', /^서울/], ['부산', /^부산/], ['대구', /^대구/], ['인천', /^인천/], ['광주', /^광주광역시/],
+    ['대전', /^대전/], ['울산', /^울산/], ['세종', /^세종/], ['경기', /^경기/], ['강원', /^강원/],
+    ['충북', /^(충북|충청북도)/], ['충남', /^(충남|충청남도)/], ['전북', /^(전북|전라북도)/],
+    ['전남', /^(전남|전라남도)/], ['경북', /^(경북|경상북도)/], ['경남', /^(경남|경상남도)/], ['제주', /^제주/],
+];
+
+// "전라남도 순천시 ..." -> "전남"
+export const regionFromAddress = (address) => {
+    if (!address) return null;
+    const trimmed = address.trim();
+    const match = REGION_ALIASES.find(([, pattern]) => pattern.test(trimmed));
+    return match ? match[0] : null;
+};
+
+// Rough boxes for the metropolitan cities, checked in order. Only used for rows
+// without an address (the legacy dump); provinces are left unknown on purpose
+// because a box is too coarse to pick the right area code near their borders.
+const METRO_BOXES = [
+    ['서울', 37.413, 37.715, 126.734, 127.269],
+    ['부산', 34.880, 35.390, 128.760, 129.310],
+    ['대구', 35.600, 36.020, 128.350, 128.770],
+    ['광주', 35.050, 35.260, 126.650, 127.020],
+    ['대전', 36.180, 36.500, 127.250, 127.560],
+    ['울산', 35.320, 35.730, 128.960, 129.470],
+    ['인천', 37.350, 37.600, 126.550, 126.800],
+    ['세종', 36.410, 36.730, 127.140, 127.400],
+];
+
+export const regionFromLocation = (lat, lng) => {
+    const match = METRO_BOXES.find(([, south, north, west, east]) =>
+        lat >= south && lat <= north && lng >= west && lng <= east);
+    return match ? match[0] : null;
+};
+
+const formatDigits = (digits) => {
+    if (digits.startsWith('02')) {
+        return `02-${digits.slice(2, -4)}-${digits.slice(-4)}`;
+    }
+    // Personal numbers (050x-xxx-xxxx, 050x-xxxx-xxxx) have a four-digit prefix
+    if (/^050\d/.test(digits)) {
+        return `${digits.slice(0, 4)}-${digits.slice(4, -4)}-${digits.slice(-4)}`;
+    }
+    if (digits.startsWith('0')) {
+        return `${digits.slice(0, 3)}-${digits.slice(3, -4)}-${digits.slice(-4)}`;
+    }
+    // Nationwide representative numbers (1588-xxxx etc.) have no area code
+    return `${digits.slice(0, 4)}-${digits.slice(4)}`;
+};
+
+// "062) 419-7582" -> "062-419-7582", "571-9114" + 광주 -> "062-571-9114".
+// Only the first number is kept when several are listed ("…,9" / "…~9").
+export const normalizePhone = (raw, region) => {
+    if (!raw) return '';
+    const first = raw.split(/[,~]/)[0].replace(/\(\d\)$/, '');
+    let digits = first.replace(/\D/g, '');
+
+    if (digits.length === 7 || digits.length === 8) {
+        if (/^1[5-8]\d{6}$/.test(digits)) return formatDigits(digits);
+        const areaCode = AREA_CODES[region];
+        if (!areaCode) return `${digits.slice(0, -4)}-${digits.slice(-4)}`;
+        digits = areaCode + digits;
+    } else if (/^[2-6]\d{8,9}$|^50\d{9}$/.test(digits)) {
+        // Area code typed without its leading zero ("559638875" -> 055-963-8875)
+        digits = `0${digits}`;
+    }
+
+    if (digits.length < 9 || digits.length > 12 || !digits.startsWith('0')) return '';
+    return formatDigits(digits);
+};
+
+export const projectToWgs84 = (x, y) => {
+    const [lng, lat] = proj4("EPSG:5181", "EPSG:4326", [x, y]);
+    return { lat: Math.round(lat * 1e6) / 1e6, lng: Math.round(lng * 1e6) / 1e6 };
+};
+
+export const HOSPITAL_FLAGS = { OPEN_24H: 1, HOUSE_CALL: 2 };
+
+export const flagsFromName = (name) =>
+    (/24\s*시|24\s*hour/i.test(name) ? HOSPITAL_FLAGS.OPEN_24H : 0) |
+    (name.includes('출장') ? HOSPITAL_FLAGS.HOUSE_CALL : 0);
+
+// Minimal RFC 4180 parser (quoted fields, escaped quotes, CRLF)
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...body] = rows;
+    return body
+        .filter(cells => cells.some(cell => cell.trim() !== ''))
+        .map(cells => Object.fromEntries(header.map((key, idx) => [key.trim(), (cells[idx] || '').trim()])));
+};
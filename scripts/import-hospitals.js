@@ -0,0 +1,88 @@
+// Builds src/data/hospitals.compact.json from the public animal-hospital dataset
+// (LOCALDATA "동물병원" CSV). The legacy JSON dump is accepted as input too.
+//
+// Usage: node scripts/import-hospitals.js <input.csv|input.json> [--encoding euc-kr] [--out <file>]
+import { readFileSync, writeFileSync } from 'node:fs';
+import {
+    parseCsv, normalizePhone, projectToWgs84, regionFromAddress, regionFromLocation, flagsFromName,
+} from './hospital-normalize.js';
+
+const DATASET_VERSION = 1;
+const DEFAULT_OUT = 'src/data/hospitals.compact.json';
+const OPEN_STATUS = '영업/정상';
+
+const getArg = (name, fallback) => {
+    const idx = process.argv.indexOf(name);
+    return idx > -1 ? process.argv[idx + 1] : fallback;
+};
+
+const inputPath = process.argv[2];
+if (!inputPath || inputPath.startsWith('--')) {
+    console.error('Usage: node scripts/import-hospitals.js <input.csv|input.json> [--encoding euc-kr] [--out <file>]');
+    process.exit(1);
+}
+const outPath = getArg('--out', DEFAULT_OUT);
+const encoding = getArg('--encoding', 'utf-8');
+
+// Both input formats are mapped to { name, phone, x, y, address, isOpen }
+const readCsvRows = () => {
+    const text = new TextDecoder(encoding).decode(readFileSync(inputPath)).replace(/^﻿/, '');
+    return parseCsv(text).map(row => ({
+        name: row['사업장명'],
+        phone: row['소재지전화'],
+        x: parseFloat(row['좌표정보(x)'] || row['좌표정보(X)']),
+        y: parseFloat(row['좌표정보(y)'] || row['좌표정보(Y)']),
+        address: row['도로명전체주소'] || row['소재지전체주소'],
+        isOpen: !row['영업상태명'] || row['영업상태명'] === OPEN_STATUS,
+    }));
+};
+
+// Legacy dump: `lat`/`lng` actually hold EPSG:5181 X/Y, no address or status
+const readLegacyRows = () => JSON.parse(readFileSync(inputPath, 'utf-8')).map(row => ({
+    name: row.name,
+    phone: row.phone,
+    x: row.lat,
+    y: row.lng,
+    address: null,
+    isOpen: true,
+}));
+
+const rawRows = inputPath.endsWith('.json') ? readLegacyRows() : readCsvRows();
+const stats = { input: rawRows.length, closed: 0, noLocation: 0, duplicates: 0 };
+const seen = new Set();
+const rows = [];
+
+for (const raw of rawRows) {
+    if (!raw.isOpen) {
+        stats.closed++;
+        continue;
+    }
+    if (!raw.name || !Number.isFinite(raw.x) || !Number.isFinite(raw.y)) {
+        stats.noLocation++;
+        continue;
+    }
+
+    const name = raw.name.trim();
+    const { lat, lng } = projectToWgs84(raw.x, raw.y);
+    const region = regionFromAddress(raw.address) || regionFromLocation(lat, lng);
+
+    // Same name within ~100m is the same clinic listed twice
+    const key = `${name.replace(/\s/g, '')}|${lat.toFixed(3)}|${lng.toFixed(3)}`;
+    if (seen.has(key)) {
+        stats.duplicates++;
+        continue;
+    }
+    seen.add(key);
+
+    rows.push([name, normalizePhone(raw.phone, region), lat, lng, region || '', flagsFromName(name)]);
+}
+
+const dataset = {
+    version: DATASET_VERSION,
+    generatedAt: new Date().toISOString(),
+    fields: ['name', 'phone', 'lat', 'lng', 'region', 'flags'],
+    rows,
+};
+
+writeFileSync(outPath, JSON.stringify(dataset));
+console.log(`Wrote ${rows.length} hospitals to ${outPath}`, stats);
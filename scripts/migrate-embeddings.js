@@ -0,0 +1,46 @@
+// One-time migration: moves the raw `embedding` arrays off cat documents into
+// cats/{id}/embeddings/{version} as int8 bytes and sets `embeddingVersion`.
+// No inference here; cats without a legacy array are embedded by the admin
+// console's re-embedding job. Usage: node scripts/migrate-embeddings.js [--dry-run]
+import { FieldValue } from 'firebase-admin/firestore';
+import { db, isDryRun, BATCH_LIMIT } from './admin.js';
+import { EMBEDDING_MODEL_VERSION, EMBEDDING_DIMS, quantizeEmbedding } from '../src/embeddingCodec.js';
+
+const snapshot = await db.collection('cats').get();
+let batch = db.batch();
+let pending = 0;
+let moved = 0;
+let dropped = 0;
+
+for (const catDoc of snapshot.docs) {
+    const { embedding } = catDoc.data();
+    if (!Array.isArray(embedding)) continue;
+
+    // Empty / malformed arrays (photo failed to load at registration) are just removed
+    if (embedding.length === EMBEDDING_DIMS) {
+        const { scale, bytes } = quantizeEmbedding(embedding);
+        batch.set(catDoc.ref.collection('embeddings').doc(EMBEDDING_MODEL_VERSION), {
+            version: EMBEDDING_MODEL_VERSION,
+            dims: embedding.length,
+            scale,
+            data: Buffer.from(bytes),
+            createdAt: FieldValue.serverTimestamp(),
+        });
+        batch.update(catDoc.ref, { embedding: FieldValue.delete(), embeddingVersion: EMBEDDING_MODEL_VERSION });
+        pending += 2;
+        moved++;
+    } else {
+        batch.update(catDoc.ref, { embedding: FieldValue.delete() });
+        pending++;
+        dropped++;
+    }
+
+    if (pending >= BATCH_LIMIT) {
+        if (!isDryRun) await batch.commit();
+        batch = db.batch();
+        pending = 0;
+    }
+}
+
+if (pending > 0 && !isDryRun) await batch.commit();
+console.log(`${isDryRun ? '[dry-run] ' : ''}moved ${moved} embeddings (${EMBEDDING_MODEL_VERSION}), dropped ${dropped} empty ones, ${snapshot.size} cats scanned.`);
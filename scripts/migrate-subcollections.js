@@ -0,0 +1,79 @@
+// One-time migration: moves the `careHistory` and `helpersList` arrays on cat
+// documents into cats/{id}/careLogs and cats/{id}/helpers, resets the
+// `caretakers` / `helpers` counters to the real counts and fills `lastFeeding`.
+// Legacy entries get deterministic ids (legacy-<index>), so re-running is safe.
+// Usage: node scripts/migrate-subcollections.js [--dry-run]
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { db, isDryRun, BATCH_LIMIT } from './admin.js';
+
+// Same rule as src/careLog.js: entries without types came from the old feeding button
+const FEEDING_TYPES = ['food', 'water'];
+const isFeedingEntry = (entry) => !entry.types || entry.types.length === 0
+    || entry.types.some(type => FEEDING_TYPES.includes(type));
+
+// Dates were entered in Korea, so read them as KST regardless of where this runs
+const entryTime = (entry) => new Date(`${entry.date}T${entry.time || '00:00'}:00+09:00`);
+
+const snapshot = await db.collection('cats').get();
+let batch = db.batch();
+let pending = 0;
+let migratedCats = 0;
+let movedLogs = 0;
+let movedHelpers = 0;
+
+const queue = async (write) => {
+    write(batch);
+    pending++;
+    if (pending >= BATCH_LIMIT) {
+        if (!isDryRun) await batch.commit();
+        batch = db.batch();
+        pending = 0;
+    }
+};
+
+for (const catDoc of snapshot.docs) {
+    const { careHistory, helpersList } = catDoc.data();
+    if (!Array.isArray(careHistory) && !Array.isArray(helpersList)) continue;
+
+    const careLogs = careHistory || [];
+    const helpers = helpersList || [];
+    let lastFeeding = null;
+
+    for (const [index, entry] of careLogs.entries()) {
+        const log = { ...entry, types: entry.types && entry.types.length > 0 ? entry.types : FEEDING_TYPES };
+        if (!log.createdAt) log.createdAt = Timestamp.fromDate(entryTime(entry));
+        await queue(b => b.set(catDoc.ref.collection('careLogs').doc(`legacy-${index}`), log));
+
+        const at = entryTime(entry);
+        if (isFeedingEntry(entry) && !isNaN(at) && (!lastFeeding || lastFeeding.at.toMillis() < at.getTime())) {
+            lastFeeding = { date: entry.date, time: entry.time, at: Timestamp.fromDate(at) };
+        }
+    }
+
+    // Old helper entries only carried a phone number, no uid
+    for (const [index, helper] of helpers.entries()) {
+        await queue(b => b.set(catDoc.ref.collection('helpers').doc(`legacy-${index}`), {
+            uid: null,
+            nickname: '',
+            phone: helper.phone || '',
+            createdAt: helper.createdAt || FieldValue.serverTimestamp(),
+        }));
+    }
+
+    // Written after the subcollection docs, so the arrays are only dropped once copied
+    const update = {
+        caretakers: careLogs.length,
+        helpers: helpers.length,
+        careHistory: FieldValue.delete(),
+        helpersList: FieldValue.delete(),
+    };
+    if (lastFeeding) update.lastFeeding = lastFeeding;
+    await queue(b => b.update(catDoc.ref, update));
+
+    migratedCats++;
+    movedLogs += careLogs.length;
+    movedHelpers += helpers.length;
+}
+
+if (pending > 0 && !isDryRun) await batch.commit();
+console.log(`${isDryRun ? '[dry-run] ' : ''}migrated ${migratedCats} of ${snapshot.size} cats: ${movedLogs} care logs, ${movedHelpers} helpers.`);
@@ -0,0 +1,399 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { collection, query, where, orderBy, limit, onSnapshot, getDocs } from "firebase/firestore";
+import { db } from './firebase';
+import { getCatPhotos } from './photos';
+import { CONDITION_OPTIONS, NEUTERED_OPTIONS, NEEDS_OPTIONS } from './catFilters';
+import { COAT_OPTIONS, COAT_UNKNOWN } from './coat';
+import { getReportReasonMeta } from './reports';
+import { hideCat, restoreCat, undeleteCat, purgeCat, mergeCat, dismissDuplicate, editCat, acceptTnrHint, dismissTnrHint, setUserBanned, logAdminJob } from './adminActions';
+import { runReembedJob } from './reembedJob';
+import { EMBEDDING_MODEL_VERSION } from './embeddingCodec';
+
+const PAGE_SIZE = 50;
+
+const TABS = [
+    { value: 'reported', labelKey: 'adminTabReported' },
+    { value: 'duplicates', labelKey: 'adminTabDuplicates' },
+    { value: 'tnr', labelKey: 'adminTabTnr' },
+    { value: 'hidden', labelKey: 'adminTabHidden' },
+    { value: 'deleted', labelKey: 'adminTabDeleted' },
+    { value: 'users', labelKey: 'adminTabUsers' },
+    { value: 'audit', labelKey: 'adminTabAudit' },
+    { value: 'embeddings', labelKey: 'adminTabEmbeddings' },
+];
+
+const TAB_QUERIES = {
+    reported: () => query(collection(db, "cats"), where("reportCount", ">", 0), orderBy("reportCount", "desc"), limit(PAGE_SIZE)),
+    duplicates: () => query(collection(db, "cats"), where("duplicateReview", "==", "pending"), limit(PAGE_SIZE)),
+    tnr: () => query(collection(db, "cats"), where("tnrReview", "==", "pending"), limit(PAGE_SIZE)),
+    hidden: () => query(collection(db, "cats"), where("hidden", "==", true), limit(PAGE_SIZE)),
+    deleted: () => query(collection(db, "cats"), where("deleted", "==", true), limit(PAGE_SIZE)),
+    users: () => query(collection(db, "users"), orderBy("createdAt", "desc"), limit(PAGE_SIZE * 2)),
+    audit: () => query(collection(db, "auditLogs"), orderBy("createdAt", "desc"), limit(PAGE_SIZE * 2)),
+};
+
+const formatTimestamp = (value) => {
+    if (!value) return '';
+    const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    return isNaN(date) ? '' : date.toLocaleString();
+};
+
+// Live list for the active tab; documents carry their id as `firestoreId` (cats) / `id`
+function useTabDocs(tab) {
+    const [docs, setDocs] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        setLoading(true);
+        const unsubscribe = onSnapshot(TAB_QUERIES[tab](), (querySnapshot) => {
+            setDocs(querySnapshot.docs.map(snapshot => ({ ...snapshot.data(), id: snapshot.id, firestoreId: snapshot.id })));
+            setLoading(false);
+        }, (error) => {
+            console.error(`Error loading admin tab ${tab}:`, error);
+            setDocs([]);
+            setLoading(false);
+        });
+        return () => unsubscribe();
+    }, [tab]);
+
+    return { docs, loading };
+}
+
+// Reasons and notes behind a cat's reportCount, loaded once per row
+function CatReports({ catId, t }) {
+    const [reports, setReports] = useState([]);
+
+    useEffect(() => {
+        const q = query(collection(db, "reports"), where("catId", "==", catId), where("status", "==", "open"));
+        getDocs(q)
+            .then(querySnapshot => setReports(querySnapshot.docs.map(reportDoc => ({ ...reportDoc.data(), id: reportDoc.id }))))
+            .catch(error => console.error("Error loading reports:", error));
+    }, [catId]);
+
+    if (reports.length === 0) return null;
+
+    return (
+        <ul className="admin-reports">
+            {reports.map(report => {
+                const reason = getReportReasonMeta(report.reason);
+                return (
+                    <li key={report.id}>
+                        <span className="admin-tag warn">{reason ? t[reason.labelKey] : report.reason}</span>
+                        {report.note && <span className="admin-meta"> {report.note}</span>}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+}
+
+function CatEditForm({ cat, t, onSave, onCancel }) {
+    const [form, setForm] = useState({
+        name: cat.name || '',
+        desc: cat.desc || '',
+        condition: cat.condition || CONDITION_OPTIONS[0],
+        neutered: cat.neutered || NEUTERED_OPTIONS[2],
+        needs: cat.needs || NEEDS_OPTIONS[0],
+        coat: cat.coat || COAT_UNKNOWN,
+    });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const changes = Object.fromEntries(Object.entries(form).filter(([key, value]) => value !== (cat[key] || (key === 'coat' ? COAT_UNKNOWN : ''))));
+        if (Object.keys(changes).length === 0) {
+            onCancel();
+            return;
+        }
+        onSave(changes);
+    };
+
+    const select = (key, options) => (
+        <select value={form[key]} onChange={(e) => setForm({ ...form, [key]: e.target.value })}>
+            {options.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+    );
+
+    return (
+        <form className="admin-edit-form" onSubmit={handleSubmit}>
+            <input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required maxLength={50} />
+            <textarea value={form.desc} onChange={(e) => setForm({ ...form, desc: e.target.value })} maxLength={1000} />
+            <div className="admin-edit-row">
+                {select('condition', CONDITION_OPTIONS)}
+                {select('neutered', NEUTERED_OPTIONS)}
+                {select('needs', NEEDS_OPTIONS)}
+                {select('coat', COAT_OPTIONS)}
+            </div>
+            <div className="admin-actions">
+                <button type="submit" className="admin-btn primary">{t.adminSave}</button>
+                <button type="button" className="admin-btn" onClick={onCancel}>{t.adminCancel}</button>
+            </div>
+        </form>
+    );
+}
+
+function AdminCatRow({ cat, tab, t, admin, onOpenCat }) {
+    const [isEditing, setIsEditing] = useState(false);
+    const photo = getCatPhotos(cat)[0];
+
+    const run = async (action) => {
+        try {
+            await action();
+        } catch (error) {
+            console.error("Admin action failed:", error);
+            alert(t.alertError);
+        }
+    };
+
+    const handleHide = () => {
+        const reason = window.prompt(t.adminHideReason, '');
+        if (reason === null) return;
+        run(() => hideCat(admin, cat, reason.trim()));
+    };
+
+    const handleMerge = () => {
+        const targetId = window.prompt(t.adminMergeTarget, cat.possibleDuplicateOf || '');
+        if (!targetId || !targetId.trim() || targetId.trim() === cat.firestoreId) return;
+        run(() => mergeCat(admin, cat, targetId.trim()));
+    };
+
+    return (
+        <li className="admin-row">
+            <div className="admin-row-main">
+                {photo ? <img src={photo} alt={cat.name} className="admin-thumb" /> : <div className="admin-thumb">🐱</div>}
+                <div className="admin-row-info">
+                    <strong>{cat.name}</strong>
+                    <span className="admin-meta">
+                        {cat.needs} · {cat.condition} · {cat.userEmail || cat.userId}
+                    </span>
+                    {cat.reportCount > 0 && <span className="admin-tag warn">{t.adminReports} {cat.reportCount}</span>}
+                    {cat.hidden && (
+                        <span className="admin-tag">
+                            {t.adminHidden}{cat.hiddenReason ? `: ${cat.hiddenReason === 'reports' ? t.adminHiddenByReports : cat.hiddenReason}` : ''}
+                        </span>
+                    )}
+                    {cat.reportCount > 0 && <CatReports catId={cat.firestoreId} t={t} />}
+                    {cat.mergedInto && <span className="admin-tag">→ {cat.mergedInto}</span>}
+                    {cat.deleted && <span className="admin-tag warn">{t.adminDeleted} {formatTimestamp(cat.deletedAt)}</span>}
+                    {cat.tnrReview === 'pending' && cat.tnrHint && (
+                        <span className="admin-tag warn">
+                            {t.adminTnrConflict
+                                .replace('{neutered}', cat.neutered)
+                                .replace('{suggested}', cat.tnrHint.suggested)
+                                .replace('{p}', Math.round(cat.tnrHint.confidence * 100))}
+                        </span>
+                    )}
+                    {tab === 'duplicates' && cat.possibleDuplicateOf && (
+                        <button type="button" className="admin-link" onClick={() => onOpenCat(cat.possibleDuplicateOf)}>
+                            {t.adminDuplicateOf} {cat.possibleDuplicateOf}
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {isEditing ? (
+                <CatEditForm
+                    cat={cat}
+                    t={t}
+                    onCancel={() => setIsEditing(false)}
+                    onSave={(changes) => run(() => editCat(admin, cat, changes)).then(() => setIsEditing(false))}
+                />
+            ) : (
+                <div className="admin-actions">
+                    <button className="admin-btn" onClick={() => onOpenCat(cat.firestoreId)}>{t.btnProfile}</button>
+                    <button className="admin-btn" onClick={() => setIsEditing(true)}>{t.btnEdit}</button>
+                    {cat.hidden
+                        ? <button className="admin-btn primary" onClick={() => run(() => restoreCat(admin, cat))}>{t.adminRestore}</button>
+                        : <button className="admin-btn danger" onClick={handleHide}>{t.adminHide}</button>}
+                    {!cat.hidden && cat.reportCount > 0 && (
+                        <button className="admin-btn primary" onClick={() => run(() => restoreCat(admin, cat))}>{t.adminKeep}</button>
+                    )}
+                    {!cat.mergedInto && <button className="admin-btn" onClick={handleMerge}>{t.adminMerge}</button>}
+                    {cat.deleted && (
+                        <>
+                            <button className="admin-btn primary" onClick={() => run(() => undeleteCat(admin, cat))}>{t.adminUndelete}</button>
+                            <button
+                                className="admin-btn danger"
+                                onClick={() => window.confirm(t.adminConfirmPurge) && run(() => purgeCat(admin, cat))}
+                            >
+                                {t.adminPurge}
+                            </button>
+                        </>
+                    )}
+                    {tab === 'duplicates' && (
+                        <button className="admin-btn" onClick={() => run(() => dismissDuplicate(admin, cat))}>{t.adminNotDuplicate}</button>
+                    )}
+                    {cat.tnrReview === 'pending' && cat.tnrHint && (
+                        <>
+                            <button className="admin-btn primary" onClick={() => run(() => acceptTnrHint(admin, cat))}>{t.adminAcceptTnrHint}</button>
+                            <button className="admin-btn" onClick={() => run(() => dismissTnrHint(admin, cat))}>{t.adminDismissTnrHint}</button>
+                        </>
+                    )}
+                </div>
+            )}
+        </li>
+    );
+}
+
+function AdminUserRow({ account, t, admin }) {
+    const handleToggleBan = async () => {
+        let reason = '';
+        if (!account.banned) {
+            reason = window.prompt(t.adminBanReason, '');
+            if (reason === null) return;
+        }
+        try {
+            await setUserBanned(admin, account, !account.banned, reason.trim());
+        } catch (error) {
+            console.error("Admin action failed:", error);
+            alert(t.alertError);
+        }
+    };
+
+    return (
+        <li className="admin-row">
+            <div className="admin-row-info">
+                <strong>{account.nickname || '-'}</strong>
+                <span className="admin-meta">{account.email} · {formatTimestamp(account.createdAt)}</span>
+                {account.isAdmin && <span className="admin-tag">admin</span>}
+                {account.banned && <span className="admin-tag warn">{t.adminBanned}{account.bannedReason ? `: ${account.bannedReason}` : ''}</span>}
+            </div>
+            {account.id !== admin.uid && (
+                <div className="admin-actions">
+                    <button className={`admin-btn ${account.banned ? 'primary' : 'danger'}`} onClick={handleToggleBan}>
+                        {account.banned ? t.adminUnban : t.adminBan}
+                    </button>
+                </div>
+            )}
+        </li>
+    );
+}
+
+function AuditLogRow({ entry, t }) {
+    return (
+        <li className="admin-row">
+            <div className="admin-row-info">
+                <strong>{t[`adminAction_${entry.action}`] || entry.action}</strong>
+                <span className="admin-meta">
+                    {entry.targetType} · {entry.targetName || entry.targetId} · {entry.adminNickname || entry.adminUid} · {formatTimestamp(entry.createdAt)}
+                </span>
+                {entry.details && Object.keys(entry.details).length > 0 && (
+                    <code className="admin-details">{JSON.stringify(entry.details)}</code>
+                )}
+            </div>
+        </li>
+    );
+}
+
+// Backfills / upgrades stored embeddings to EMBEDDING_MODEL_VERSION (src/reembedJob.js)
+function EmbeddingJobPanel({ t, admin }) {
+    const [stats, setStats] = useState(null);
+    const [isRunning, setIsRunning] = useState(false);
+    const stopRef = useRef(false);
+
+    // Leaving the tab stops the job after the current cat
+    useEffect(() => () => { stopRef.current = true; }, []);
+
+    const handleStart = async () => {
+        stopRef.current = false;
+        setIsRunning(true);
+        try {
+            const result = await runReembedJob({ onProgress: setStats, shouldStop: () => stopRef.current });
+            setStats(result);
+            await logAdminJob(admin, 'reembed', { version: EMBEDDING_MODEL_VERSION, ...result, stopped: stopRef.current });
+        } catch (error) {
+            console.error("Re-embedding job failed:", error);
+            alert(t.alertError);
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    return (
+        <div className="profile-section">
+            <h3>{t.adminTabEmbeddings}</h3>
+            <p className="profile-muted">{t.adminEmbeddingDesc.replace('{version}', EMBEDDING_MODEL_VERSION)}</p>
+            {stats && (
+                <p className="admin-meta">
+                    {t.adminEmbeddingStats
+                        .replace('{scanned}', stats.scanned)
+                        .replace('{moved}', stats.moved)
+                        .replace('{embedded}', stats.embedded)
+                        .replace('{skipped}', stats.skipped)
+                        .replace('{failed}', stats.failed)}
+                </p>
+            )}
+            <div className="admin-actions">
+                {isRunning ? (
+                    <button className="admin-btn danger" onClick={() => { stopRef.current = true; }}>{t.adminEmbeddingStop}</button>
+                ) : (
+                    <button className="admin-btn primary" onClick={handleStart}>{t.adminEmbeddingStart}</button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// /admin — moderation queues, user bans and the audit log. The route is only
+// linked for admins, and firestore.rules reject every write from anyone else.
+function AdminConsole({ user, isAdmin, userNickname, t, onClose, onOpenCat }) {
+    const [tab, setTab] = useState('reported');
+
+    if (!user || !isAdmin) {
+        return (
+            <div className="profile-page">
+                <div className="profile-header">
+                    <button className="profile-back-btn" onClick={onClose}>← {t.profileBackToMap}</button>
+                </div>
+                <p className="profile-empty">{t.adminNoAccess}</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="profile-page admin-console">
+            <div className="profile-header">
+                <button className="profile-back-btn" onClick={onClose}>← {t.profileBackToMap}</button>
+                <h2 className="admin-title">{t.adminTitle}</h2>
+            </div>
+            <div className="admin-body">
+                <div className="filter-chips admin-tabs">
+                    {TABS.map(item => (
+                        <button
+                            key={item.value}
+                            type="button"
+                            className={`filter-chip ${tab === item.value ? 'active' : ''}`}
+                            onClick={() => setTab(item.value)}
+                        >
+                            {t[item.labelKey]}
+                        </button>
+                    ))}
+                </div>
+                {/* Keyed by tab so the list state (edit forms) resets when switching */}
+                {tab === 'embeddings' ? (
+                    <EmbeddingJobPanel t={t} admin={{ uid: user.uid, nickname: userNickname }} />
+                ) : (
+                    <AdminTab key={tab} tab={tab} t={t} admin={{ uid: user.uid, nickname: userNickname }} onOpenCat={onOpenCat} />
+                )}
+            </div>
+        </div>
+    );
+}
+
+function AdminTab({ tab, t, admin, onOpenCat }) {
+    const { docs, loading } = useTabDocs(tab);
+
+    if (loading) return <p className="profile-empty">{t.profileLoading}</p>;
+    if (docs.length === 0) return <p className="profile-empty">{t.adminEmpty}</p>;
+
+    return (
+        <ul className="admin-list">
+            {docs.map(item => {
+                if (tab === 'users') return <AdminUserRow key={item.id} account={item} t={t} admin={admin} />;
+                if (tab === 'audit') return <AuditLogRow key={item.id} entry={item} t={t} />;
+                return <AdminCatRow key={item.id} cat={item} tab={tab} t={t} admin={admin} onOpenCat={onOpenCat} />;
+            })}
+        </ul>
+    );
+}
+
+export default AdminConsole;
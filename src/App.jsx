@@ -1,30 +1,74 @@
-import * as tf from '@tensorflow/tfjs';
-import * as mobilenet from '@tensorflow-models/mobilenet';
-import proj4 from 'proj4';
-import hospitalData from './data/hospitals.json';
 import React, { useState, useEffect, useRef } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, useMapEvents, useMap } from 'react-leaflet';
 import L from 'leaflet';
-import { db, auth, googleProvider, signInWithPopup, signOut, createUserWithEmailAndPassword, signInWithEmailAndPassword, sendEmailVerification } from './firebase';
-import { collection, addDoc, getDocs, getDoc, updateDoc, deleteDoc, doc, onSnapshot, query, orderBy, arrayUnion, where } from "firebase/firestore";
+import MarkerClusterGroup from 'react-leaflet-cluster';
+import { db, auth, googleProvider, signInWithPopup, signOut, createUserWithEmailAndPassword, signInWithEmailAndPassword, sendEmailVerification, updateProfile } from './firebase';
+import { getDoc, updateDoc, doc, writeBatch, deleteField } from "firebase/firestore";
 import { onAuthStateChanged } from "firebase/auth";
 import { translations } from './translations';
+import { MAX_PHOTOS, getCatPhotos, uploadCatPhoto, uploadSightingPhoto } from './photos';
+import { EMBEDDING_MODEL_VERSION } from './embeddingCodec';
+import { setEmbedding } from './embeddingStore';
+import { preloadEmbeddingModel, getImageEmbedding, getCoatSuggestion, getEarTipHint, findDuplicateCandidates, forgetEmbedding } from './embeddingClient';
+import { getTnrReview } from './earTip';
+import { COAT_OPTIONS, COAT_LABEL_KEYS, COAT_UNKNOWN, COAT_TRUSTED_CONFIDENCE } from './coat';
+import { addSighting, createEmptySightingForm, getLastSeen } from './sightings';
+import SightingLayer from './SightingLayer';
+import { geohashForLocation, padBounds, containsBounds, isInBounds, distanceKm } from './geo';
+import { useViewportCats, useViewportSpots } from './useViewportCats';
+import { getCatIcon, getLastFeeding, getLastCareTime, URGENCY_COLORS, FEEDING_COLORS } from './catMarkers';
+import RosterGrid from './RosterGrid';
+import { CARE_TYPES, createEmptyCareForm } from './careLog';
+import { addHelper } from './catHelpers';
+import { hasCatQuotaLeft } from './catQuota';
+import { newCatId } from './registration';
+import HelpersList from './HelpersList';
+import CareTimeline from './CareTimeline';
+import { matchesFilters, filtersFromSearch, filtersToSearch } from './catFilters';
+import FilterPanel from './FilterPanel';
+import { useRoute, navigate, getCatPath, getSpotPath, getMapPath, getAdminPath, shareCat } from './routing';
+import CatProfilePage from './CatProfilePage';
+import AdminConsole from './AdminConsole';
+import ReportModal from './ReportModal';
+import MyReportsModal from './MyReportsModal';
+import OutboxModal from './OutboxModal';
+import FollowButton from './FollowButton';
+import NotificationSettingsModal from './NotificationSettingsModal';
+import { submitOrQueue, useOutbox, useOnlineStatus } from './outbox';
+import { SPOT_NEARBY_CAT_KM } from './spots';
+import SpotLayer from './SpotLayer';
+import SpotFormModal from './SpotFormModal';
+import SpotPanel from './SpotPanel';
+import TnrCasesModal from './TnrCasesModal';
+import ArchiveModal from './ArchiveModal';
+import { getLifecycleStatus, getLifecycleMeta, isInactive, softDeleteCat } from './lifecycle';
+import { findNearestHospitals, formatDistance, getDirectionsUrl, RADIUS_OPTIONS_KM, DEFAULT_RADIUS_KM } from './hospitals';
 import 'leaflet/dist/leaflet.css';
 import './index.css';
 
-// Proj4 definitions for Korean Coordinate systems
-// Reverting to 500,000 and applying Bessel 1841 correction (EPSG:5174 styled)
-// towgs84 values are typically: -115.80, 474.99, 674.11, 1.16, -2.31, -1.63, 6.43 (for Korea)
-proj4.defs("EPSG:5181", "+proj=tmerc +lat_0=38 +lon_0=127.0028902777778 +k=1 +x_0=200000 +y_0=500000 +ellps=bessel +units=m +no_defs +towgs84=-115.80,474.99,674.11,1.16,-2.31,-1.63,6.43");
-const wgs84 = "EPSG:4326";
-const utmk = "EPSG:5181";
-
-// Custom Marker Icon
-const catIcon = new L.DivIcon({
-    className: 'custom-cat-icon',
-    html: `<div style="background: white; border: 2px solid #FFD700; border-radius: 50%; width: 30px; height: 30px; display: flex; align-items: center; justify-content: center; font-size: 16px; box-shadow: 0 2px 5px rgba(0,0,0,0.2);">🐱</div>`,
-    iconSize: [30, 30],
-    iconAnchor: [15, 15],
+// Cluster bubble with the number of cats inside, sized by count
+const createClusterIcon = (cluster) => {
+    const count = cluster.getChildCount();
+    const size = count < 10 ? 36 : count < 100 ? 44 : 52;
+    return new L.DivIcon({
+        className: 'cat-cluster-icon',
+        html: `<div style="width: ${size}px; height: ${size}px;">${count}</div>`,
+        iconSize: [size, size],
+    });
+};
+
+const createEmptyCatForm = () => ({
+    name: '',
+    desc: '',
+    condition: '좋음',
+    neutered: '모름',
+    coat: COAT_UNKNOWN,
+    photos: [],
+    foundDate: new Date().toISOString().split('T')[0],
+    foundTime: '12:00',
+    needs: '없음', // '중성화 필요', '즉시 치료 필요', '주기적 길냥이 집사 필요', '직접 입력', '없음'
+    customNeeds: '',
+    phone: '',
 });
 
 // Intro Section for Guest Users
@@ -129,11 +173,15 @@ function AuthModal({ isOpen, onClose, onGoogleLogin, onEmailAuth }) {
             setNicknameMsg("닉네임은 2자 이상 입력해주세요.");
             return;
         }
+        // Nicknames are document ids in `nicknames`
+        if (nickname.includes('/') || nickname.length > 30) {
+            setNicknameMsg("닉네임은 30자 이하로, '/' 없이 입력해주세요.");
+            return;
+        }
 
         try {
-            const q = query(collection(db, "users"), where("nickname", "==", nickname));
-            const querySnapshot = await getDocs(q);
-            if (!querySnapshot.empty) {
+            const nicknameSnap = await getDoc(doc(db, "nicknames", nickname));
+            if (nicknameSnap.exists()) {
                 setNicknameMsg("이미 사용 중인 닉네임입니다.");
                 setNicknameChecked(false);
             } else {
@@ -254,7 +302,7 @@ function AuthModal({ isOpen, onClose, onGoogleLogin, onEmailAuth }) {
 }
 
 // Duplicate Warning Modal
-function DuplicateModal({ isOpen, duplicateCat, onConfirm, onCancel }) {
+function DuplicateModal({ isOpen, candidates, duplicateCat, onSelect, isSubmitting, onConfirm, onAttach, onCancel }) {
     if (!isOpen || !duplicateCat) return null;
 
     return (
@@ -264,25 +312,57 @@ function DuplicateModal({ isOpen, duplicateCat, onConfirm, onCancel }) {
                 <h3>이미 등록된 고양이인가요?</h3>
                 <p style={{ color: '#666', marginBottom: '20px' }}>
                     1km 이내에 비슷한 사진의 고양이(<strong>{duplicateCat.name}</strong>)가 이미 등록되어 있습니다.
+                    {candidates.length > 1 && ' 가장 비슷한 고양이를 골라주세요.'}
                 </p>
-                {duplicateCat.photo && (
+                {getCatPhotos(duplicateCat).length > 0 && (
                     <img
-                        src={duplicateCat.photo}
+                        src={getCatPhotos(duplicateCat)[0]}
                         alt="Duplicate candidate"
-                        style={{ width: '100%', borderRadius: '12px', marginBottom: '20px', maxHeight: '200px', objectFit: 'cover' }}
+                        style={{ width: '100%', borderRadius: '12px', marginBottom: '12px', maxHeight: '200px', objectFit: 'cover' }}
                     />
                 )}
+                {candidates.length > 1 && (
+                    <ul className="duplicate-candidates">
+                        {candidates.map(({ cat, similarity }) => (
+                            <li key={cat.firestoreId}>
+                                <button
+                                    type="button"
+                                    className={`duplicate-candidate ${cat.firestoreId === duplicateCat.firestoreId ? 'active' : ''}`}
+                                    onClick={() => onSelect(cat)}
+                                >
+                                    {getCatPhotos(cat)[0] ? <img src={getCatPhotos(cat)[0]} alt={cat.name} /> : <span>🐱</span>}
+                                    <span className="duplicate-candidate-name">{cat.name}</span>
+                                    <span className="duplicate-candidate-score">{Math.round(similarity * 100)}%</span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                {candidates.length === 1 && (
+                    <p className="duplicate-candidate-score">유사도 {Math.round(candidates[0].similarity * 100)}%</p>
+                )}
+                <button
+                    className="submit-btn"
+                    onClick={onAttach}
+                    disabled={isSubmitting}
+                    style={{ marginBottom: '10px' }}
+                >
+                    {isSubmitting ? '저장 중...' : '같은 고양이에요, 목격 기록으로 추가'}
+                </button>
                 <div style={{ display: 'flex', gap: '10px' }}>
                     <button
                         className="submit-btn"
                         style={{ background: '#eee', color: '#666' }}
                         onClick={onCancel}
+                        disabled={isSubmitting}
                     >
-                        이미 있는 고양이에요
+                        등록 취소
                     </button>
                     <button
                         className="submit-btn"
+                        style={{ background: '#eee', color: '#666' }}
                         onClick={onConfirm}
+                        disabled={isSubmitting}
                     >
                         아뇨, 다른 고양이에요
                     </button>
@@ -292,11 +372,120 @@ function DuplicateModal({ isOpen, duplicateCat, onConfirm, onCancel }) {
     );
 }
 
+// Small gallery for the cat details: one large photo plus a thumbnail strip
+function PhotoGallery({ photos, alt, isBlur }) {
+    const [activeIndex, setActiveIndex] = useState(0);
+
+    useEffect(() => {
+        setActiveIndex(0);
+    }, [photos]);
+
+    if (!photos || photos.length === 0) return null;
+    const current = photos[Math.min(activeIndex, photos.length - 1)];
+
+    return (
+        <div className="photo-gallery">
+            <img src={current} alt={alt} className={`cat-detail-img ${isBlur ? 'blur-content' : ''}`} />
+            {photos.length > 1 && !isBlur && (
+                <div className="photo-gallery-thumbs">
+                    {photos.map((url, idx) => (
+                        <img
+                            key={url}
+                            src={url}
+                            alt={`${alt} ${idx + 1}`}
+                            className={idx === activeIndex ? 'active' : ''}
+                            onClick={() => setActiveIndex(idx)}
+                        />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Photo picker for the add/edit modal: already uploaded URLs plus local files waiting for upload
+function PhotoPicker({ photos, files, onRemovePhoto, onAddFiles, onRemoveFile, t }) {
+    const [previews, setPreviews] = useState([]);
+
+    useEffect(() => {
+        const urls = files.map(file => URL.createObjectURL(file));
+        setPreviews(urls);
+        return () => urls.forEach(url => URL.revokeObjectURL(url));
+    }, [files]);
+
+    const remaining = MAX_PHOTOS - photos.length - files.length;
+
+    return (
+        <div className="photo-picker">
+            <div className="photo-picker-grid">
+                {photos.map(url => (
+                    <div key={url} className="photo-picker-item">
+                        <img src={url} alt="" />
+                        <button type="button" onClick={() => onRemovePhoto(url)}>✕</button>
+                    </div>
+                ))}
+                {previews.map((url, idx) => (
+                    <div key={url} className="photo-picker-item pending">
+                        <img src={url} alt="" />
+                        <button type="button" onClick={() => onRemoveFile(idx)}>✕</button>
+                    </div>
+                ))}
+                {remaining > 0 && (
+                    <label className="photo-picker-add">
+                        <span>📷</span>
+                        <span>{t.btnAddPhoto}</span>
+                        <input
+                            type="file"
+                            accept="image/*"
+                            multiple
+                            onChange={(e) => {
+                                onAddFiles(Array.from(e.target.files).slice(0, remaining));
+                                e.target.value = '';
+                            }}
+                        />
+                    </label>
+                )}
+            </div>
+            <p className="photo-picker-hint">{t.photoHint.replace('{max}', MAX_PHOTOS)}</p>
+        </div>
+    );
+}
+
+// Collapsible legend explaining the marker colors and badges
+function MapLegend({ t }) {
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div className={`map-legend ${isOpen ? 'open' : ''}`}>
+            <button className="map-legend-toggle" onClick={() => setIsOpen(!isOpen)}>
+                {t.legendTitle} {isOpen ? '▾' : '▸'}
+            </button>
+            {isOpen && (
+                <div className="map-legend-body">
+                    <div className="map-legend-section">{t.legendNeeds}</div>
+                    <div className="map-legend-row"><span className="legend-ring urgent-pulse" style={{ borderColor: URGENCY_COLORS.urgent }}></span>{t.optTreat}</div>
+                    <div className="map-legend-row"><span className="legend-ring" style={{ borderColor: URGENCY_COLORS.neuter }}></span>{t.optNeuter}</div>
+                    <div className="map-legend-row"><span className="legend-ring" style={{ borderColor: URGENCY_COLORS.care }}></span>{t.optCare}</div>
+                    <div className="map-legend-row"><span className="legend-ring" style={{ borderColor: URGENCY_COLORS.none }}></span>{t.optNone}</div>
+                    <div className="map-legend-section">{t.legendBadges}</div>
+                    <div className="map-legend-row"><span className="legend-icon">😿</span>{t.optThin}</div>
+                    <div className="map-legend-row"><span className="legend-icon legend-tnr">✂</span>{t.optVerified}</div>
+                    <div className="map-legend-section">{t.legendFeeding}</div>
+                    <div className="map-legend-row"><span className="legend-dot" style={{ background: FEEDING_COLORS.recent }}></span>{t.legendFedRecent}</div>
+                    <div className="map-legend-row"><span className="legend-dot" style={{ background: FEEDING_COLORS.late }}></span>{t.legendFedLate}</div>
+                    <div className="map-legend-row"><span className="legend-dot" style={{ background: FEEDING_COLORS.stale }}></span>{t.legendFedStale}</div>
+                </div>
+            )}
+        </div>
+    );
+}
+
 // Component to handle map FlyTo actions
 function MapController({ selectedCat, markersRef, searchResult }) {
     const map = useMap();
     useEffect(() => {
-        if (selectedCat && markersRef.current[selectedCat.id]) {
+        if (selectedCat) {
+            // Fly even if the marker isn't loaded yet (deep link); the viewport query will bring it in
             map.flyTo([selectedCat.lat, selectedCat.lng], 16, {
                 duration: 1.5
             });
@@ -322,6 +511,23 @@ function MapController({ selectedCat, markersRef, searchResult }) {
     return null;
 }
 
+// Reports the visible map bounds on load and after every pan/zoom
+function ViewportTracker({ onViewportChange }) {
+    const map = useMap();
+
+    const report = () => {
+        const b = map.getBounds();
+        onViewportChange({ north: b.getNorth(), south: b.getSouth(), east: b.getEast(), west: b.getWest() });
+    };
+
+    useEffect(() => {
+        report();
+    }, [map]);
+
+    useMapEvents({ moveend: report });
+    return null;
+}
+
 function MapEvents({ onMapClick, isAdding, setIsAdding }) {
     useMapEvents({
         click(e) {
@@ -339,27 +545,43 @@ function MapEvents({ onMapClick, isAdding, setIsAdding }) {
 }
 
 function App() {
-    const [cats, setCats] = useState([]);
+    // Viewport-scoped loading: `queryBounds` is padded and only widened when the view leaves it
+    const [visibleBounds, setVisibleBounds] = useState(null);
+    const [queryBounds, setQueryBounds] = useState(null);
+    const cats = useViewportCats(queryBounds);
+
+    const handleViewportChange = (bounds) => {
+        setVisibleBounds(bounds);
+        setQueryBounds(prev => (prev && containsBounds(prev, bounds) ? prev : padBounds(bounds)));
+    };
     const [isAdding, setIsAdding] = useState(false);
+
+    // Feeding spots (src/spots.js): their own marker layer, map-pick mode and form
+    const [showSpots, setShowSpots] = useState(true);
+    const spots = useViewportSpots(showSpots ? queryBounds : null);
+    const [isAddingSpot, setIsAddingSpot] = useState(false);
+    const [spotCoords, setSpotCoords] = useState(null);
+    const [editingSpot, setEditingSpot] = useState(null);
+    const [showSpotForm, setShowSpotForm] = useState(false);
     const [showModal, setShowModal] = useState(false);
     const [showToast, setShowToast] = useState(false);
     const [tempCoords, setTempCoords] = useState(null);
-    const [editingId, setEditingId] = useState(null); // Track which cat is being edited
+    const [editingCat, setEditingCat] = useState(null); // Cat being edited; may lie outside the viewport
     const [lang, setLang] = useState('ko'); // Language state: 'ko' or 'en'
     const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false);
     const [sidebarWidth, setSidebarWidth] = useState(350);
     const isResizing = useRef(false);
 
-    // TF.js Model State
-    const [model, setModel] = useState(null);
-    const [isModelLoading, setIsModelLoading] = useState(true);
-
-    // Duplicate Check State
+    // Duplicate Check State: ranked candidates, the one the user picked, and worker progress
+    const [duplicateCandidates, setDuplicateCandidates] = useState([]);
     const [duplicateCat, setDuplicateCat] = useState(null);
+    const [duplicateProgress, setDuplicateProgress] = useState(null); // 'model' | 'embedding' | 'ranking'
     const [showDuplicateModal, setShowDuplicateModal] = useState(false);
 
     // Nearby Hospitals State
     const [nearbyHospitals, setNearbyHospitals] = useState([]);
+    const [hospitalCatId, setHospitalCatId] = useState(null); // Cat the current list was searched for
+    const [hospitalRadius, setHospitalRadius] = useState(DEFAULT_RADIUS_KM);
 
     // Auth State
     const [user, setUser] = useState(null);
@@ -401,20 +623,9 @@ function App() {
         fetchNickname();
     }, [user]);
 
-    // TF.js Model Loading
+    // MobileNet loads inside the embedding worker, off the main thread
     useEffect(() => {
-        const loadModel = async () => {
-            try {
-                const loadedModel = await mobilenet.load();
-                setModel(loadedModel);
-                setIsModelLoading(false);
-                console.log("MobileNet model loaded.");
-            } catch (error) {
-                console.error("Failed to load MobileNet model:", error);
-                setIsModelLoading(false);
-            }
-        };
-        loadModel();
+        preloadEmbeddingModel();
     }, []);
 
     const handleGoogleLogin = async () => {
@@ -432,18 +643,17 @@ function App() {
     };
 
     const [isAdmin, setIsAdmin] = useState(false);
+    const [isBanned, setIsBanned] = useState(false);
 
     useEffect(() => {
         const checkAdmin = async () => {
             if (user) {
                 const userDoc = await getDoc(doc(db, "users", user.uid));
-                if (userDoc.exists() && userDoc.data().isAdmin) {
-                    setIsAdmin(true);
-                } else {
-                    setIsAdmin(false);
-                }
+                setIsAdmin(userDoc.exists() && userDoc.data().isAdmin === true);
+                setIsBanned(userDoc.exists() && userDoc.data().banned === true);
             } else {
                 setIsAdmin(false);
+                setIsBanned(false);
             }
         };
         checkAdmin();
@@ -463,14 +673,17 @@ function App() {
                     // Update profile with nickname
                     await updateProfile(user, { displayName: nickname });
 
-                    // Save user info to Firestore
-                    await setDoc(doc(db, "users", user.uid), {
+                    // Save user info to Firestore, claiming the nickname in the same batch
+                    const batch = writeBatch(db);
+                    batch.set(doc(db, "users", user.uid), {
                         uid: user.uid,
                         email: user.email,
                         nickname: nickname,
                         isAdmin: false,
                         createdAt: new Date().toISOString()
                     });
+                    batch.set(doc(db, "nicknames", nickname), { uid: user.uid });
+                    await batch.commit();
                 } catch (dbError) {
                     console.error("Profile/DB update failed (non-critical):", dbError);
                 }
@@ -528,104 +741,26 @@ function App() {
     };
 
     // --- Image Similarity Logic ---
-    const getEmbeddings = async (imgUrl) => {
-        if (!model) return null;
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.crossOrigin = "anonymous";
-            img.src = imgUrl;
-            img.onload = async () => {
-                try {
-                    const embedding = await model.infer(img, true); // Extract 1024-d embedding
-                    const vector = await embedding.data();
-                    resolve(Array.from(vector));
-                } catch (err) {
-                    reject(err);
-                }
-            };
-            img.onerror = (err) => reject(err);
-        });
-    };
-
-    const cosineSimilarity = (vecA, vecB) => {
-        let dotProduct = 0;
-        let normA = 0;
-        let normB = 0;
-        for (let i = 0; i < vecA.length; i++) {
-            dotProduct += vecA[i] * vecB[i];
-            normA += vecA[i] * vecA[i];
-            normB += vecB[i] * vecB[i];
-        }
-        return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-    };
-
-    const checkDuplicates = async (newImgUrl, lat, lng) => {
-        if (!model || !newImgUrl) return null;
-
+    // Returns the ranked candidates (empty when nothing is similar enough); never blocks registration
+    const checkDuplicates = async (embedding, lat, lng, coat, coatConfidence) => {
         try {
-            const newEmbedding = await getEmbeddings(newImgUrl);
-
-            // Fetch nearby cats (simple 1km bounding box)
-            // 1 degree lat is ~111km, 0.01 degree is ~1.1km
-            const latRange = 0.01;
-            const lngRange = 0.012; // Adjust for Korea's longitude
-
-            const nearbyCats = cats.filter(c =>
-                Math.abs(c.lat - lat) < latRange &&
-                Math.abs(c.lng - lng) < lngRange
-            );
-
-            for (const cat of nearbyCats) {
-                if (cat.embedding && cat.embedding.length > 0) {
-                    const similarity = cosineSimilarity(newEmbedding, cat.embedding);
-                    if (similarity > 0.8) {
-                        return { ...cat, similarity };
-                    }
-                }
-            }
+            return await findDuplicateCandidates(embedding, cats, lat, lng, setDuplicateProgress, coat, coatConfidence);
         } catch (error) {
             console.error("Duplicate check error:", error);
+            return [];
         }
-        return null;
     };
 
     // --- Hospital Display Logic ---
-    const fetchNearbyHospitals = (catLat, catLng) => {
-        // Simple bounding box filtering (~1km)
-        // Note: Hospital data is in UTM-K (X, Y) but hospital.lat/lng keys are used for X/Y
-
-        const hospitals = hospitalData.map(h => {
-            if (h.lat && h.lng) {
-                try {
-                    const [convertedLng, convertedLat] = proj4(utmk, wgs84, [h.lat, h.lng]);
-
-                    // Validation Log for Il-gok Hospital
-                    if (h.name === "일곡동물병원") {
-                        console.log("Validation [일곡동물병원]:", {
-                            input: [h.lat, h.lng],
-                            output: [convertedLat, convertedLng],
-                            address: "광주광역시 북구 일곡동"
-                        });
-                    }
-
-                    return { ...h, wgsLat: convertedLat, wgsLng: convertedLng };
-                } catch (e) {
-                    return null;
-                }
-            }
-            return null;
-        }).filter(h => h !== null);
-
-        // Calculate distance and filter (1km approx)
-        const latRange = 0.01;
-        const lngRange = 0.012;
-
-        const filtered = hospitals.filter(h =>
-            Math.abs(h.wgsLat - catLat) < latRange &&
-            Math.abs(h.wgsLng - catLng) < lngRange
-        );
-
-        setNearbyHospitals(filtered);
+    const fetchNearbyHospitals = async (cat, radiusKm = hospitalRadius) => {
+        setHospitalRadius(radiusKm);
+        setHospitalCatId(cat.id);
+        try {
+            setNearbyHospitals(await findNearestHospitals(cat.lat, cat.lng, { radiusKm }));
+        } catch (error) {
+            console.error("Failed to load hospital data:", error);
+            alert(t.alertError);
+        }
     };
 
     const hospitalIcon = new L.DivIcon({
@@ -637,20 +772,56 @@ function App() {
 
     // Urgent Fix: Missing States
     const [showHistoryModal, setShowHistoryModal] = useState(false);
+    const [reportCat, setReportCat] = useState(null);
+    const [showMyReports, setShowMyReports] = useState(false);
+    // Writes made without signal wait in the outbox (src/outbox.js) until they can be sent
+    const [showOutbox, setShowOutbox] = useState(false);
+    const [showNotificationSettings, setShowNotificationSettings] = useState(false);
+    const [showTnrCases, setShowTnrCases] = useState(false);
+    const [showArchive, setShowArchive] = useState(false);
+    const outboxItems = useOutbox(user ? user.uid : null);
+    const isOnline = useOnlineStatus();
 
     // New State for Responsive UI
     const [selectedCat, setSelectedCat] = useState(null);
     const [isMobile, setIsMobile] = useState(window.innerWidth < 768);
     const markersRef = useRef({});
 
+    // Routing: /cat/:firestoreId opens the profile page on top of the map
+    const route = useRoute();
+
+    useEffect(() => {
+        if (route.name !== 'cat') return;
+        // Restore the map selection for deep links so closing the profile lands on the cat
+        getDoc(doc(db, "cats", route.catId))
+            .then(snapshot => {
+                if (snapshot.exists()) setSelectedCat({ ...snapshot.data(), firestoreId: snapshot.id });
+            })
+            .catch(error => console.error("Error restoring selected cat:", error));
+    }, [route]);
+
+    const openCatProfile = (cat) => navigate(`${getCatPath(cat.firestoreId)}${window.location.search}`);
+    const closeCatProfile = () => navigate(`${getMapPath()}${window.location.search}`);
+
     const t = translations[lang];
 
     const toggleLang = () => {
         setLang(prev => prev === 'ko' ? 'en' : 'ko');
     };
 
-    // Cat Search State (Sidebar)
-    const [catSearchQuery, setCatSearchQuery] = useState('');
+    // Cat Filter State (Sidebar + Map), mirrored into the URL so a filtered view can be shared
+    const [filters, setFilters] = useState(() => filtersFromSearch(window.location.search));
+
+    useEffect(() => {
+        const search = filtersToSearch(filters, window.location.search);
+        if (search !== window.location.search) {
+            window.history.replaceState(null, '', `${window.location.pathname}${search}`);
+        }
+    }, [filters]);
+
+    // Soft-deleted cats live only in the archive
+    const filteredCats = cats.filter(cat => !cat.deleted && (isAdmin || !cat.hidden) && matchesFilters(cat, filters, user));
+    const visibleCats = visibleBounds ? filteredCats.filter(cat => isInBounds(cat.lat, cat.lng, visibleBounds)) : filteredCats;
 
     // Search State (Location)
     const [searchQuery, setSearchQuery] = useState('');
@@ -682,45 +853,61 @@ function App() {
         return () => window.removeEventListener('resize', handleResize);
     }, []);
 
-    const [formData, setFormData] = useState({
-        name: '',
-        desc: '',
-        condition: '좋음',
-        neutered: '확인됨(TNR 완료)',
-        photo: '',
-        foundDate: new Date().toISOString().split('T')[0],
-        foundTime: '12:00',
-        needs: '없음', // '중성화 필요', '즉시 치료 필요', '주기적 길냥이 집사 필요', '직접 입력', '없음'
-        customNeeds: '',
-        helpers: 0,
-        caretakers: 0,
-        phone: '',
-    });
+    const [formData, setFormData] = useState(createEmptyCatForm);
+    const [photoFiles, setPhotoFiles] = useState([]); // Local files not uploaded yet
+    const [isUploading, setIsUploading] = useState(false);
+    const [coatSuggestion, setCoatSuggestion] = useState(null); // { coat, confidence } for the first picked photo
+
+    // Suggest a coat from the first picked file (a heuristic, src/coat.js); a confident guess
+    // fills the field while it is still '모름', a weak one is only offered
+    useEffect(() => {
+        setCoatSuggestion(null);
+        const source = photoFiles[0];
+        if (!showModal || !source) return;
+        let cancelled = false;
+        getCoatSuggestion(source)
+            .then(suggestion => {
+                if (cancelled || suggestion.coat === COAT_UNKNOWN) return;
+                setCoatSuggestion(suggestion);
+                if (suggestion.confidence < COAT_TRUSTED_CONFIDENCE) return;
+                setFormData(prev => (prev.coat === COAT_UNKNOWN ? { ...prev, coat: suggestion.coat } : prev));
+            })
+            .catch(error => console.error("Coat suggestion failed:", error));
+        return () => { cancelled = true; };
+    }, [photoFiles, showModal]);
+
+    // Ear-tip hint for the first picked file. Only shown next to the TNR select, never applied by itself.
+    const [earTipHint, setEarTipHint] = useState(null); // { suggested, confidence }
+    useEffect(() => {
+        setEarTipHint(null);
+        const source = photoFiles[0];
+        if (!showModal || !source) return;
+        let cancelled = false;
+        getEarTipHint(source)
+            .then(hint => { if (!cancelled) setEarTipHint(hint); })
+            .catch(error => console.error("Ear-tip check failed:", error));
+        return () => { cancelled = true; };
+    }, [photoFiles, showModal]);
 
     const [showCareModal, setShowCareModal] = useState(false);
     const [currentCat, setCurrentCat] = useState(null);
-    const [careForm, setCareForm] = useState({
-        date: new Date().toISOString().split('T')[0],
-        time: new Date().toTimeString().split(' ')[0].slice(0, 5)
-    });
+    const [careForm, setCareForm] = useState(createEmptyCareForm);
+    const [careFile, setCareFile] = useState(null); // Optional photo for the care entry
+    const [isSubmittingCare, setIsSubmittingCare] = useState(false);
+
+    // "I saw this cat": sighting form, optional photo, and map-pick mode for its location
+    const [showSightingModal, setShowSightingModal] = useState(false);
+    const [sightingForm, setSightingForm] = useState(null);
+    const [sightingFile, setSightingFile] = useState(null);
+    const [isSubmittingSighting, setIsSubmittingSighting] = useState(false);
+    const [isPickingSighting, setIsPickingSighting] = useState(false);
+    // Cat whose sightings and home range are drawn on the map
+    const [rangeCat, setRangeCat] = useState(null);
 
     // 도움 주기 모달 상태
     const [showHelpModal, setShowHelpModal] = useState(false);
     const [helpForm, setHelpForm] = useState({ phone: '' });
 
-    // 1. 데이터 불러오기 (실시간 업데이트 버전)
-    useEffect(() => {
-        const q = query(collection(db, "cats"), orderBy("id", "desc"));
-        const unsubscribe = onSnapshot(q, (querySnapshot) => {
-            const catArray = [];
-            querySnapshot.forEach((doc) => {
-                catArray.push({ ...doc.data(), firestoreId: doc.id });
-            });
-            setCats(catArray);
-        });
-        return () => unsubscribe(); // 컴포넌트 닫힐 때 연결 해제
-    }, []);
-
     const handleManualAdd = () => {
         if (!user) {
             setShowAuthModal(true);
@@ -730,61 +917,73 @@ function App() {
             alert("이메일 인증이 필요합니다. 메일함을 확인해주세요.");
             return;
         }
+        setIsAddingSpot(false);
         setIsAdding(true);
-        setEditingId(null);
-        setFormData({
-            name: '',
-            desc: '',
-            condition: '좋음',
-            neutered: '확인됨(TNR 완료)',
-            photo: '',
-            foundDate: new Date().toISOString().split('T')[0],
-            foundTime: '12:00',
-            needs: '없음',
-            customNeeds: '',
-            helpers: 0,
-            caretakers: 0,
-            phone: '',
-        });
+        setEditingCat(null);
+        setFormData(createEmptyCatForm());
+        setPhotoFiles([]);
+    };
+
+    const handleAddSpot = () => {
+        if (!user) {
+            setShowAuthModal(true);
+            return;
+        }
+        if (!user.emailVerified && user.providerData[0].providerId === 'password') {
+            alert("이메일 인증이 필요합니다. 메일함을 확인해주세요.");
+            return;
+        }
+        setShowSpots(true);
+        setIsAdding(false);
+        setIsAddingSpot(true);
     };
 
+    // Cats close to a (new) spot, nearest first, offered for linking
+    const getCatsNearSpot = (center) => cats
+        .filter(cat => !cat.hidden && !cat.mergedInto && !cat.deleted && !isInactive(cat))
+        .map(cat => ({ cat, distance: distanceKm([center.lat, center.lng], [cat.lat, cat.lng]) }))
+        .filter(({ distance }) => distance <= SPOT_NEARBY_CAT_KM)
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ cat }) => cat);
+
     const handleMapClick = (latlng) => {
+        if (isAddingSpot) {
+            setSpotCoords(latlng);
+            setEditingSpot(null);
+            setShowSpotForm(true);
+            setIsAddingSpot(false);
+            return;
+        }
+        if (isPickingSighting) {
+            setSightingForm({ ...sightingForm, lat: latlng.lat, lng: latlng.lng });
+            setIsPickingSighting(false);
+            setShowSightingModal(true);
+            return;
+        }
         setTempCoords(latlng);
-        setEditingId(null);
-        setFormData({
-            name: '',
-            desc: '',
-            condition: '좋음',
-            neutered: '확인됨(TNR 완료)',
-            photo: '',
-            foundDate: new Date().toISOString().split('T')[0],
-            foundTime: '12:00',
-            needs: '없음',
-            customNeeds: '',
-            helpers: 0,
-            caretakers: 0,
-            phone: '',
-        });
+        setEditingCat(null);
+        setFormData(createEmptyCatForm());
+        setPhotoFiles([]);
         setShowModal(true);
         setIsAdding(false);
     };
 
     const handleEdit = (cat) => {
-        setEditingId(cat.id);
+        setEditingCat(cat);
         setFormData({
             name: cat.name,
             desc: cat.desc,
             condition: cat.condition,
             neutered: cat.neutered,
-            photo: cat.photo,
+            coat: cat.coat || COAT_UNKNOWN,
+            photos: getCatPhotos(cat),
             foundDate: cat.foundDate || new Date().toISOString().split('T')[0],
             foundTime: cat.foundTime || '12:00',
             needs: cat.needs || '없음',
             customNeeds: cat.customNeeds || '',
-            helpers: cat.helpers || 0,
-            caretakers: cat.caretakers || 0,
             phone: cat.phone || '',
         });
+        setPhotoFiles([]);
         setTempCoords({ lat: cat.lat, lng: cat.lng });
         setShowModal(true);
     };
@@ -802,15 +1001,16 @@ function App() {
     const handleSubmitHelp = async (e) => {
         e.preventDefault();
         if (!currentCat) return;
+        if (isBanned) {
+            alert(t.alertBanned);
+            return;
+        }
 
         try {
-            const catRef = doc(db, "cats", currentCat.firestoreId);
-            await updateDoc(catRef, {
-                helpers: (currentCat.helpers || 0) + 1,
-                helpersList: arrayUnion({
-                    phone: helpForm.phone,
-                    createdAt: new Date()
-                })
+            await addHelper(currentCat.firestoreId, {
+                uid: user.uid,
+                nickname: userNickname,
+                phone: helpForm.phone,
             });
             setShowHelpModal(false);
             alert(t.alertThanks);
@@ -820,97 +1020,159 @@ function App() {
         }
     };
 
-    const handleOpenCareModal = (cat) => {
+    const handleOpenSightingModal = (cat) => {
         setCurrentCat(cat);
-        setCareForm({
-            date: new Date().toISOString().split('T')[0],
-            time: new Date().toTimeString().split(' ')[0].slice(0, 5)
-        });
-        setShowCareModal(true);
+        setSightingForm(createEmptySightingForm(cat));
+        setSightingFile(null);
+        setShowSightingModal(true);
+    };
+
+    const handlePickSightingOnMap = () => {
+        setShowSightingModal(false);
+        setSelectedCat(null);
+        setIsPickingSighting(true);
+    };
+
+    const handleUseMyLocation = () => {
+        if (!navigator.geolocation) {
+            alert(t.alertNoGeolocation);
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(
+            (position) => setSightingForm(form => ({ ...form, lat: position.coords.latitude, lng: position.coords.longitude })),
+            (error) => {
+                console.error("Geolocation failed:", error);
+                alert(t.alertNoGeolocation);
+            },
+            { enableHighAccuracy: true, timeout: 10000 }
+        );
     };
 
-    const handleDelete = async (catId) => {
-        if (!window.confirm("정말로 이 길냥이 정보를 삭제하시겠습니까?")) return;
+    const handleSubmitSighting = async (e) => {
+        e.preventDefault();
+        if (!currentCat) return;
+        if (isBanned) {
+            alert(t.alertBanned);
+            return;
+        }
 
         try {
-            // Find the firestoreId using the catId
-            const catToDelete = cats.find(c => c.id === catId);
-            if (catToDelete && catToDelete.firestoreId) {
-                // Check if user is owner or admin
-                const isOwner = user && user.uid === catToDelete.uid;
-                // We need to fetch the current user's admin status from Firestore if not in user object
-                let isAdmin = false;
-                if (user) {
-                    // For now, check if user email is in a hardcoded admin list or fetch from DB
-                    // Since we save isAdmin in Firestore, let's trust the loaded profile or re-fetch
-                    // Ideally, we should have isAdmin in the user state. 
-                    // Let's check the local state approach or just allow if user.email matches specific admins
-                    // OR better, we need to fetch the user doc to confirm admin status if not present
-                }
+            setIsSubmittingSighting(true);
+            const result = await submitOrQueue({
+                type: 'sighting',
+                uid: user.uid,
+                catId: currentCat.firestoreId,
+                catName: currentCat.name,
+                payload: {
+                    lat: sightingForm.lat,
+                    lng: sightingForm.lng,
+                    date: sightingForm.date,
+                    time: sightingForm.time,
+                    note: sightingForm.note.trim(),
+                    uid: user.uid,
+                    nickname: userNickname,
+                },
+                file: sightingFile,
+            });
+            setShowSightingModal(false);
+            if (result.status === 'queued') {
+                alert(t.alertQueuedOffline);
+                return;
+            }
+            setRangeCat(currentCat);
+            alert(t.alertSightingAdded);
+        } catch (error) {
+            console.error("Error adding sighting:", error);
+            alert(t.alertError);
+        } finally {
+            setIsSubmittingSighting(false);
+        }
+    };
 
-                // Simplified Admin Check: Check against current user data logic
-                // In handleEmailAuth we set isAdmin: false.
-                // Let's assume we need to fetch user doc to be sure, or check a list.
-                // For this request, I'll implement a fetch check for admin status for safety.
+    const handleOpenCareModal = (cat) => {
+        setCurrentCat(cat);
+        setCareForm(createEmptyCareForm());
+        setCareFile(null);
+        setShowCareModal(true);
+    };
 
-                const userDocRef = doc(db, "users", user.uid);
-                const userDocSnap = await getDoc(userDocRef);
-                if (userDocSnap.exists() && userDocSnap.data().isAdmin) {
-                    isAdmin = true;
-                }
+    // Takes the cat itself: a selected cat may lie outside the viewport list
+    const handleDelete = async (catToDelete) => {
+        if (!window.confirm(t.confirmSoftDelete)) return;
 
-                if (isOwner || isAdmin) {
-                    await deleteDoc(doc(db, "cats", catToDelete.firestoreId));
-                    alert("삭제되었습니다.");
-                    setSelectedCat(null);
-                } else {
-                    alert("삭제 권한이 없습니다.");
-                }
-            } else {
-                console.error("Cat not found or firestoreId missing for deletion:", catId);
-                alert("삭제할 고양이를 찾을 수 없습니다.");
-            }
+        // Owner/admin check is only for the message; firestore.rules enforce it
+        const isOwner = user && user.uid === catToDelete.userId;
+        if (!isOwner && !isAdmin) {
+            alert("삭제 권한이 없습니다.");
+            return;
+        }
+
+        try {
+            await softDeleteCat(catToDelete.firestoreId, user.uid);
+            alert(t.alertSoftDeleted);
+            setSelectedCat(null);
         } catch (error) {
             console.error("Error deleting cat:", error);
-            alert("삭제 중 오류가 발생했습니다.");
+            alert(error.code === 'permission-denied' ? "삭제 권한이 없습니다." : "삭제 중 오류가 발생했습니다.");
         }
     };
 
     const handleSubmitCare = async (e) => {
         e.preventDefault();
         if (!currentCat) return;
+        if (isBanned) {
+            alert(t.alertBanned);
+            return;
+        }
+        if (careForm.types.length === 0) {
+            alert(t.alertCareType);
+            return;
+        }
 
         try {
-            const catRef = doc(db, "cats", currentCat.firestoreId);
-            await updateDoc(catRef, {
-                caretakers: (currentCat.caretakers || 0) + 1,
-                careHistory: arrayUnion({
+            setIsSubmittingCare(true);
+            const lastFeeding = getLastFeeding(currentCat);
+            const result = await submitOrQueue({
+                type: 'care',
+                uid: user.uid,
+                catId: currentCat.firestoreId,
+                catName: currentCat.name,
+                payload: {
                     date: careForm.date,
                     time: careForm.time,
-                    createdAt: new Date()
-                })
+                    types: careForm.types,
+                    amount: careForm.amount.trim(),
+                    note: careForm.note.trim(),
+                    uid: user.uid,
+                    nickname: userNickname,
+                },
+                file: careFile,
+                // What this user knew when writing; a newer feeding by someone else is a conflict at sync time
+                base: { lastFeedingAt: lastFeeding && lastFeeding.at ? lastFeeding.at.toMillis() : 0 },
             });
             setShowCareModal(false);
-            alert(t.alertCare);
+            alert(result.status === 'queued' ? t.alertQueuedOffline : t.alertCare);
         } catch (error) {
             console.error("Error updating care history:", error);
             alert(t.alertError);
+        } finally {
+            setIsSubmittingCare(false);
         }
     };
 
     const handleSubmit = async (e, forceSubmit = false) => {
         if (e) e.preventDefault();
+        if (isBanned) {
+            alert(t.alertBanned);
+            return;
+        }
 
-        // Rate Limiting Check (24h limit)
-        if (user) {
-            const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
-            const q = query(
-                collection(db, "cats"),
-                where("userId", "==", user.uid), // Changed from "uid" to "userId" based on addDoc
-                where("createdAt", ">=", yesterday) // Use Date object for comparison
-            );
-            const querySnapshot = await getDocs(q);
-            if (querySnapshot.size >= 2) {
+        // Rate limit (2 per 24h). Checked here for the message; firestore.rules enforce it.
+        // Offline registrations are checked again when the outbox sends them.
+        if (user && !editingCat && isOnline) {
+            const userDoc = await getDoc(doc(db, "users", user.uid));
+            const catQuota = userDoc.exists() ? userDoc.data().catQuota : null;
+            if (!hasCatQuotaLeft(catQuota)) {
                 alert("하루에 최대 2마리까지만 등록할 수 있습니다.");
                 return;
             }
@@ -920,11 +1182,43 @@ function App() {
             alert(t.alertLocation);
             return;
         }
+        // Local file preferred for the similarity check: it avoids a CORS round trip to Storage
+        const embeddingSource = photoFiles.length > 0 ? photoFiles[0] : formData.photos[0];
+
+        // Uploads the picked files under the cat's document and returns the final photo list
+        const uploadPendingPhotos = async (catId) => {
+            const uploaded = await Promise.all(photoFiles.map(file => uploadCatPhoto(catId, file)));
+            return [...formData.photos, ...uploaded];
+        };
+
+        let queued = false;
         try {
-            if (editingId) {
+            setIsUploading(true);
+            if (editingCat) {
                 // 수정 모드
-                const catRef = doc(db, "cats", cats.find(c => c.id === editingId).firestoreId);
-                await updateDoc(catRef, formData);
+                const catRef = doc(db, "cats", editingCat.firestoreId);
+                const photos = await uploadPendingPhotos(catRef.id);
+                const batch = writeBatch(db);
+                const update = { ...formData, photos, photo: photos[0] || '' };
+                // The ear-tip hint belongs to the first photo; tnrReview is re-derived on every save
+                const tnrHint = photos[0] === getCatPhotos(editingCat)[0]
+                    ? editingCat.tnrHint
+                    : (formData.photos.length === 0 ? earTipHint : null);
+                update.tnrHint = tnrHint || deleteField();
+                update.tnrReview = getTnrReview(formData.neutered, tnrHint) || deleteField();
+                // The embedding follows the first photo; a new first photo is embedded again
+                if (photos[0] && photos[0] !== getCatPhotos(editingCat)[0]) {
+                    try {
+                        const source = formData.photos.length === 0 && photoFiles.length > 0 ? photoFiles[0] : photos[0];
+                        setEmbedding(batch, catRef.id, await getImageEmbedding(source, setDuplicateProgress));
+                        update.embeddingVersion = EMBEDDING_MODEL_VERSION;
+                    } catch (error) {
+                        console.error("Embedding failed:", error);
+                    }
+                }
+                batch.update(catRef, update);
+                await batch.commit();
+                if (update.embeddingVersion) forgetEmbedding(catRef.id);
             } else {
                 // 새 등록 모드
                 if (!user.emailVerified && user.providerData[0].providerId === 'password') {
@@ -932,52 +1226,122 @@ function App() {
                     return;
                 }
 
-                // 중복 체크 로직 (forceSubmit이 아닐 때만)
-                if (!forceSubmit && formData.photo) {
-                    const potentialDuplicate = await checkDuplicates(formData.photo, tempCoords.lat, tempCoords.lng);
-                    if (potentialDuplicate) {
-                        setDuplicateCat(potentialDuplicate);
+                // A coat taken over from the photo guess only counts as far as the guess is sure
+                const coatConfidence = coatSuggestion && formData.coat === coatSuggestion.coat ? coatSuggestion.confidence : 1;
+
+                // Embedding is cached per photo, so a forced re-submit does not run the model again
+                let embedding = [];
+                if (embeddingSource) {
+                    try {
+                        embedding = await getImageEmbedding(embeddingSource, setDuplicateProgress);
+                    } catch (error) {
+                        console.error("Embedding failed:", error);
+                    }
+                }
+
+                // 중복 체크 로직 (forceSubmit이 아닐 때만). Offline, the outbox checks before sending.
+                if (!forceSubmit && embedding.length > 0 && isOnline) {
+                    const candidates = await checkDuplicates(embedding, tempCoords.lat, tempCoords.lng, formData.coat, coatConfidence);
+                    if (candidates.length > 0) {
+                        setDuplicateCandidates(candidates);
+                        setDuplicateCat(candidates[0].cat);
                         setShowDuplicateModal(true);
                         return;
                     }
                 }
-
-                const embedding = formData.photo ? await getEmbeddings(formData.photo) : [];
-
-                await addDoc(collection(db, "cats"), {
-                    ...formData,
-                    id: Date.now(),
-                    lat: tempCoords.lat,
-                    lng: tempCoords.lng,
-                    createdAt: new Date(),
-                    userId: user.uid,
-                    userEmail: user.email,
-                    embedding: embedding
+                setDuplicateProgress(null);
+
+                // The id is chosen first so photos are stored under it, also when queued offline
+                const result = await submitOrQueue({
+                    type: 'cat',
+                    uid: user.uid,
+                    catId: newCatId(),
+                    catName: formData.name,
+                    payload: {
+                        ...formData,
+                        id: Date.now(),
+                        lat: tempCoords.lat,
+                        lng: tempCoords.lng,
+                        geohash: geohashForLocation([tempCoords.lat, tempCoords.lng]),
+                        // Counters are only ever changed with increment() afterwards
+                        helpers: 0,
+                        caretakers: 0,
+                        createdAt: new Date(),
+                        userId: user.uid,
+                        userEmail: user.email,
+                        ...(earTipHint ? { tnrHint: earTipHint } : {}),
+                        ...(getTnrReview(formData.neutered, earTipHint) ? { tnrReview: 'pending' } : {}),
+                        // "아뇨, 다른 고양이에요" on a likely match: queue it for the admin duplicate review
+                        ...(forceSubmit && duplicateCat ? { possibleDuplicateOf: duplicateCat.firestoreId, duplicateReview: 'pending' } : {}),
+                    },
+                    files: photoFiles,
+                    embedding,
+                    coatConfidence,
+                    force: forceSubmit,
                 });
+                if (result.status === 'conflict') {
+                    alert("하루에 최대 2마리까지만 등록할 수 있습니다.");
+                    return;
+                }
+                queued = result.status === 'queued';
             }
             setShowModal(false);
             setShowDuplicateModal(false);
             setDuplicateCat(null);
-            setShowToast(true);
-            setFormData({
-                name: '',
-                desc: '',
-                condition: '좋음',
-                neutered: '미완료',
-                photo: '',
-                foundDate: new Date().toISOString().split('T')[0],
-                foundTime: '12:00',
-                needs: '없음',
-                customNeeds: '',
-                helpers: 0,
-                caretakers: 0,
-                phone: '',
-            });
-            setEditingId(null);
-            setTimeout(() => setShowToast(false), 3000);
+            setFormData(createEmptyCatForm());
+            setPhotoFiles([]);
+            setEditingCat(null);
+            if (queued) {
+                alert(t.alertQueuedOffline);
+            } else {
+                setShowToast(true);
+                setTimeout(() => setShowToast(false), 3000);
+            }
         } catch (error) {
             console.error("Error adding/updating cat:", error);
             alert(t.alertError);
+        } finally {
+            setIsUploading(false);
+            setDuplicateProgress(null);
+        }
+    };
+
+    // Third option of the duplicate dialog: keep the existing cat and record this
+    // registration (first photo, location, date, description) as a sighting of it
+    const handleAttachSighting = async () => {
+        if (!duplicateCat || !tempCoords) return;
+        if (isBanned) {
+            alert(t.alertBanned);
+            return;
+        }
+
+        try {
+            setIsUploading(true);
+            const photo = photoFiles.length > 0
+                ? await uploadSightingPhoto(duplicateCat.firestoreId, photoFiles[0])
+                : (formData.photos[0] || '');
+            await addSighting(duplicateCat.firestoreId, {
+                lat: tempCoords.lat,
+                lng: tempCoords.lng,
+                date: formData.foundDate,
+                time: formData.foundTime,
+                note: formData.desc.trim(),
+                photo,
+                uid: user.uid,
+                nickname: userNickname,
+            });
+            setShowModal(false);
+            setShowDuplicateModal(false);
+            setFormData(createEmptyCatForm());
+            setPhotoFiles([]);
+            setSelectedCat(duplicateCat);
+            setDuplicateCat(null);
+            alert(t.alertSightingAdded);
+        } catch (error) {
+            console.error("Error adding sighting:", error);
+            alert(t.alertError);
+        } finally {
+            setIsUploading(false);
         }
     };
 
@@ -986,17 +1350,28 @@ function App() {
 
         return (
             <div className={`cat-details-content ${isBlur ? 'blur-container' : ''}`}>
-                {cat.photo && <img src={cat.photo} alt={cat.name} className={`cat-detail-img ${isBlur ? 'blur-content' : ''}`} />}
+                <PhotoGallery photos={getCatPhotos(cat)} alt={cat.name} isBlur={isBlur} />
                 <h3>{isBlur ? "로그인 후 확인 가능" : cat.name}</h3>
 
                 <div className={isBlur ? 'blur-content' : ''}>
                     <p className="cat-detail-meta">
                         {t.foundAt} {cat.foundDate} {cat.foundTime}
                     </p>
+                    {cat.lastSeen && (
+                        <p className="cat-detail-meta">
+                            {t.lastSeen} {cat.lastSeen.date} {cat.lastSeen.time} ({t.sightingCount.replace('{n}', cat.sightingCount || 0)})
+                        </p>
+                    )}
                     <p className="cat-detail-desc">{cat.desc}</p>
                     <div className="cat-badges">
                         <span className="badge">{t.status}: {cat.condition}</span>
                         <span className="badge">{t.tnr}: {cat.neutered}</span>
+                        {cat.coat && cat.coat !== COAT_UNKNOWN && <span className="badge">{t.labelCoat}: {t[COAT_LABEL_KEYS[cat.coat]]}</span>}
+                        {getLifecycleStatus(cat) !== 'active' && (
+                            <span className={`badge lifecycle-badge lifecycle-${getLifecycleStatus(cat)}`}>
+                                {getLifecycleMeta(getLifecycleStatus(cat)).icon} {t[getLifecycleMeta(getLifecycleStatus(cat)).labelKey]} {cat.statusDate}
+                            </span>
+                        )}
                     </div>
                 </div>
 
@@ -1009,16 +1384,7 @@ function App() {
                                     <div className="needs-text">
                                         {cat.needs} ({cat.helpers || 0}{t.helpers})
                                     </div>
-                                    {cat.helpersList && cat.helpersList.length > 0 && (
-                                        <div className="helpers-list">
-                                            <strong>{t.helpersList}</strong>
-                                            <ul>
-                                                {cat.helpersList.map((helper, idx) => (
-                                                    <li key={idx}>{helper.phone}</li>
-                                                ))}
-                                            </ul>
-                                        </div>
-                                    )}
+                                    {!isBlur && cat.helpers > 0 && <HelpersList catId={cat.firestoreId} t={t} />}
                                     <button
                                         onClick={() => handleOpenHelpModal(cat)}
                                         className="action-btn help-btn"
@@ -1026,6 +1392,11 @@ function App() {
                                     >
                                         {t.btnHelp}
                                     </button>
+                                    {cat.needs === '즉시 치료 필요' && user && (
+                                        <button onClick={() => openCatProfile(cat)} className="action-btn help-btn">
+                                            🩺 {t.btnTreatmentRecords}
+                                        </button>
+                                    )}
                                 </>
                             ) : cat.needs === '주기적 길냥이 집사 필요' ? (
                                 <>
@@ -1033,13 +1404,15 @@ function App() {
                                     <div className="needs-text">
                                         {cat.needs} ({cat.caretakers || 0}{t.careCount})
                                     </div>
-                                    {cat.careHistory && cat.careHistory.length > 0 && (
+                                    {cat.caretakers > 0 && (
                                         <div
                                             className="care-history"
                                             onClick={() => user && setShowHistoryModal(true)}
                                             style={{ cursor: user ? 'pointer' : 'default', textDecoration: user ? 'underline' : 'none' }}
                                         >
-                                            {t.lastMeal} {cat.careHistory[cat.careHistory.length - 1].date} {cat.careHistory[cat.careHistory.length - 1].time}
+                                            {getLastFeeding(cat)
+                                                ? `${t.lastMeal} ${getLastFeeding(cat).date} ${getLastFeeding(cat).time}`
+                                                : t.historyTitle}
                                         </div>
                                     )}
                                     <button
@@ -1049,6 +1422,19 @@ function App() {
                                     >
                                         {t.btnRecordCare}
                                     </button>
+                                    {user && (
+                                        <>
+                                            <strong className="roster-title">📅 {t.rosterTitle}</strong>
+                                            <RosterGrid
+                                                docRef={doc(db, "cats", cat.firestoreId)}
+                                                target={cat}
+                                                lastFedAt={getLastCareTime(cat)}
+                                                user={user}
+                                                userNickname={userNickname}
+                                                t={t}
+                                            />
+                                        </>
+                                    )}
                                 </>
                             ) : cat.needs === '직접 입력' ? (
                                 <>
@@ -1069,22 +1455,108 @@ function App() {
                 {user && (
                     <div style={{ display: 'flex', gap: '8px', marginTop: '10px' }}>
                         <button
-                            onClick={() => fetchNearbyHospitals(cat.lat, cat.lng)}
+                            onClick={() => fetchNearbyHospitals(cat)}
                             className="action-btn hospital-btn"
                             style={{ flex: 1, margin: 0, background: '#e1f5fe', color: '#0288d1', border: '1px solid #b3e5fc' }}
                         >
                             💙 주변 병원 보기
                         </button>
+                        {(isAdmin || user.uid === cat.userId) && (
+                            <button
+                                onClick={() => handleEdit(cat)}
+                                className="edit-btn"
+                                style={{ flex: 1, margin: 0 }}
+                            >
+                                {t.btnEdit}
+                            </button>
+                        )}
+                        {(isAdmin || user.uid === cat.userId) && (
+                            <button
+                                onClick={() => handleDelete(cat)}
+                                className="edit-btn delete-btn"
+                                style={{ flex: 1, margin: 0 }}
+                            >
+                                {t.btnDeleteCat}
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                {user && (
+                    <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+                        <button onClick={() => openCatProfile(cat)} className="edit-btn" style={{ flex: 1, margin: 0 }}>
+                            📄 {t.btnProfile}
+                        </button>
+                        <button onClick={() => shareCat(cat, t)} className="edit-btn" style={{ flex: 1, margin: 0 }}>
+                            🔗 {t.btnShare}
+                        </button>
+                        <FollowButton user={user} cat={cat} t={t} className="edit-btn" style={{ flex: 1, margin: 0 }} />
+                    </div>
+                )}
+
+                {user && (
+                    <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+                        <button onClick={() => handleOpenSightingModal(cat)} className="edit-btn" style={{ flex: 1, margin: 0 }}>
+                            👀 {t.btnSawCat}
+                        </button>
                         <button
-                            onClick={() => handleEdit(cat)}
+                            onClick={() => setRangeCat(rangeCat && rangeCat.firestoreId === cat.firestoreId ? null : cat)}
                             className="edit-btn"
                             style={{ flex: 1, margin: 0 }}
                         >
-                            {t.btnEdit}
+                            🗺️ {rangeCat && rangeCat.firestoreId === cat.firestoreId ? t.btnHideRange : t.btnShowRange}
                         </button>
                     </div>
                 )}
 
+                {user && user.uid !== cat.userId && (
+                    <button className="report-link" onClick={() => setReportCat(cat)}>
+                        🚩 {t.btnReport}
+                    </button>
+                )}
+
+                {user && hospitalCatId === cat.id && (
+                    <div className="hospital-list">
+                        <div className="hospital-list-header">
+                            <strong>{t.hospitalListTitle}</strong>
+                            <select
+                                value={hospitalRadius}
+                                onChange={(e) => fetchNearbyHospitals(cat, Number(e.target.value))}
+                            >
+                                {RADIUS_OPTIONS_KM.map(km => (
+                                    <option key={km} value={km}>{km}km</option>
+                                ))}
+                            </select>
+                        </div>
+                        {nearbyHospitals.length === 0 ? (
+                            <p className="hospital-list-empty">{t.hospitalListEmpty}</p>
+                        ) : (
+                            <ul>
+                                {nearbyHospitals.map(hospital => (
+                                    <li key={hospital.id} className="hospital-item">
+                                        <div className="hospital-item-title">
+                                            <span>{hospital.name}</span>
+                                            <span className="hospital-distance">{formatDistance(hospital.distanceKm)}</span>
+                                        </div>
+                                        <div className="hospital-item-tags">
+                                            {hospital.is24h && <span className="hospital-tag night">{t.hospital24h}</span>}
+                                            {hospital.isHouseCall && <span className="hospital-tag">{t.hospitalHouseCall}</span>}
+                                        </div>
+                                        <div className="hospital-item-actions">
+                                            {hospital.phone ? (
+                                                <a href={`tel:${hospital.phone.replace(/[^0-9+]/g, '')}`}>📞 {hospital.phone}</a>
+                                            ) : (
+                                                <span className="hospital-no-phone">{t.hospitalNoPhone}</span>
+                                            )}
+                                            <a href={getDirectionsUrl(hospital)} target="_blank" rel="noopener noreferrer">🧭 {t.hospitalDirections}</a>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+
                 {!user && (
                     <div className="login-overlay-message" style={{ textAlign: 'center', marginTop: '10px', color: '#666', fontSize: '0.9rem' }}>
                         <p>상세 정보를 보려면 로그인이 필요합니다.</p>
@@ -1140,6 +1612,28 @@ function App() {
                                 )}
                                 <div className="user-info-text">
                                     <span className="user-name">{userNickname || (user.displayName || user.email.split('@')[0])}</span>
+                                    <button className="logout-link" onClick={() => setShowMyReports(true)}>
+                                        {t.myReportsTitle}
+                                    </button>
+                                    <button className="logout-link" onClick={() => setShowNotificationSettings(true)}>
+                                        {t.notifyTitle}
+                                    </button>
+                                    <button className="logout-link" onClick={() => setShowTnrCases(true)}>
+                                        {t.tnrCasesTitle}
+                                    </button>
+                                    <button className="logout-link" onClick={() => setShowArchive(true)}>
+                                        {t.archiveTitle}
+                                    </button>
+                                    {(outboxItems.length > 0 || !isOnline) && (
+                                        <button className="logout-link outbox-link" onClick={() => setShowOutbox(true)}>
+                                            {isOnline ? '' : `${t.offlineBadge} · `}{t.outboxTitle} ({outboxItems.length})
+                                        </button>
+                                    )}
+                                    {isAdmin && (
+                                        <button className="logout-link" onClick={() => navigate(getAdminPath())}>
+                                            {t.adminLink}
+                                        </button>
+                                    )}
                                     <button className="logout-link" onClick={handleLogout}>
                                         로그아웃
                                     </button>
@@ -1150,17 +1644,13 @@ function App() {
                     {user && <p>{t.headerDescDefault}</p>}
                     {user && (
                         <>
-                            <div style={{ marginTop: '10px' }}>
-                                <button className="filter-my-btn" onClick={() => setCatSearchQuery(prev => prev === 'MY_CATS' ? '' : 'MY_CATS')}>
-                                    {catSearchQuery === 'MY_CATS' ? '전체 보기' : '내 기록 보기'}
-                                </button>
-                            </div>
+                            <FilterPanel filters={filters} onChange={setFilters} t={t} />
                             <div className="sidebar-search">
                                 <input
                                     type="text"
                                     placeholder={t.catSearchPlaceholder}
-                                    value={catSearchQuery}
-                                    onChange={(e) => setCatSearchQuery(e.target.value)}
+                                    value={filters.text}
+                                    onChange={(e) => setFilters({ ...filters, text: e.target.value })}
                                 />
                             </div>
                         </>
@@ -1168,15 +1658,9 @@ function App() {
                 </div>
                 <div className="cat-list">
                     {!user ? (
-                        <IntroSection catsCount={cats.length} onLoginClick={() => setShowAuthModal(true)} />
+                        <IntroSection catsCount={visibleCats.length} onLoginClick={() => setShowAuthModal(true)} />
                     ) : (
-                        cats
-                            .filter(cat => {
-                                if (catSearchQuery === 'MY_CATS') {
-                                    return user && cat.userId === user.uid;
-                                }
-                                return cat.name.toLowerCase().includes(catSearchQuery.toLowerCase());
-                            })
+                        visibleCats
                             .map(cat => (
                                 <div key={cat.id} className="cat-card" onClick={() => setSelectedCat(cat)}>
                                     <div className="cat-info-row">
@@ -1184,8 +1668,8 @@ function App() {
                                         <span className="cat-value"><strong>{cat.name}</strong></span>
                                     </div>
                                     <div className="cat-info-row">
-                                        <span className="cat-label">{t.labelFirstFound}:</span>
-                                        <span className="cat-value">{cat.foundDate}</span>
+                                        <span className="cat-label">{t.labelLastSeen}:</span>
+                                        <span className="cat-value">{getLastSeen(cat) ? getLastSeen(cat).date : '-'}</span>
                                     </div>
                                     <div className="cat-info-row">
                                         <span className="cat-label">{t.labelDesc}:</span>
@@ -1209,12 +1693,7 @@ function App() {
                                 </div>
                             ))
                     )}
-                    {user && cats.filter(cat => {
-                        if (catSearchQuery === 'MY_CATS') {
-                            return user && cat.userId === user.uid;
-                        }
-                        return cat.name.toLowerCase().includes(catSearchQuery.toLowerCase());
-                    }).length === 0 && (
+                    {user && visibleCats.length === 0 && (
                             <div style={{ padding: '20px', textAlign: 'center', color: '#999' }}>
                                 {lang === 'en' ? 'No cats found.' : '검색 결과가 없습니다.'}
                             </div>
@@ -1234,7 +1713,7 @@ function App() {
                     minZoom={7}
                     maxBounds={[[33, 124], [43, 132]]}
                     id="map-container"
-                    className={isAdding ? 'cursor-crosshair' : ''}
+                    className={isAdding || isPickingSighting || isAddingSpot ? 'cursor-crosshair' : ''}
                     zoomControl={false}
                 >
                     {/* 1. Base Layer: Clean Background (No Labels) */}
@@ -1251,44 +1730,62 @@ function App() {
                         className="map-label-layer"
                         zIndex={100}
                     />
-                    {nearbyHospitals.map((hospital, idx) => (
+                    {nearbyHospitals.map((hospital) => (
                         <Marker
-                            key={`hospital-${idx}`}
-                            position={[hospital.wgsLat, hospital.wgsLng]}
+                            key={`hospital-${hospital.id}`}
+                            position={[hospital.lat, hospital.lng]}
                             icon={hospitalIcon}
                         >
                             <Popup>
                                 <div className="hospital-popup">
-                                    <strong>{hospital.name}</strong><br />
-                                    📞 {hospital.phone || '전화번호 없음'}
+                                    <strong>{hospital.name}</strong> ({formatDistance(hospital.distanceKm)})<br />
+                                    📞 {hospital.phone || t.hospitalNoPhone}
                                 </div>
                             </Popup>
                         </Marker>
                     ))}
 
-                    <MapEvents onMapClick={handleMapClick} isAdding={isAdding} setIsAdding={setIsAdding} />
+                    <MapEvents
+                        onMapClick={handleMapClick}
+                        isAdding={isAdding || isPickingSighting || isAddingSpot}
+                        setIsAdding={(value) => {
+                            setIsAdding(value);
+                            setIsPickingSighting(value);
+                            setIsAddingSpot(value);
+                        }}
+                    />
+                    {rangeCat && <SightingLayer key={rangeCat.firestoreId} cat={rangeCat} />}
+                    {showSpots && <SpotLayer spots={spots} onSelect={(spot) => navigate(getSpotPath(spot.firestoreId))} />}
+                    <ViewportTracker onViewportChange={handleViewportChange} />
                     <MapController selectedCat={selectedCat} markersRef={markersRef} searchResult={searchResult} />
 
-                    {cats.map((cat) => (
-                        <Marker
-                            key={cat.id}
-                            position={[cat.lat, cat.lng]}
-                            icon={catIcon}
-                            ref={el => markersRef.current[cat.id] = el}
-                            eventHandlers={{
-                                click: () => handleMarkerClick(cat)
-                            }}
-                        >
-                            {/* Only render Popup on Desktop because Mobile uses Bottom Sheet */}
-                            {!isMobile && (
-                                <Popup>
-                                    <div className="cat-popup">
-                                        {renderCatDetails(cat)}
-                                    </div>
-                                </Popup>
-                            )}
-                        </Marker>
-                    ))}
+                    <MarkerClusterGroup
+                        chunkedLoading
+                        showCoverageOnHover={false}
+                        disableClusteringAtZoom={16}
+                        iconCreateFunction={createClusterIcon}
+                    >
+                        {filteredCats.map((cat) => (
+                            <Marker
+                                key={cat.id}
+                                position={[cat.lat, cat.lng]}
+                                icon={getCatIcon(cat)}
+                                ref={el => markersRef.current[cat.id] = el}
+                                eventHandlers={{
+                                    click: () => handleMarkerClick(cat)
+                                }}
+                            >
+                                {/* Only render Popup on Desktop because Mobile uses Bottom Sheet */}
+                                {!isMobile && (
+                                    <Popup>
+                                        <div className="cat-popup">
+                                            {renderCatDetails(cat)}
+                                        </div>
+                                    </Popup>
+                                )}
+                            </Marker>
+                        ))}
+                    </MarkerClusterGroup>
                 </MapContainer>
 
                 <div className="search-container">
@@ -1305,11 +1802,26 @@ function App() {
                     </button>
                 </div>
 
+                <MapLegend t={t} />
+
+                <button
+                    className={`spot-layer-toggle ${showSpots ? 'active' : ''}`}
+                    onClick={() => setShowSpots(!showSpots)}
+                    title={showSpots ? t.spotLayerHide : t.spotLayerShow}
+                >
+                    🥣 {t.spotLayer}
+                </button>
+
                 <div className="fab-container">
+                    <button className="add-fab spot-fab" onClick={handleAddSpot} title={t.spotAddTitle}>
+                        <span>🥣</span>
+                    </button>
                     <button className="add-fab" onClick={handleManualAdd}>
                         <span>+</span>
                     </button>
                     {isAdding && <div className="fab-tooltip">{t.headerDescAdding}</div>}
+                    {isPickingSighting && <div className="fab-tooltip">{t.sightingPickHint}</div>}
+                    {isAddingSpot && <div className="fab-tooltip">{t.spotPickHint}</div>}
                 </div>
 
                 {/* Mobile Bottom Sheet */}
@@ -1329,7 +1841,7 @@ function App() {
                 <div className="modal-overlay" onClick={() => setShowModal(false)}>
                     <div className="modal-content" onClick={(e) => e.stopPropagation()}>
                         <button className="modal-close-btn" onClick={() => setShowModal(false)}>✕</button>
-                        <h2>{editingId ? t.editTitle : t.addTitle}</h2>
+                        <h2>{editingCat ? t.editTitle : t.addTitle}</h2>
                         <form onSubmit={handleSubmit}>
                             <div className="form-group">
                                 <label>{t.labelName}</label>
@@ -1422,12 +1934,47 @@ function App() {
                                     </select>
                                 </div>
                             </div>
+                            {earTipHint && (
+                                <p className="form-suggestion">
+                                    {t[earTipHint.suggested === '미완료' ? 'earTipIntact' : 'earTipClipped']
+                                        .replace('{p}', Math.round(earTipHint.confidence * 100))}
+                                    {formData.neutered !== earTipHint.suggested && (
+                                        <button type="button" onClick={() => setFormData({ ...formData, neutered: earTipHint.suggested })}>
+                                            {t.suggestionApply}
+                                        </button>
+                                    )}
+                                </p>
+                            )}
+                            <div className="form-group">
+                                <label>{t.labelCoat}</label>
+                                <select
+                                    value={formData.coat}
+                                    onChange={(e) => setFormData({ ...formData, coat: e.target.value })}
+                                >
+                                    {COAT_OPTIONS.map(coat => (
+                                        <option key={coat} value={coat}>{t[COAT_LABEL_KEYS[coat]]}</option>
+                                    ))}
+                                </select>
+                                {coatSuggestion && (
+                                    <p className="form-suggestion">
+                                        {t.coatSuggested.replace('{coat}', t[COAT_LABEL_KEYS[coatSuggestion.coat]])}
+                                        {formData.coat !== coatSuggestion.coat && (
+                                            <button type="button" onClick={() => setFormData({ ...formData, coat: coatSuggestion.coat })}>
+                                                {t.suggestionApply}
+                                            </button>
+                                        )}
+                                    </p>
+                                )}
+                            </div>
                             <div className="form-group">
                                 <label>{t.labelPhoto}</label>
-                                <input
-                                    type="url"
-                                    value={formData.photo}
-                                    onChange={(e) => setFormData({ ...formData, photo: e.target.value })}
+                                <PhotoPicker
+                                    photos={formData.photos}
+                                    files={photoFiles}
+                                    onRemovePhoto={(url) => setFormData({ ...formData, photos: formData.photos.filter(p => p !== url) })}
+                                    onAddFiles={(files) => setPhotoFiles(prev => [...prev, ...files])}
+                                    onRemoveFile={(idx) => setPhotoFiles(prev => prev.filter((_, i) => i !== idx))}
+                                    t={t}
                                 />
                             </div>
                             <div className="form-group">
@@ -1439,8 +1986,74 @@ function App() {
                                     onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
                                 />
                             </div>
-                            <button type="submit" className="submit-btn">
-                                {editingId ? t.submitUpdate : t.submitAdd}
+                            <button type="submit" className="submit-btn" disabled={isUploading}>
+                                {duplicateProgress
+                                    ? t[`duplicateProgress_${duplicateProgress}`]
+                                    : isUploading ? t.uploadingPhotos : (editingCat ? t.submitUpdate : t.submitAdd)}
+                            </button>
+                        </form>
+                    </div>
+                </div>
+            )}
+
+            {showSightingModal && sightingForm && (
+                <div className="modal-overlay" onClick={() => setShowSightingModal(false)}>
+                    <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '360px' }}>
+                        <h3>👀 {t.sightingTitle}</h3>
+                        <p style={{ fontSize: '0.9rem', color: '#666', marginBottom: '15px' }}>
+                            {t.sightingDesc}
+                        </p>
+                        <form onSubmit={handleSubmitSighting}>
+                            <div className="form-group">
+                                <label>{t.labelSightingLocation}</label>
+                                <div className="sighting-location">
+                                    📍 {sightingForm.lat.toFixed(5)}, {sightingForm.lng.toFixed(5)}
+                                </div>
+                                <div style={{ display: 'flex', gap: '8px' }}>
+                                    <button type="button" className="edit-btn" style={{ flex: 1, margin: 0 }} onClick={handleUseMyLocation}>
+                                        {t.btnMyLocation}
+                                    </button>
+                                    <button type="button" className="edit-btn" style={{ flex: 1, margin: 0 }} onClick={handlePickSightingOnMap}>
+                                        {t.btnPickOnMap}
+                                    </button>
+                                </div>
+                            </div>
+                            <div className="form-group">
+                                <label>{t.labelDate}</label>
+                                <input
+                                    type="date"
+                                    required
+                                    value={sightingForm.date}
+                                    onChange={(e) => setSightingForm({ ...sightingForm, date: e.target.value })}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label>{t.labelTime}</label>
+                                <input
+                                    type="time"
+                                    required
+                                    value={sightingForm.time}
+                                    onChange={(e) => setSightingForm({ ...sightingForm, time: e.target.value })}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label>{t.labelCareNote}</label>
+                                <textarea
+                                    placeholder={t.placeholderSightingNote}
+                                    value={sightingForm.note}
+                                    onChange={(e) => setSightingForm({ ...sightingForm, note: e.target.value })}
+                                ></textarea>
+                            </div>
+                            <div className="form-group">
+                                <label>{t.labelCarePhoto}</label>
+                                <input
+                                    type="file"
+                                    accept="image/*"
+                                    onChange={(e) => setSightingFile(e.target.files[0] || null)}
+                                />
+                            </div>
+                            <button type="submit" className="submit-btn" disabled={isSubmittingSighting}>
+                                {isSubmittingSighting ? t.uploadingPhotos : t.btnComplete}
                             </button>
                         </form>
                     </div>
@@ -1449,12 +2062,32 @@ function App() {
 
             {showCareModal && (
                 <div className="modal-overlay" onClick={() => setShowCareModal(false)}>
-                    <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '300px' }}>
+                    <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '360px' }}>
                         <h3>{t.careTitle}</h3>
                         <p style={{ fontSize: '0.9rem', color: '#666', marginBottom: '15px' }}>
                             {t.careDesc}
                         </p>
                         <form onSubmit={handleSubmitCare}>
+                            <div className="form-group">
+                                <label>{t.labelCareTypes}</label>
+                                <div className="filter-chips">
+                                    {CARE_TYPES.map(type => (
+                                        <button
+                                            key={type.value}
+                                            type="button"
+                                            className={`filter-chip ${careForm.types.includes(type.value) ? 'active' : ''}`}
+                                            onClick={() => setCareForm({
+                                                ...careForm,
+                                                types: careForm.types.includes(type.value)
+                                                    ? careForm.types.filter(v => v !== type.value)
+                                                    : [...careForm.types, type.value]
+                                            })}
+                                        >
+                                            {type.icon} {t[type.labelKey]}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
                             <div className="form-group">
                                 <label>{t.labelDate}</label>
                                 <input
@@ -1473,8 +2106,33 @@ function App() {
                                     onChange={(e) => setCareForm({ ...careForm, time: e.target.value })}
                                 />
                             </div>
-                            <button type="submit" className="submit-btn" style={{ background: '#55efc4', color: '#2d3436' }}>
-                                {t.btnComplete}
+                            <div className="form-group">
+                                <label>{t.labelCareAmount}</label>
+                                <input
+                                    type="text"
+                                    placeholder={t.placeholderCareAmount}
+                                    value={careForm.amount}
+                                    onChange={(e) => setCareForm({ ...careForm, amount: e.target.value })}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label>{t.labelCareNote}</label>
+                                <textarea
+                                    placeholder={t.placeholderCareNote}
+                                    value={careForm.note}
+                                    onChange={(e) => setCareForm({ ...careForm, note: e.target.value })}
+                                ></textarea>
+                            </div>
+                            <div className="form-group">
+                                <label>{t.labelCarePhoto}</label>
+                                <input
+                                    type="file"
+                                    accept="image/*"
+                                    onChange={(e) => setCareFile(e.target.files[0] || null)}
+                                />
+                            </div>
+                            <button type="submit" className="submit-btn" style={{ background: '#55efc4', color: '#2d3436' }} disabled={isSubmittingCare}>
+                                {isSubmittingCare ? t.uploadingPhotos : t.btnComplete}
                             </button>
                         </form>
                     </div>
@@ -1509,24 +2167,132 @@ function App() {
 
             {showHistoryModal && selectedCat && (
                 <div className="modal-overlay" onClick={() => setShowHistoryModal(false)}>
-                    <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '350px', maxHeight: '60vh', overflowY: 'auto' }}>
+                    <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '420px', maxHeight: '70vh', overflowY: 'auto' }}>
                         <button className="modal-close-btn" onClick={() => setShowHistoryModal(false)}>✕</button>
                         <h3>{t.historyTitle}</h3>
-                        {selectedCat.careHistory && selectedCat.careHistory.length > 0 ? (
-                            <ul className="history-list">
-                                {[...selectedCat.careHistory].reverse().map((record, idx) => (
-                                    <li key={idx} className="history-item">
-                                        ⏱ {record.date} {record.time}
-                                    </li>
-                                ))}
-                            </ul>
-                        ) : (
-                            <p style={{ textAlign: 'center', color: '#999', padding: '20px' }}>{t.historyEmpty}</p>
-                        )}
+                        <CareTimeline catId={selectedCat.firestoreId} t={t} />
                     </div>
                 </div>
             )}
 
+            {route.name === 'cat' && (
+                <CatProfilePage
+                    catId={route.catId}
+                    user={user}
+                    userNickname={userNickname}
+                    isAdmin={isAdmin}
+                    t={t}
+                    onClose={closeCatProfile}
+                    onShowOnMap={(cat) => {
+                        setSelectedCat(cat);
+                        closeCatProfile();
+                    }}
+                    onLoginClick={() => setShowAuthModal(true)}
+                />
+            )}
+
+            {route.name === 'spot' && (
+                <SpotPanel
+                    spotId={route.spotId}
+                    user={user}
+                    userNickname={userNickname}
+                    isAdmin={isAdmin}
+                    isBanned={isBanned}
+                    t={t}
+                    onClose={() => navigate(getMapPath())}
+                    onEdit={(spot) => {
+                        setEditingSpot(spot);
+                        setShowSpotForm(true);
+                    }}
+                    onOpenCat={(catId) => navigate(getCatPath(catId))}
+                    onLoginClick={() => setShowAuthModal(true)}
+                />
+            )}
+
+            {showSpotForm && user && (
+                <SpotFormModal
+                    spot={editingSpot}
+                    coords={spotCoords}
+                    nearbyCats={getCatsNearSpot(editingSpot || spotCoords)}
+                    user={user}
+                    userNickname={userNickname}
+                    t={t}
+                    onClose={() => setShowSpotForm(false)}
+                    onSaved={() => setShowSpotForm(false)}
+                />
+            )}
+
+            {reportCat && user && (
+                <ReportModal cat={reportCat} user={user} t={t} onClose={() => setReportCat(null)} />
+            )}
+
+            {showOutbox && user && (
+                <OutboxModal user={user} items={outboxItems} isOnline={isOnline} t={t} onClose={() => setShowOutbox(false)} />
+            )}
+
+            {showNotificationSettings && user && (
+                <NotificationSettingsModal
+                    user={user}
+                    lang={lang}
+                    t={t}
+                    mapCenter={visibleBounds
+                        ? { lat: (visibleBounds.north + visibleBounds.south) / 2, lng: (visibleBounds.east + visibleBounds.west) / 2 }
+                        : null}
+                    onClose={() => setShowNotificationSettings(false)}
+                    onOpenCat={(catId) => {
+                        setShowNotificationSettings(false);
+                        navigate(getCatPath(catId));
+                    }}
+                />
+            )}
+
+            {showTnrCases && (
+                <TnrCasesModal
+                    bounds={queryBounds}
+                    t={t}
+                    onClose={() => setShowTnrCases(false)}
+                    onOpenCat={(catId) => {
+                        setShowTnrCases(false);
+                        navigate(getCatPath(catId));
+                    }}
+                />
+            )}
+
+            {showArchive && user && (
+                <ArchiveModal
+                    user={user}
+                    t={t}
+                    onClose={() => setShowArchive(false)}
+                    onOpenCat={(catId) => {
+                        setShowArchive(false);
+                        navigate(getCatPath(catId));
+                    }}
+                />
+            )}
+
+            {showMyReports && user && (
+                <MyReportsModal
+                    user={user}
+                    t={t}
+                    onClose={() => setShowMyReports(false)}
+                    onOpenCat={(catId) => {
+                        setShowMyReports(false);
+                        navigate(getCatPath(catId));
+                    }}
+                />
+            )}
+
+            {route.name === 'admin' && (
+                <AdminConsole
+                    user={user}
+                    isAdmin={isAdmin}
+                    userNickname={userNickname}
+                    t={t}
+                    onClose={() => navigate(getMapPath())}
+                    onOpenCat={(catId) => navigate(getCatPath(catId))}
+                />
+            )}
+
             {showToast && (
                 <div className="toast">
                     <span className="v-mark">V</span>
@@ -1543,8 +2309,12 @@ function App() {
 
             <DuplicateModal
                 isOpen={showDuplicateModal}
+                candidates={duplicateCandidates}
                 duplicateCat={duplicateCat}
+                onSelect={setDuplicateCat}
+                isSubmitting={isUploading}
                 onConfirm={() => handleSubmit(null, true)}
+                onAttach={handleAttachSighting}
                 onCancel={() => {
                     setShowDuplicateModal(false);
                     setDuplicateCat(null);
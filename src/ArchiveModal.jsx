@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { getLifecycleMeta, useArchivedCats, restoreDeletedCat } from './lifecycle';
+
+// Cats that are no longer on the street (adopted, in a shelter, relocated, deceased),
+// and the user's own deleted records, which they can put back on the map
+function ArchiveModal({ user, t, onClose, onOpenCat }) {
+    const { inactiveCats, deletedCats } = useArchivedCats(user.uid);
+    const [busyId, setBusyId] = useState(null);
+
+    const handleRestore = async (cat) => {
+        try {
+            setBusyId(cat.firestoreId);
+            await restoreDeletedCat(cat.firestoreId);
+        } catch (error) {
+            console.error("Error restoring cat:", error);
+            alert(t.alertError);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '480px', maxHeight: '80vh', overflowY: 'auto' }}>
+                <button className="modal-close-btn" onClick={onClose}>✕</button>
+                <h3>🗂️ {t.archiveTitle}</h3>
+                <p className="profile-muted">{t.archiveDesc}</p>
+                {inactiveCats.length === 0 ? (
+                    <p className="profile-empty">{t.archiveEmpty}</p>
+                ) : (
+                    <ul className="archive-list">
+                        {inactiveCats.map(cat => {
+                            const meta = getLifecycleMeta(cat.status);
+                            return (
+                                <li key={cat.firestoreId}>
+                                    <button type="button" className="admin-link" onClick={() => onOpenCat(cat.firestoreId)}>
+                                        {cat.name}
+                                    </button>
+                                    <span className={`badge lifecycle-badge lifecycle-${cat.status}`}>
+                                        {meta.icon} {t[meta.labelKey]} {cat.statusDate || ''}
+                                    </span>
+                                    {cat.statusNote && <span className="profile-muted">{cat.statusNote}</span>}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+
+                {deletedCats.length > 0 && (
+                    <>
+                        <h4>🗑️ {t.archiveDeletedTitle}</h4>
+                        <ul className="archive-list">
+                            {deletedCats.map(cat => (
+                                <li key={cat.firestoreId}>
+                                    <span>{cat.name}</span>
+                                    <button
+                                        type="button"
+                                        className="admin-btn primary"
+                                        disabled={busyId === cat.firestoreId}
+                                        onClick={() => handleRestore(cat)}
+                                    >
+                                        {t.btnRestoreCat}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default ArchiveModal;
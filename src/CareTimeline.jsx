@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { CARE_TYPES, getEntryTypes, getCareTypeMeta, useCareLogs } from './careLog';
+
+// Newest-first care timeline with a type filter, read from cats/{catId}/careLogs
+// or, for a feeding spot, spots/{spotId}/careLogs
+function CareTimeline({ catId, spotId, t }) {
+    const entries = useCareLogs(spotId || catId, spotId ? "spots" : "cats");
+    const [typeFilter, setTypeFilter] = useState('');
+
+    const visible = [...entries]
+        .reverse()
+        .filter(entry => !typeFilter || getEntryTypes(entry).includes(typeFilter));
+
+    return (
+        <div className="care-timeline">
+            <div className="filter-chips care-timeline-filter">
+                <button
+                    type="button"
+                    className={`filter-chip ${typeFilter === '' ? 'active' : ''}`}
+                    onClick={() => setTypeFilter('')}
+                >
+                    {t.filterAny}
+                </button>
+                {CARE_TYPES.map(type => (
+                    <button
+                        key={type.value}
+                        type="button"
+                        className={`filter-chip ${typeFilter === type.value ? 'active' : ''}`}
+                        onClick={() => setTypeFilter(type.value)}
+                    >
+                        {type.icon} {t[type.labelKey]}
+                    </button>
+                ))}
+            </div>
+
+            {visible.length === 0 ? (
+                <p style={{ textAlign: 'center', color: '#999', padding: '20px' }}>{t.historyEmpty}</p>
+            ) : (
+                <ul className="history-list care-timeline-list">
+                    {visible.map(entry => (
+                        <li key={entry.id} className="history-item care-timeline-item">
+                            <div className="care-timeline-head">
+                                <span className="care-timeline-types">
+                                    {getEntryTypes(entry).map(type => {
+                                        const meta = getCareTypeMeta(type);
+                                        return meta ? <span key={type} title={t[meta.labelKey]}>{meta.icon}</span> : null;
+                                    })}
+                                </span>
+                                <span>{entry.date} {entry.time}</span>
+                                {entry.nickname && <span className="care-timeline-author">{entry.nickname}</span>}
+                            </div>
+                            {entry.spotName && <div className="care-timeline-spot">📍 {entry.spotName}</div>}
+                            {entry.catsSeen && entry.catsSeen.length > 0 && (
+                                <div className="care-timeline-spot">🐱 {entry.catsSeen.map(seen => seen.name).join(', ')}</div>
+                            )}
+                            {entry.amount && <div className="care-timeline-amount">{t.labelCareAmount}: {entry.amount}</div>}
+                            {entry.note && <div className="care-timeline-note">{entry.note}</div>}
+                            {entry.photo && <img src={entry.photo} alt="" className="care-timeline-photo" />}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+export default CareTimeline;
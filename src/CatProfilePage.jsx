@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import { MapContainer, TileLayer, Marker } from 'react-leaflet';
+import { doc, getDoc, onSnapshot } from "firebase/firestore";
+import { db } from './firebase';
+import { getCatPhotos } from './photos';
+import { getCatIcon, getLastFeeding, getLastCareTime } from './catMarkers';
+import { shareCat, navigate, getCatPath, getSpotPath, parseRoute } from './routing';
+import { mergeCats } from './catMerge';
+import CareTimeline from './CareTimeline';
+import { useHelpers } from './catHelpers';
+import { COAT_LABEL_KEYS, COAT_UNKNOWN } from './coat';
+import FollowButton from './FollowButton';
+import RosterGrid from './RosterGrid';
+import TnrCasePanel from './TnrCasePanel';
+import TreatmentPanel from './TreatmentPanel';
+import LifecycleStatusPanel from './LifecycleStatusPanel';
+import { getSpotTypeMeta, useSpotsForCat } from './spots';
+
+// Full-page profile for /cat/:id. Subscribes to the cat document directly,
+// so it works even when the cat is outside the map's loaded viewport.
+function CatProfilePage({ catId, user, userNickname, isAdmin, t, onClose, onShowOnMap, onLoginClick }) {
+    const [cat, setCat] = useState(null);
+    const [status, setStatus] = useState('loading'); // 'loading' | 'ready' | 'missing'
+    const [activePhoto, setActivePhoto] = useState(null);
+    const [mergeTarget, setMergeTarget] = useState('');
+    const [isMerging, setIsMerging] = useState(false);
+    const helpers = useHelpers(user ? catId : null);
+    const spots = useSpotsForCat(catId);
+    const uid = user ? user.uid : null;
+
+    useEffect(() => {
+        setStatus('loading');
+        const unsubscribe = onSnapshot(doc(db, "cats", catId), (snapshot) => {
+            // Merged records redirect to the surviving cat; admins can still inspect them
+            if (snapshot.exists() && snapshot.data().mergedInto && !isAdmin) {
+                navigate(`${getCatPath(snapshot.data().mergedInto)}${window.location.search}`, { replace: true });
+                return;
+            }
+            // Hidden by moderation: only admins still see the profile. Deleted: also its owner.
+            const data = snapshot.exists() ? snapshot.data() : null;
+            if (data && (isAdmin || (!data.hidden && (!data.deleted || data.userId === uid)))) {
+                setCat({ ...snapshot.data(), firestoreId: snapshot.id });
+                setStatus('ready');
+            } else {
+                setCat(null);
+                setStatus('missing');
+            }
+        }, (error) => {
+            console.error("Error loading cat profile:", error);
+            setStatus('missing');
+        });
+        return () => unsubscribe();
+    }, [catId, isAdmin, uid]);
+
+    if (status !== 'ready') {
+        return (
+            <div className="profile-page">
+                <div className="profile-header">
+                    <button className="profile-back-btn" onClick={onClose}>← {t.profileBackToMap}</button>
+                </div>
+                <p className="profile-empty">{status === 'loading' ? t.profileLoading : t.profileNotFound}</p>
+            </div>
+        );
+    }
+
+    const isBlur = !user;
+    const canManage = user && (isAdmin || user.uid === cat.userId);
+
+    // Accepts a shared profile link or a bare cat id
+    const handleMerge = async (e) => {
+        e.preventDefault();
+        const value = mergeTarget.trim();
+        const route = value.includes('/cat/') ? parseRoute(new URL(value, window.location.origin).pathname) : null;
+        const targetId = route && route.name === 'cat' ? route.catId : value;
+        if (!targetId || targetId === cat.firestoreId) {
+            alert(t.alertMergeTarget);
+            return;
+        }
+
+        try {
+            setIsMerging(true);
+            const targetSnap = await getDoc(doc(db, "cats", targetId));
+            if (!targetSnap.exists()) {
+                alert(t.alertMergeTarget);
+                return;
+            }
+            // Owners may only fold their own records together; admins use the console for others
+            if (!isAdmin && targetSnap.data().userId !== user.uid) {
+                alert(t.alertMergeNotOwner);
+                return;
+            }
+            if (!window.confirm(t.confirmMerge.replace('{name}', targetSnap.data().name))) return;
+
+            await mergeCats(cat, targetId);
+            alert(t.alertMerged);
+        } catch (error) {
+            console.error("Error merging cats:", error);
+            alert(t.alertError);
+        } finally {
+            setIsMerging(false);
+        }
+    };
+    const photos = getCatPhotos(cat);
+    const lastFeeding = getLastFeeding(cat);
+
+    return (
+        <div className="profile-page">
+            <div className="profile-header">
+                <button className="profile-back-btn" onClick={onClose}>← {t.profileBackToMap}</button>
+                <div className="profile-header-actions">
+                    <button className="profile-share-btn" onClick={() => shareCat(cat, t)}>🔗 {t.btnShare}</button>
+                    <button className="profile-share-btn" onClick={() => onShowOnMap(cat)}>📍 {t.profileShowOnMap}</button>
+                    <FollowButton user={user} cat={cat} t={t} />
+                </div>
+            </div>
+
+            <div className={`profile-body ${isBlur ? 'blur-container' : ''}`}>
+                {photos.length > 0 && (
+                    <div className={`profile-photos ${isBlur ? 'blur-content' : ''}`}>
+                        {photos.map(url => (
+                            <img key={url} src={url} alt={cat.name} onClick={() => setActivePhoto(url)} />
+                        ))}
+                    </div>
+                )}
+
+                <h2>{isBlur ? "로그인 후 확인 가능" : cat.name}</h2>
+
+                {isBlur ? (
+                    <div className="login-overlay-message">
+                        <p>상세 정보를 보려면 로그인이 필요합니다.</p>
+                        <button className="login-btn" onClick={onLoginClick}>로그인</button>
+                    </div>
+                ) : (
+                    <>
+                        <p className="cat-detail-meta">{t.foundAt} {cat.foundDate} {cat.foundTime}</p>
+                        {cat.lastSeen && (
+                            <p className="cat-detail-meta">
+                                {t.lastSeen} {cat.lastSeen.date} {cat.lastSeen.time} ({t.sightingCount.replace('{n}', cat.sightingCount || 0)})
+                            </p>
+                        )}
+                        <p className="cat-detail-desc">{cat.desc}</p>
+                        <div className="cat-badges">
+                            <span className="badge">{t.status}: {cat.condition}</span>
+                            <span className="badge">{t.tnr}: {cat.neutered}</span>
+                            {cat.coat && cat.coat !== COAT_UNKNOWN && <span className="badge">{t.labelCoat}: {t[COAT_LABEL_KEYS[cat.coat]]}</span>}
+                        </div>
+
+                        <section className="profile-section">
+                            <h3>🐾 {t.lifecycleTitle}</h3>
+                            <LifecycleStatusPanel cat={cat} user={user} isAdmin={isAdmin} helpers={helpers} t={t} />
+                        </section>
+
+                        <section className="profile-section">
+                            <h3>{t.labelNeeds}</h3>
+                            <p>{cat.needs === '직접 입력' ? cat.customNeeds : (cat.needs || '없음')}</p>
+                            {cat.phone && <p>📞 {cat.phone}</p>}
+                        </section>
+
+                        <section className="profile-section">
+                            <h3>✂️ {t.profileTnrTitle}</h3>
+                            <p>{cat.neutered}</p>
+                            {cat.needs === '중성화 필요' && <p className="profile-notice">{t.noticeNeuter}</p>}
+                            <TnrCasePanel cat={cat} user={user} userNickname={userNickname} isAdmin={isAdmin} t={t} onLoginClick={onLoginClick} />
+                        </section>
+
+                        <section className="profile-section">
+                            <h3>🩺 {t.treatmentTitle}</h3>
+                            <TreatmentPanel cat={cat} user={user} userNickname={userNickname} isAdmin={isAdmin} helpers={helpers} t={t} />
+                        </section>
+
+                        <section className="profile-section">
+                            <h3>{t.helpersList} ({cat.helpers || 0})</h3>
+                            {helpers.length > 0 ? (
+                                <ul className="profile-helpers">
+                                    {helpers.map(helper => (
+                                        <li key={helper.id}>{helper.phone}{helper.nickname ? ` (${helper.nickname})` : ''}</li>
+                                    ))}
+                                </ul>
+                            ) : (
+                                <p className="profile-muted">{t.profileNoHelpers}</p>
+                            )}
+                        </section>
+
+                        <section className="profile-section">
+                            <h3>{t.historyTitle} ({cat.caretakers || 0})</h3>
+                            {lastFeeding && <p className="profile-muted">{t.lastMeal} {lastFeeding.date} {lastFeeding.time}</p>}
+                            <CareTimeline catId={cat.firestoreId} t={t} />
+                        </section>
+
+                        {spots.length > 0 && (
+                            <section className="profile-section">
+                                <h3>🥣 {t.profileSpots}</h3>
+                                <ul className="profile-spots">
+                                    {spots.map(spot => (
+                                        <li key={spot.firestoreId}>
+                                            <a href={getSpotPath(spot.firestoreId)} onClick={(e) => { e.preventDefault(); navigate(getSpotPath(spot.firestoreId)); }}>
+                                                {getSpotTypeMeta(spot.type).icon} {spot.name}
+                                            </a>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </section>
+                        )}
+
+                        {(cat.needs === '주기적 길냥이 집사 필요' || Object.keys(cat.roster || {}).length > 0) && (
+                            <section className="profile-section">
+                                <h3>📅 {t.rosterTitle}</h3>
+                                <RosterGrid
+                                    docRef={doc(db, "cats", cat.firestoreId)}
+                                    target={cat}
+                                    lastFedAt={getLastCareTime(cat)}
+                                    user={user}
+                                    userNickname={userNickname}
+                                    t={t}
+                                />
+                            </section>
+                        )}
+                    </>
+                )}
+
+                {cat.mergedInto && (
+                    <section className="profile-section">
+                        <p className="profile-notice">
+                            {t.profileMergedInto}{' '}
+                            <a href={getCatPath(cat.mergedInto)} onClick={(e) => { e.preventDefault(); navigate(getCatPath(cat.mergedInto)); }}>
+                                {cat.mergedInto}
+                            </a>
+                        </p>
+                    </section>
+                )}
+
+                {canManage && !cat.mergedInto && (
+                    <section className="profile-section">
+                        <h3>🔗 {t.profileMergeTitle}</h3>
+                        <p className="profile-muted">{t.profileMergeDesc}</p>
+                        <form className="profile-merge-form" onSubmit={handleMerge}>
+                            <input
+                                type="text"
+                                value={mergeTarget}
+                                onChange={(e) => setMergeTarget(e.target.value)}
+                                placeholder={t.profileMergePlaceholder}
+                            />
+                            <button type="submit" className="profile-share-btn" disabled={isMerging}>
+                                {isMerging ? t.profileMerging : t.profileMergeBtn}
+                            </button>
+                        </form>
+                    </section>
+                )}
+
+                <section className="profile-section">
+                    <h3>📍 {t.profileLocation}</h3>
+                    <MapContainer
+                        center={[cat.lat, cat.lng]}
+                        zoom={16}
+                        className="profile-mini-map"
+                        zoomControl={false}
+                        dragging={false}
+                        scrollWheelZoom={false}
+                        doubleClickZoom={false}
+                    >
+                        <TileLayer
+                            url="https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png"
+                            attribution='&copy; OpenStreetMap'
+                        />
+                        <Marker position={[cat.lat, cat.lng]} icon={getCatIcon(cat)} />
+                    </MapContainer>
+                </section>
+            </div>
+
+            {activePhoto && (
+                <div className="modal-overlay" onClick={() => setActivePhoto(null)}>
+                    <img src={activePhoto} alt={cat.name} className="profile-photo-full" />
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default CatProfilePage;
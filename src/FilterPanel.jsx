@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { DEFAULT_FILTERS, NEEDS_OPTIONS, CONDITION_OPTIONS, NEUTERED_OPTIONS, countActiveFilters } from './catFilters';
+import { COAT_OPTIONS, COAT_LABEL_KEYS } from './coat';
+import { LIFECYCLE_STATUSES } from './lifecycle';
+
+const NEEDS_LABEL_KEYS = {
+    '없음': 'optNone',
+    '중성화 필요': 'optNeuter',
+    '즉시 치료 필요': 'optTreat',
+    '주기적 길냥이 집사 필요': 'optCare',
+    '직접 입력': 'optCustom',
+};
+const CONDITION_LABEL_KEYS = { '좋음': 'optGood', '보통': 'optAvg', '마름': 'optThin' };
+const NEUTERED_LABEL_KEYS = { '확인됨(TNR 완료)': 'optVerified', '미완료': 'optNotDone', '모름': 'optUnknown' };
+const LIFECYCLE_OPTIONS = LIFECYCLE_STATUSES.map(s => s.value);
+const LIFECYCLE_LABEL_KEYS = Object.fromEntries(LIFECYCLE_STATUSES.map(s => [s.value, s.labelKey]));
+
+function ChipGroup({ options, labelKeys, selected, onChange, t }) {
+    const toggle = (value) => {
+        onChange(selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value]);
+    };
+
+    return (
+        <div className="filter-chips">
+            {options.map(value => (
+                <button
+                    key={value}
+                    type="button"
+                    className={`filter-chip ${selected.includes(value) ? 'active' : ''}`}
+                    onClick={() => toggle(value)}
+                >
+                    {t[labelKeys[value]] || value}
+                </button>
+            ))}
+        </div>
+    );
+}
+
+// Sidebar filter panel; the same filters drive the map markers
+function FilterPanel({ filters, onChange, t }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const activeCount = countActiveFilters(filters);
+    const update = (patch) => onChange({ ...filters, ...patch });
+
+    return (
+        <div className="filter-panel">
+            <div className="filter-panel-bar">
+                <button className="filter-my-btn" onClick={() => update({ mine: !filters.mine })}>
+                    {filters.mine ? t.filterShowAll : t.filterShowMine}
+                </button>
+                <button className={`filter-toggle-btn ${activeCount > 0 ? 'active' : ''}`} onClick={() => setIsOpen(!isOpen)}>
+                    {t.filterTitle}{activeCount > 0 ? ` (${activeCount})` : ''} {isOpen ? '▴' : '▾'}
+                </button>
+            </div>
+
+            {isOpen && (
+                <div className="filter-panel-body">
+                    <div className="filter-section">
+                        <label>{t.labelNeeds}</label>
+                        <ChipGroup options={NEEDS_OPTIONS} labelKeys={NEEDS_LABEL_KEYS} selected={filters.needs} onChange={(needs) => update({ needs })} t={t} />
+                    </div>
+                    <div className="filter-section">
+                        <label>{t.labelCondition}</label>
+                        <ChipGroup options={CONDITION_OPTIONS} labelKeys={CONDITION_LABEL_KEYS} selected={filters.condition} onChange={(condition) => update({ condition })} t={t} />
+                    </div>
+                    <div className="filter-section">
+                        <label>{t.labelNeutered}</label>
+                        <ChipGroup options={NEUTERED_OPTIONS} labelKeys={NEUTERED_LABEL_KEYS} selected={filters.neutered} onChange={(neutered) => update({ neutered })} t={t} />
+                    </div>
+                    <div className="filter-section">
+                        <label>{t.labelCoat}</label>
+                        <ChipGroup options={COAT_OPTIONS} labelKeys={COAT_LABEL_KEYS} selected={filters.coat} onChange={(coat) => update({ coat })} t={t} />
+                    </div>
+                    <div className="filter-section">
+                        <label>{t.labelLifecycle}</label>
+                        <ChipGroup options={LIFECYCLE_OPTIONS} labelKeys={LIFECYCLE_LABEL_KEYS} selected={filters.lifecycle} onChange={(lifecycle) => update({ lifecycle })} t={t} />
+                        <p className="filter-hint">{t.filterLifecycleHint}</p>
+                    </div>
+                    <div className="filter-section">
+                        <label>{t.labelFoundDate}</label>
+                        <div className="filter-date-range">
+                            <input type="date" value={filters.foundFrom} onChange={(e) => update({ foundFrom: e.target.value })} />
+                            <span>~</span>
+                            <input type="date" value={filters.foundTo} onChange={(e) => update({ foundTo: e.target.value })} />
+                        </div>
+                    </div>
+                    <div className="filter-section filter-row">
+                        <label>{t.filterNotFed}</label>
+                        <select value={filters.notFedDays} onChange={(e) => update({ notFedDays: e.target.value })}>
+                            <option value="">{t.filterAny}</option>
+                            <option value="1">{t.filterDays.replace('{n}', 1)}</option>
+                            <option value="3">{t.filterDays.replace('{n}', 3)}</option>
+                            <option value="7">{t.filterDays.replace('{n}', 7)}</option>
+                        </select>
+                    </div>
+                    <div className="filter-section filter-row">
+                        <label>{t.filterHelpers}</label>
+                        <select value={filters.helpers} onChange={(e) => update({ helpers: e.target.value })}>
+                            <option value="">{t.filterAny}</option>
+                            <option value="has">{t.filterHasHelpers}</option>
+                            <option value="needs">{t.filterNeedsHelpers}</option>
+                        </select>
+                    </div>
+                    <button
+                        className="filter-reset-btn"
+                        onClick={() => onChange({ ...DEFAULT_FILTERS, text: filters.text, mine: filters.mine })}
+                    >
+                        {t.filterReset}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default FilterPanel;
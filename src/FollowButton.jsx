@@ -0,0 +1,26 @@
+import React from 'react';
+import { useIsFollowing, followCat, unfollowCat } from './notifications';
+
+// "🔔 팔로우" toggle; followers get push notifications about this cat (functions/index.js)
+function FollowButton({ user, cat, t, className = 'profile-share-btn', style }) {
+    const isFollowing = useIsFollowing(user ? user.uid : null, cat.firestoreId);
+    if (!user) return null;
+
+    const handleClick = async () => {
+        try {
+            if (isFollowing) await unfollowCat(user.uid, cat.firestoreId);
+            else await followCat(user.uid, cat);
+        } catch (error) {
+            console.error("Error updating follow:", error);
+            alert(t.alertError);
+        }
+    };
+
+    return (
+        <button type="button" className={`${className} ${isFollowing ? 'following' : ''}`} style={style} onClick={handleClick}>
+            {isFollowing ? `🔔 ${t.btnFollowing}` : `🔕 ${t.btnFollow}`}
+        </button>
+    );
+}
+
+export default FollowButton;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { useHelpers } from './catHelpers';
+
+// Subscribes only while mounted, i.e. while a popup / profile showing it is open
+function HelpersList({ catId, t, className = 'helpers-list' }) {
+    const helpers = useHelpers(catId);
+    if (helpers.length === 0) return null;
+
+    return (
+        <div className={className}>
+            <strong>{t.helpersList}</strong>
+            <ul>
+                {helpers.map(helper => (
+                    <li key={helper.id}>
+                        {helper.phone}{helper.nickname ? ` (${helper.nickname})` : ''}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+export default HelpersList;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import {
+    LIFECYCLE_STATUSES, MAX_STATUS_NOTE, getLifecycleStatus, getLifecycleMeta, isInactive,
+    canSetStatus, createStatusForm, setCatStatus, restoreDeletedCat,
+} from './lifecycle';
+
+// Lifecycle status on the cat profile (active, missing, adopted, ...) with its date and
+// note. Owner, helpers and admins change it; the owner can undo a deletion here too.
+function LifecycleStatusPanel({ cat, user, isAdmin, helpers, t }) {
+    const [form, setForm] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+
+    const meta = getLifecycleMeta(getLifecycleStatus(cat));
+    const canEdit = user && canSetStatus(cat, user.uid, isAdmin, helpers);
+
+    const run = async (action) => {
+        try {
+            setIsBusy(true);
+            await action();
+            setForm(null);
+        } catch (error) {
+            console.error("Error updating cat status:", error);
+            alert(t.alertError);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        run(() => setCatStatus(cat.firestoreId, form));
+    };
+
+    return (
+        <div className="lifecycle-panel">
+            {cat.deleted && (
+                <div className="profile-notice">
+                    {t.lifecycleDeletedNotice}
+                    {user && user.uid === cat.userId && (
+                        <button
+                            type="button"
+                            className="admin-btn primary"
+                            disabled={isBusy}
+                            onClick={() => run(() => restoreDeletedCat(cat.firestoreId))}
+                        >
+                            {t.btnRestoreCat}
+                        </button>
+                    )}
+                </div>
+            )}
+
+            <p>
+                <span className={`badge lifecycle-badge lifecycle-${getLifecycleStatus(cat)}`}>{meta.icon} {t[meta.labelKey]}</span>
+                {cat.statusDate && <span className="profile-muted"> {cat.statusDate}</span>}
+            </p>
+            {cat.statusNote && <p className="cat-detail-desc">{cat.statusNote}</p>}
+            {isInactive(cat) && <p className="profile-muted">{t.lifecycleInactiveDesc}</p>}
+
+            {canEdit && !form && (
+                <button type="button" className="admin-btn" onClick={() => setForm(createStatusForm(cat))}>
+                    {t.btnChangeStatus}
+                </button>
+            )}
+
+            {form && (
+                <form className="treatment-form" onSubmit={handleSubmit}>
+                    <select value={form.status} onChange={(e) => setForm({ ...form, status: e.target.value })}>
+                        {LIFECYCLE_STATUSES.map(status => (
+                            <option key={status.value} value={status.value}>{status.icon} {t[status.labelKey]}</option>
+                        ))}
+                    </select>
+                    <input type="date" required value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} />
+                    <textarea
+                        maxLength={MAX_STATUS_NOTE}
+                        placeholder={t.placeholderStatusNote}
+                        value={form.note}
+                        onChange={(e) => setForm({ ...form, note: e.target.value })}
+                    ></textarea>
+                    <div className="inline-actions">
+                        <button type="button" className="admin-btn" onClick={() => setForm(null)}>{t.adminCancel}</button>
+                        <button type="submit" className="admin-btn primary" disabled={isBusy}>{t.adminSave}</button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+}
+
+export default LifecycleStatusPanel;
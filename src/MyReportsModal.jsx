@@ -0,0 +1,47 @@
+import React from 'react';
+import { useMyReports, getReportReasonMeta } from './reports';
+
+const STATUS_KEYS = {
+    open: 'reportStatusOpen',
+    resolved: 'reportStatusResolved',
+    dismissed: 'reportStatusDismissed',
+};
+
+function MyReportsModal({ user, t, onClose, onOpenCat }) {
+    const reports = useMyReports(user.uid);
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '420px', maxHeight: '70vh', overflowY: 'auto' }}>
+                <button className="modal-close-btn" onClick={onClose}>✕</button>
+                <h3>🚩 {t.myReportsTitle}</h3>
+                {reports.length === 0 ? (
+                    <p style={{ textAlign: 'center', color: '#999', padding: '20px' }}>{t.myReportsEmpty}</p>
+                ) : (
+                    <ul className="my-reports">
+                        {reports.map(report => {
+                            const reason = getReportReasonMeta(report.reason);
+                            return (
+                                <li key={report.id} className={`my-report status-${report.status}`}>
+                                    <button type="button" className="admin-link" onClick={() => onOpenCat(report.catId)}>
+                                        {report.catName || report.catId}
+                                    </button>
+                                    <span className="admin-meta">
+                                        {reason ? t[reason.labelKey] : report.reason}
+                                        {report.createdAt ? ` · ${report.createdAt.toDate().toLocaleDateString()}` : ''}
+                                    </span>
+                                    <span className="my-report-status">
+                                        {t[STATUS_KEYS[report.status]] || report.status}
+                                        {report.outcome && t[`reportOutcome_${report.outcome}`] ? ` — ${t[`reportOutcome_${report.outcome}`]}` : ''}
+                                    </span>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default MyReportsModal;
@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import { doc, getDoc } from "firebase/firestore";
+import { db } from './firebase';
+import {
+    NOTIFICATION_TYPES, DEFAULT_NOTIFICATION_PREFS, DEFAULT_QUIET_HOURS, AREA_RADIUS_OPTIONS_KM,
+    useFollows, followArea, removeFollow, saveNotificationSettings, isPushAvailable, enablePush,
+} from './notifications';
+
+// Follow list, push opt-in, per-type preferences and quiet hours (stored on users/{uid})
+function NotificationSettingsModal({ user, lang, t, mapCenter, onClose, onOpenCat }) {
+    const follows = useFollows(user.uid);
+    const [prefs, setPrefs] = useState(DEFAULT_NOTIFICATION_PREFS);
+    const [quietHours, setQuietHours] = useState(DEFAULT_QUIET_HOURS);
+    const [pushState, setPushState] = useState('checking'); // 'checking' | 'unavailable' | 'off' | 'on'
+    const [areaRadius, setAreaRadius] = useState(AREA_RADIUS_OPTIONS_KM[1]);
+    const [areaLabel, setAreaLabel] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        getDoc(doc(db, "users", user.uid)).then(snapshot => {
+            const data = snapshot.exists() ? snapshot.data() : {};
+            setPrefs({ ...DEFAULT_NOTIFICATION_PREFS, ...data.notificationPrefs });
+            setQuietHours({ ...DEFAULT_QUIET_HOURS, ...data.quietHours });
+        }).catch(error => console.error("Error loading notification settings:", error));
+
+        isPushAvailable().then(available => {
+            if (!available) setPushState('unavailable');
+            else setPushState(Notification.permission === 'granted' ? 'on' : 'off');
+        });
+    }, [user.uid]);
+
+    const handleEnablePush = async () => {
+        try {
+            const enabled = await enablePush(user.uid);
+            setPushState(enabled ? 'on' : 'off');
+            if (!enabled) alert(t.alertPushDenied);
+        } catch (error) {
+            console.error("Error enabling push:", error);
+            alert(t.alertError);
+        }
+    };
+
+    const handleAddArea = async () => {
+        if (!mapCenter) return;
+        try {
+            await followArea(user.uid, {
+                ...mapCenter,
+                radiusKm: areaRadius,
+                label: areaLabel.trim() || `${mapCenter.lat.toFixed(3)}, ${mapCenter.lng.toFixed(3)}`,
+            });
+            setAreaLabel('');
+        } catch (error) {
+            console.error("Error following area:", error);
+            alert(t.alertError);
+        }
+    };
+
+    const handleSave = async () => {
+        try {
+            setIsSaving(true);
+            await saveNotificationSettings(user.uid, { prefs, quietHours, language: lang });
+            onClose();
+        } catch (error) {
+            console.error("Error saving notification settings:", error);
+            alert(t.alertError);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const catFollows = follows.filter(follow => follow.type === 'cat');
+    const areaFollows = follows.filter(follow => follow.type === 'area');
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '420px', maxHeight: '80vh', overflowY: 'auto' }}>
+                <button className="modal-close-btn" onClick={onClose}>✕</button>
+                <h3>🔔 {t.notifyTitle}</h3>
+
+                <div className="notify-section">
+                    {pushState === 'on' && <p className="profile-muted">✅ {t.notifyPushOn}</p>}
+                    {pushState === 'off' && <button type="button" className="edit-btn" onClick={handleEnablePush}>{t.notifyEnablePush}</button>}
+                    {pushState === 'unavailable' && <p className="profile-muted">{t.notifyPushUnavailable}</p>}
+                </div>
+
+                <div className="notify-section">
+                    <label>{t.notifyTypes}</label>
+                    {NOTIFICATION_TYPES.map(type => (
+                        <label key={type.value} className="report-reason">
+                            <input
+                                type="checkbox"
+                                checked={prefs[type.value] !== false}
+                                onChange={(e) => setPrefs({ ...prefs, [type.value]: e.target.checked })}
+                            />
+                            {t[type.labelKey]}
+                        </label>
+                    ))}
+                </div>
+
+                <div className="notify-section">
+                    <label className="report-reason">
+                        <input
+                            type="checkbox"
+                            checked={quietHours.enabled}
+                            onChange={(e) => setQuietHours({ ...quietHours, enabled: e.target.checked })}
+                        />
+                        {t.notifyQuietHours}
+                    </label>
+                    {quietHours.enabled && (
+                        <div className="filter-date-range">
+                            <input type="time" value={quietHours.start} onChange={(e) => setQuietHours({ ...quietHours, start: e.target.value })} />
+                            <span>~</span>
+                            <input type="time" value={quietHours.end} onChange={(e) => setQuietHours({ ...quietHours, end: e.target.value })} />
+                        </div>
+                    )}
+                </div>
+
+                <div className="notify-section">
+                    <label>{t.notifyFollowedCats}</label>
+                    {catFollows.length === 0 ? (
+                        <p className="profile-muted">{t.notifyNoFollowedCats}</p>
+                    ) : (
+                        <ul className="notify-follows">
+                            {catFollows.map(follow => (
+                                <li key={follow.id}>
+                                    <button type="button" className="admin-link" onClick={() => onOpenCat(follow.catId)}>
+                                        {follow.catName || follow.catId}
+                                    </button>
+                                    <button type="button" className="admin-btn" onClick={() => removeFollow(follow.id)}>{t.btnUnfollow}</button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                <div className="notify-section">
+                    <label>{t.notifyFollowedAreas}</label>
+                    {areaFollows.length > 0 && (
+                        <ul className="notify-follows">
+                            {areaFollows.map(follow => (
+                                <li key={follow.id}>
+                                    <span>📍 {follow.label} ({follow.radiusKm}km)</span>
+                                    <button type="button" className="admin-btn" onClick={() => removeFollow(follow.id)}>{t.btnUnfollow}</button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <p className="profile-muted">{t.notifyAreaDesc}</p>
+                    <div className="notify-area-form">
+                        <input
+                            type="text"
+                            value={areaLabel}
+                            onChange={(e) => setAreaLabel(e.target.value)}
+                            placeholder={t.notifyAreaLabelPlaceholder}
+                            maxLength={50}
+                        />
+                        <select value={areaRadius} onChange={(e) => setAreaRadius(Number(e.target.value))}>
+                            {AREA_RADIUS_OPTIONS_KM.map(km => <option key={km} value={km}>{km}km</option>)}
+                        </select>
+                        <button type="button" className="admin-btn primary" onClick={handleAddArea} disabled={!mapCenter}>
+                            {t.notifyAddArea}
+                        </button>
+                    </div>
+                </div>
+
+                <button type="button" className="submit-btn" onClick={handleSave} disabled={isSaving}>
+                    {t.adminSave}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default NotificationSettingsModal;
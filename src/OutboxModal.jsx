@@ -0,0 +1,77 @@
+import React from 'react';
+import { removeOutboxItem, resolveOutboxItem, syncOutbox } from './outbox';
+
+const TYPE_META = {
+    care: { icon: '🍚', labelKey: 'outboxTypeCare' },
+    sighting: { icon: '👀', labelKey: 'outboxTypeSighting' },
+    report: { icon: '🚩', labelKey: 'outboxTypeReport' },
+    cat: { icon: '🐱', labelKey: 'outboxTypeCat' },
+};
+
+// Queued care logs / sightings / reports / registrations of this user with their sync state.
+// Conflicts stay here until the user decides; nothing is overwritten silently.
+function OutboxModal({ user, items, isOnline, t, onClose }) {
+    const run = (action) => action().catch(error => {
+        console.error("Outbox action failed:", error);
+        alert(t.alertError);
+    });
+
+    const conflictText = (conflict) => {
+        if (conflict.reason === 'fedMeanwhile') return t.outboxConflict_fedMeanwhile.replace('{time}', `${conflict.date} ${conflict.time}`);
+        if (conflict.reason === 'possibleDuplicate') return t.outboxConflict_possibleDuplicate.replace('{name}', conflict.targetName);
+        return t[`outboxConflict_${conflict.reason}`] || conflict.reason;
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '420px', maxHeight: '70vh', overflowY: 'auto' }}>
+                <button className="modal-close-btn" onClick={onClose}>✕</button>
+                <h3>📤 {t.outboxTitle}</h3>
+                <p style={{ color: '#666', fontSize: '0.9rem' }}>{isOnline ? t.outboxDesc : t.outboxOfflineDesc}</p>
+                {items.length === 0 ? (
+                    <p style={{ textAlign: 'center', color: '#999', padding: '20px' }}>{t.outboxEmpty}</p>
+                ) : (
+                    <ul className="my-reports">
+                        {items.map(item => {
+                            const meta = TYPE_META[item.type];
+                            return (
+                                <li key={item.id} className={`my-report outbox-item status-${item.status}`}>
+                                    <strong>{meta.icon} {t[meta.labelKey]} · {item.catName}</strong>
+                                    <span className="admin-meta">
+                                        {item.payload.date ? `${item.payload.date} ${item.payload.time}` : new Date(item.createdAt).toLocaleString()}
+                                    </span>
+                                    <span className="my-report-status">
+                                        {item.status === 'conflict' ? conflictText(item.conflict) : t[`outboxStatus_${item.status}`]}
+                                        {item.status === 'failed' && item.error ? ` (${item.error})` : ''}
+                                    </span>
+                                    <div className="admin-actions">
+                                        {item.status === 'conflict' && item.conflict.reason === 'fedMeanwhile' && (
+                                            <button className="admin-btn primary" onClick={() => run(() => resolveOutboxItem(item, 'force'))}>{t.outboxSendAnyway}</button>
+                                        )}
+                                        {item.status === 'conflict' && item.conflict.reason === 'catMerged' && (
+                                            <button className="admin-btn primary" onClick={() => run(() => resolveOutboxItem(item, 'retarget'))}>{t.outboxSendToMerged}</button>
+                                        )}
+                                        {item.status === 'conflict' && item.conflict.reason === 'possibleDuplicate' && (
+                                            <button className="admin-btn primary" onClick={() => run(() => resolveOutboxItem(item, 'force'))}>{t.outboxRegisterAnyway}</button>
+                                        )}
+                                        {(item.status === 'failed' || (item.status === 'conflict' && item.conflict.reason === 'quotaExceeded')) && (
+                                            <button className="admin-btn primary" onClick={() => run(() => resolveOutboxItem(item, 'retry'))}>{t.outboxRetry}</button>
+                                        )}
+                                        <button className="admin-btn danger" onClick={() => window.confirm(t.outboxConfirmDiscard) && run(() => removeOutboxItem(item.id))}>
+                                            {t.outboxDiscard}
+                                        </button>
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+                {isOnline && items.some(item => item.status === 'pending') && (
+                    <button className="submit-btn" onClick={() => run(() => syncOutbox(user.uid))}>{t.outboxSendNow}</button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default OutboxModal;
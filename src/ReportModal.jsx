@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { REPORT_REASONS } from './reports';
+import { submitOrQueue } from './outbox';
+
+function ReportModal({ cat, user, t, onClose }) {
+    const [reason, setReason] = useState('');
+    const [note, setNote] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!reason) {
+            alert(t.alertReportReason);
+            return;
+        }
+
+        try {
+            setIsSubmitting(true);
+            const result = await submitOrQueue({
+                type: 'report',
+                uid: user.uid,
+                catId: cat.firestoreId,
+                catName: cat.name || '',
+                payload: { reason, note: note.trim() },
+            });
+            if (result.status === 'queued') alert(t.alertQueuedOffline);
+            else alert(result.status === 'done' ? t.alertReported : t.alertAlreadyReported);
+            onClose();
+        } catch (error) {
+            console.error("Error submitting report:", error);
+            alert(t.alertError);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '400px' }}>
+                <button className="modal-close-btn" onClick={onClose}>✕</button>
+                <h3>🚩 {t.reportTitle}</h3>
+                <p style={{ color: '#666', fontSize: '0.9rem' }}>{t.reportDesc}</p>
+                <form onSubmit={handleSubmit}>
+                    <div className="report-reasons">
+                        {REPORT_REASONS.map(item => (
+                            <label key={item.value} className="report-reason">
+                                <input
+                                    type="radio"
+                                    name="reportReason"
+                                    value={item.value}
+                                    checked={reason === item.value}
+                                    onChange={() => setReason(item.value)}
+                                />
+                                {t[item.labelKey]}
+                            </label>
+                        ))}
+                    </div>
+                    <textarea
+                        value={note}
+                        onChange={(e) => setNote(e.target.value)}
+                        placeholder={t.reportNotePlaceholder}
+                        maxLength={500}
+                        rows={3}
+                        style={{ width: '100%', marginTop: '10px' }}
+                    />
+                    <button type="submit" className="submit-btn" disabled={isSubmitting}>
+                        {isSubmitting ? t.reportSubmitting : t.reportSubmit}
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+export default ReportModal;
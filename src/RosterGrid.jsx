@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { ROSTER_DAYS, ROSTER_SLOTS, getSlotKey, getRoster, getMissedSlot, getRosterToday, claimRosterSlot, releaseRosterSlot } from './roster';
+
+// Week x slot grid. Empty cells can be claimed, your own cells released; the slot
+// that just passed without a feeding is marked so someone else can step in.
+function RosterGrid({ docRef, target, lastFedAt, user, userNickname, t }) {
+    const [busyKey, setBusyKey] = useState(null);
+    const roster = getRoster(target);
+    const missed = getMissedSlot(target, lastFedAt);
+    // Named by its key, which is Korean time like the grid
+    const [missedDay, missedHour] = missed ? missed.key.split('_') : [];
+    const today = getRosterToday();
+
+    const handleCell = async (slotKey) => {
+        if (!user) return;
+        const claim = roster[slotKey];
+        if (claim && claim.uid !== user.uid) return;
+        if (claim && !window.confirm(t.rosterConfirmRelease)) return;
+
+        try {
+            setBusyKey(slotKey);
+            if (claim) {
+                await releaseRosterSlot(docRef, slotKey, user.uid);
+            } else if (!await claimRosterSlot(docRef, slotKey, { uid: user.uid, nickname: userNickname })) {
+                alert(t.alertRosterTaken);
+            }
+        } catch (error) {
+            console.error("Error updating roster:", error);
+            alert(t.alertError);
+        } finally {
+            setBusyKey(null);
+        }
+    };
+
+    return (
+        <div className="roster">
+            {missed && (
+                <p className="roster-missed-notice">
+                    ⏰ {t.rosterMissed
+                        .replace('{slot}', `${t[ROSTER_DAYS.find(d => d.day === Number(missedDay)).labelKey]} ${Number(missedHour)}:00`)
+                        .replace('{name}', missed.claim.nickname || '')}
+                </p>
+            )}
+            <table className="roster-grid">
+                <thead>
+                    <tr>
+                        <th></th>
+                        {ROSTER_DAYS.map(({ day, labelKey }) => (
+                            <th key={day} className={day === today ? 'today' : ''}>{t[labelKey]}</th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {ROSTER_SLOTS.map(({ hour, labelKey }) => (
+                        <tr key={hour}>
+                            <th>{t[labelKey]}</th>
+                            {ROSTER_DAYS.map(({ day }) => {
+                                const slotKey = getSlotKey(day, hour);
+                                const claim = roster[slotKey];
+                                const state = missed && missed.key === slotKey
+                                    ? 'missed'
+                                    : claim ? (user && claim.uid === user.uid ? 'mine' : 'taken') : 'open';
+                                return (
+                                    <td key={slotKey}>
+                                        <button
+                                            type="button"
+                                            className={`roster-cell ${state}`}
+                                            title={claim ? claim.nickname : t.rosterOpen}
+                                            disabled={!user || busyKey === slotKey || state === 'taken'}
+                                            onClick={() => handleCell(slotKey)}
+                                        >
+                                            {claim ? (claim.nickname || '✓').slice(0, 3) : '+'}
+                                        </button>
+                                    </td>
+                                );
+                            })}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <p className="profile-muted roster-legend">{t.rosterLegend}</p>
+        </div>
+    );
+}
+
+export default RosterGrid;
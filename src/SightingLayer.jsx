@@ -0,0 +1,43 @@
+import React from 'react';
+import { CircleMarker, Polygon, Popup } from 'react-leaflet';
+import { useSightings, estimateHomeRange } from './sightings';
+
+const RANGE_COLOR = '#6c5ce7';
+
+// Sighting points and estimated home range of one cat, drawn on the main map.
+// The registration location counts as the first sighting.
+function SightingLayer({ cat }) {
+    const sightings = useSightings(cat.firestoreId);
+    const points = [[cat.lat, cat.lng], ...sightings.map(s => [s.lat, s.lng])];
+    const range = estimateHomeRange(points);
+
+    return (
+        <>
+            {range && (
+                <Polygon
+                    positions={range}
+                    pathOptions={{ color: RANGE_COLOR, weight: 2, fillOpacity: 0.12, dashArray: '6 4' }}
+                />
+            )}
+            {sightings.map(sighting => (
+                <CircleMarker
+                    key={sighting.id}
+                    center={[sighting.lat, sighting.lng]}
+                    radius={6}
+                    pathOptions={{ color: 'white', weight: 2, fillColor: RANGE_COLOR, fillOpacity: 0.9 }}
+                >
+                    <Popup>
+                        <div className="sighting-popup">
+                            <strong>👀 {sighting.date} {sighting.time}</strong>
+                            {sighting.nickname && <div>{sighting.nickname}</div>}
+                            {sighting.note && <div>{sighting.note}</div>}
+                            {sighting.photo && <img src={sighting.photo} alt="" className="sighting-popup-photo" />}
+                        </div>
+                    </Popup>
+                </CircleMarker>
+            ))}
+        </>
+    );
+}
+
+export default SightingLayer;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { SPOT_TYPES, MAX_SPOT_CATS, createEmptySpotForm, addSpot, updateSpot, useLinkedCats } from './spots';
+
+// Create a feeding spot at `coords`, or edit `spot`. Cats near the spot (and the ones
+// already linked) can be linked to it.
+function SpotFormModal({ spot, coords, nearbyCats, user, userNickname, t, onClose, onSaved }) {
+    const [form, setForm] = useState(() => (spot
+        ? { name: spot.name, type: spot.type, stockNote: spot.stockNote || '', catIds: spot.catIds || [] }
+        : createEmptySpotForm()));
+    const [isSaving, setIsSaving] = useState(false);
+    const linkedCats = useLinkedCats(spot ? spot.catIds : []);
+
+    const candidates = [...linkedCats, ...nearbyCats.filter(cat => !linkedCats.some(linked => linked.firestoreId === cat.firestoreId))];
+
+    const toggleCat = (catId) => {
+        if (form.catIds.includes(catId)) {
+            setForm({ ...form, catIds: form.catIds.filter(id => id !== catId) });
+        } else if (form.catIds.length < MAX_SPOT_CATS) {
+            setForm({ ...form, catIds: [...form.catIds, catId] });
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!form.name.trim()) return;
+        try {
+            setIsSaving(true);
+            if (spot) await updateSpot(spot.firestoreId, form);
+            else await addSpot(user, userNickname, coords, form);
+            alert(t.alertSpotSaved);
+            onSaved();
+        } catch (error) {
+            console.error("Error saving feeding spot:", error);
+            alert(t.alertError);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '400px', maxHeight: '80vh', overflowY: 'auto' }}>
+                <button className="modal-close-btn" onClick={onClose}>✕</button>
+                <h3>{spot ? t.spotEditTitle : t.spotAddTitle}</h3>
+                <form onSubmit={handleSubmit}>
+                    <div className="form-group">
+                        <label>{t.labelSpotName}</label>
+                        <input
+                            type="text"
+                            required
+                            maxLength={50}
+                            placeholder={t.placeholderSpotName}
+                            value={form.name}
+                            onChange={(e) => setForm({ ...form, name: e.target.value })}
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>{t.labelSpotType}</label>
+                        <div className="filter-chips">
+                            {SPOT_TYPES.map(type => (
+                                <button
+                                    key={type.value}
+                                    type="button"
+                                    className={`filter-chip ${form.type === type.value ? 'active' : ''}`}
+                                    onClick={() => setForm({ ...form, type: type.value })}
+                                >
+                                    {type.icon} {t[type.labelKey]}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <div className="form-group">
+                        <label>{t.labelSpotStock}</label>
+                        <textarea
+                            maxLength={500}
+                            placeholder={t.placeholderSpotStock}
+                            value={form.stockNote}
+                            onChange={(e) => setForm({ ...form, stockNote: e.target.value })}
+                        ></textarea>
+                    </div>
+                    <div className="form-group">
+                        <label>{t.labelSpotCats}</label>
+                        {candidates.length === 0 ? (
+                            <p className="profile-muted">{t.spotNoNearbyCats}</p>
+                        ) : (
+                            <div className="spot-cat-options">
+                                {candidates.map(cat => (
+                                    <label key={cat.firestoreId} className="report-reason">
+                                        <input
+                                            type="checkbox"
+                                            checked={form.catIds.includes(cat.firestoreId)}
+                                            onChange={() => toggleCat(cat.firestoreId)}
+                                        />
+                                        {cat.name}
+                                    </label>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                    <button type="submit" className="submit-btn" disabled={isSaving}>
+                        {isSaving ? t.spotSaving : t.adminSave}
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+export default SpotFormModal;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Marker, Tooltip } from 'react-leaflet';
+import L from 'leaflet';
+import { getSpotTypeMeta } from './spots';
+import { getFeedingState, getLastCareTime, FEEDING_COLORS } from './catMarkers';
+import { getMissedSlot } from './roster';
+
+// Square markers so spots read differently from the round cat markers; cached like cat icons
+const iconCache = new Map();
+
+const getSpotIcon = (spot) => {
+    const feeding = getFeedingState(spot);
+    const missedSlot = Boolean(getMissedSlot(spot, getLastCareTime(spot)));
+    const key = `${spot.type}|${feeding}|${missedSlot}`;
+    if (iconCache.has(key)) return iconCache.get(key);
+
+    const feedingBadge = feeding
+        ? `<span class="cat-marker-badge feeding" style="background: ${FEEDING_COLORS[feeding]};"></span>`
+        : '';
+    const missedBadge = missedSlot ? `<span class="cat-marker-badge missed">⏰</span>` : '';
+
+    const icon = new L.DivIcon({
+        className: 'custom-spot-icon',
+        html: `<div class="spot-marker">${getSpotTypeMeta(spot.type).icon}${feedingBadge}${missedBadge}</div>`,
+        iconSize: [28, 28],
+        iconAnchor: [14, 14],
+    });
+    iconCache.set(key, icon);
+    return icon;
+};
+
+// Feeding spots in the loaded viewport, drawn above the cat clusters
+function SpotLayer({ spots, onSelect }) {
+    return spots.map(spot => (
+        <Marker
+            key={spot.firestoreId}
+            position={[spot.lat, spot.lng]}
+            icon={getSpotIcon(spot)}
+            zIndexOffset={500}
+            eventHandlers={{ click: () => onSelect(spot) }}
+        >
+            <Tooltip direction="top" offset={[0, -14]}>{spot.name}</Tooltip>
+        </Marker>
+    ));
+}
+
+export default SpotLayer;
@@ -0,0 +1,255 @@
+import React, { useState } from 'react';
+import { doc } from "firebase/firestore";
+import { db } from './firebase';
+import { getSpotTypeMeta, isSpotManager, joinSpot, leaveSpot, deleteSpot, addSpotCareLog, useSpot, useLinkedCats, MAX_CATS_SEEN } from './spots';
+import { CARE_TYPES, createEmptyCareForm } from './careLog';
+import { getLastFeeding, getLastCareTime } from './catMarkers';
+import CareTimeline from './CareTimeline';
+import RosterGrid from './RosterGrid';
+
+// Detail view for /spot/:id: caretakers, linked cats, stock, roster and the spot's care log.
+// A care entry can say which linked cats showed up; those cats get the entry too.
+function SpotPanel({ spotId, user, userNickname, isAdmin, isBanned, t, onClose, onEdit, onOpenCat, onLoginClick }) {
+    const spot = useSpot(spotId);
+    const linkedCats = useLinkedCats(spot ? spot.catIds : []);
+    const [careForm, setCareForm] = useState(null); // null while the form is closed
+    const [catsSeen, setCatsSeen] = useState([]);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    if (!spot) {
+        return (
+            <div className="modal-overlay" onClick={onClose}>
+                <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '420px' }}>
+                    <button className="modal-close-btn" onClick={onClose}>✕</button>
+                    <p className="profile-empty">{spot === undefined ? t.profileLoading : t.spotNotFound}</p>
+                </div>
+            </div>
+        );
+    }
+
+    const isManager = isSpotManager(spot, user && user.uid);
+    const canEdit = user && (isAdmin || isManager || user.uid === spot.userId);
+    const canDelete = user && (isAdmin || user.uid === spot.userId);
+    const type = getSpotTypeMeta(spot.type);
+    const lastFeeding = getLastFeeding(spot);
+    const managers = Object.entries(spot.managers || {});
+
+    const handleToggleManager = async () => {
+        try {
+            if (isManager) {
+                if (!window.confirm(t.spotConfirmLeave)) return;
+                await leaveSpot(spot.firestoreId, user.uid);
+            } else {
+                await joinSpot(spot.firestoreId, user.uid, userNickname);
+            }
+        } catch (error) {
+            console.error("Error updating spot caretakers:", error);
+            alert(t.alertError);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(t.spotConfirmDelete)) return;
+        try {
+            await deleteSpot(spot.firestoreId);
+            onClose();
+        } catch (error) {
+            console.error("Error deleting feeding spot:", error);
+            alert(t.alertError);
+        }
+    };
+
+    const toggleSeen = (cat) => {
+        if (catsSeen.some(seen => seen.id === cat.firestoreId)) {
+            setCatsSeen(catsSeen.filter(seen => seen.id !== cat.firestoreId));
+        } else if (catsSeen.length < MAX_CATS_SEEN) {
+            setCatsSeen([...catsSeen, { id: cat.firestoreId, name: cat.name }]);
+        }
+    };
+
+    const handleSubmitCare = async (e) => {
+        e.preventDefault();
+        if (isBanned) {
+            alert(t.alertBanned);
+            return;
+        }
+        if (careForm.types.length === 0) {
+            alert(t.alertCareType);
+            return;
+        }
+        try {
+            setIsSubmitting(true);
+            await addSpotCareLog(spot.firestoreId, {
+                date: careForm.date,
+                time: careForm.time,
+                types: careForm.types,
+                amount: careForm.amount.trim(),
+                note: careForm.note.trim(),
+                uid: user.uid,
+                nickname: userNickname,
+            }, catsSeen);
+            setCareForm(null);
+            setCatsSeen([]);
+            alert(t.alertCare);
+        } catch (error) {
+            console.error("Error adding spot care log:", error);
+            alert(t.alertError);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content spot-panel" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '440px', maxHeight: '85vh', overflowY: 'auto' }}>
+                <button className="modal-close-btn" onClick={onClose}>✕</button>
+                <h3>{type.icon} {spot.name}</h3>
+                <div className="cat-badges">
+                    <span className="badge">{t[type.labelKey]}</span>
+                    <span className="badge">{t.spotCareCount}: {spot.careCount || 0}</span>
+                </div>
+                {lastFeeding && <p className="profile-muted">{t.lastMeal} {lastFeeding.date} {lastFeeding.time}</p>}
+
+                <section className="profile-section">
+                    <h4>📦 {t.labelSpotStock}</h4>
+                    <p className="spot-stock">{spot.stockNote || t.spotNoStockNote}</p>
+                </section>
+
+                <section className="profile-section">
+                    <h4>🙋 {t.spotManagers} ({managers.length})</h4>
+                    <ul className="profile-helpers">
+                        {managers.map(([uid, nickname]) => <li key={uid}>{nickname || t.anonymousName}</li>)}
+                    </ul>
+                    {user ? (
+                        <button type="button" className="admin-btn" onClick={handleToggleManager}>
+                            {isManager ? t.btnLeaveSpot : t.btnJoinSpot}
+                        </button>
+                    ) : (
+                        <button type="button" className="admin-btn" onClick={onLoginClick}>{t.btnJoinSpot}</button>
+                    )}
+                </section>
+
+                <section className="profile-section">
+                    <h4>🐱 {t.labelSpotCats} ({linkedCats.length})</h4>
+                    {linkedCats.length === 0 ? (
+                        <p className="profile-muted">{t.spotNoCats}</p>
+                    ) : (
+                        <ul className="notify-follows">
+                            {linkedCats.map(cat => (
+                                <li key={cat.firestoreId}>
+                                    <button type="button" className="admin-link" onClick={() => onOpenCat(cat.firestoreId)}>{cat.name}</button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </section>
+
+                {user && (
+                    <section className="profile-section">
+                        {!careForm ? (
+                            <button type="button" className="action-btn care-btn" onClick={() => setCareForm(createEmptyCareForm())}>
+                                🍚 {t.btnSpotCare}
+                            </button>
+                        ) : (
+                            <form onSubmit={handleSubmitCare}>
+                                <div className="form-group">
+                                    <label>{t.labelCareTypes}</label>
+                                    <div className="filter-chips">
+                                        {CARE_TYPES.map(careType => (
+                                            <button
+                                                key={careType.value}
+                                                type="button"
+                                                className={`filter-chip ${careForm.types.includes(careType.value) ? 'active' : ''}`}
+                                                onClick={() => setCareForm({
+                                                    ...careForm,
+                                                    types: careForm.types.includes(careType.value)
+                                                        ? careForm.types.filter(v => v !== careType.value)
+                                                        : [...careForm.types, careType.value]
+                                                })}
+                                            >
+                                                {careType.icon} {t[careType.labelKey]}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                                <div className="filter-date-range">
+                                    <input type="date" required value={careForm.date} onChange={(e) => setCareForm({ ...careForm, date: e.target.value })} />
+                                    <input type="time" required value={careForm.time} onChange={(e) => setCareForm({ ...careForm, time: e.target.value })} />
+                                </div>
+                                <div className="form-group">
+                                    <label>{t.labelCareAmount}</label>
+                                    <input
+                                        type="text"
+                                        maxLength={100}
+                                        placeholder={t.placeholderCareAmount}
+                                        value={careForm.amount}
+                                        onChange={(e) => setCareForm({ ...careForm, amount: e.target.value })}
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label>{t.labelCareNote}</label>
+                                    <textarea
+                                        maxLength={500}
+                                        placeholder={t.placeholderCareNote}
+                                        value={careForm.note}
+                                        onChange={(e) => setCareForm({ ...careForm, note: e.target.value })}
+                                    ></textarea>
+                                </div>
+                                {linkedCats.length > 0 && (
+                                    <div className="form-group">
+                                        <label>{t.labelCatsSeen}</label>
+                                        <div className="spot-cat-options">
+                                            {linkedCats.map(cat => (
+                                                <label key={cat.firestoreId} className="report-reason">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={catsSeen.some(seen => seen.id === cat.firestoreId)}
+                                                        onChange={() => toggleSeen(cat)}
+                                                    />
+                                                    {cat.name}
+                                                </label>
+                                            ))}
+                                        </div>
+                                        <p className="profile-muted">{t.spotCatsSeenHint}</p>
+                                    </div>
+                                )}
+                                <div className="inline-actions">
+                                    <button type="button" className="admin-btn" onClick={() => setCareForm(null)}>{t.adminCancel}</button>
+                                    <button type="submit" className="admin-btn primary" disabled={isSubmitting}>{t.btnComplete}</button>
+                                </div>
+                            </form>
+                        )}
+                    </section>
+                )}
+
+                <section className="profile-section">
+                    <h4>📅 {t.rosterTitle}</h4>
+                    <RosterGrid
+                        docRef={doc(db, "spots", spot.firestoreId)}
+                        target={spot}
+                        lastFedAt={getLastCareTime(spot)}
+                        user={user}
+                        userNickname={userNickname}
+                        t={t}
+                    />
+                </section>
+
+                {user && (
+                    <section className="profile-section">
+                        <h4>{t.historyTitle}</h4>
+                        <CareTimeline spotId={spot.firestoreId} t={t} />
+                    </section>
+                )}
+
+                {(canEdit || canDelete) && (
+                    <div className="inline-actions">
+                        {canEdit && <button type="button" className="admin-btn" onClick={() => onEdit(spot)}>{t.btnEditSpot}</button>}
+                        {canDelete && <button type="button" className="admin-btn danger" onClick={handleDelete}>{t.btnDeleteSpot}</button>}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default SpotPanel;
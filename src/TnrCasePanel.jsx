@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import {
+    TNR_STEPS, TNR_CANCELLED, getStepIndex, getNextStep, isOpenCase, canUpdateCase, canReleaseCase, useTnrCase,
+    requestTnrCase, advanceTnrCase, cancelTnrCase, setCaseHospital, joinTnrCase, leaveTnrCase,
+} from './tnrCases';
+import { findNearestHospitals, formatDistance } from './hospitals';
+
+// Hospitals offered for a case: the nearest ones within this radius
+const CASE_HOSPITAL_RADIUS_KM = 10;
+
+// TNR case of one cat on its profile: progress with dates, volunteers, the clinic, and
+// the next step for the people working on it. Released cases update the cat's TNR status.
+function TnrCasePanel({ cat, user, userNickname, isAdmin, t, onLoginClick }) {
+    const tnrCase = useTnrCase(cat.firestoreId);
+    const [stepDate, setStepDate] = useState(() => new Date().toISOString().split('T')[0]);
+    const [hospitals, setHospitals] = useState([]);
+    const [isBusy, setIsBusy] = useState(false);
+
+    const isOpen = isOpenCase(tnrCase);
+    const canUpdate = tnrCase && user && canUpdateCase(tnrCase, user.uid, isAdmin);
+
+    useEffect(() => {
+        if (!isOpen || !canUpdate) return undefined;
+        let cancelled = false;
+        findNearestHospitals(cat.lat, cat.lng, { radiusKm: CASE_HOSPITAL_RADIUS_KM })
+            .then(list => { if (!cancelled) setHospitals(list); })
+            .catch(error => console.error("Failed to load hospital data:", error));
+        return () => { cancelled = true; };
+    }, [isOpen, canUpdate, cat.lat, cat.lng]);
+
+    const run = async (action) => {
+        try {
+            setIsBusy(true);
+            await action();
+        } catch (error) {
+            console.error("Error updating TNR case:", error);
+            alert(t.alertError);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    if (!tnrCase || tnrCase.step === TNR_CANCELLED) {
+        if (cat.neutered === '확인됨(TNR 완료)') return null;
+        return (
+            <div className="tnr-case">
+                {tnrCase && <p className="profile-muted">{t.tnrCaseCancelled}</p>}
+                <button
+                    type="button"
+                    className="admin-btn primary"
+                    disabled={isBusy}
+                    onClick={() => (user ? run(() => requestTnrCase(cat, user, userNickname)) : onLoginClick())}
+                >
+                    ✂️ {t.btnRequestTnr}
+                </button>
+                <p className="profile-muted">{t.tnrRequestDesc}</p>
+            </div>
+        );
+    }
+
+    const currentIndex = getStepIndex(tnrCase.step);
+    const nextStep = getNextStep(tnrCase.step);
+    const nextMeta = TNR_STEPS.find(step => step.value === nextStep);
+    const volunteers = Object.entries(tnrCase.volunteers || {});
+    const isVolunteer = user && user.uid in (tnrCase.volunteers || {});
+    // Volunteers help up to the clinic; release is for the requester, the cat's owner and admins
+    const canAdvance = nextStep === 'released' ? Boolean(user) && canReleaseCase(tnrCase, cat, user.uid, isAdmin) : canUpdate;
+
+    const handleHospitalChange = (value) => {
+        const hospital = hospitals.find(h => String(h.id) === value) || null;
+        run(() => setCaseHospital(cat.firestoreId, hospital));
+    };
+
+    return (
+        <div className="tnr-case">
+            <ol className="tnr-steps">
+                {TNR_STEPS.map((step, idx) => (
+                    <li key={step.value} className={idx < currentIndex ? 'done' : idx === currentIndex ? 'current' : ''}>
+                        <span className="tnr-step-icon">{step.icon}</span>
+                        <span>{t[step.labelKey]}</span>
+                        {tnrCase.stepDates && tnrCase.stepDates[step.value] && (
+                            <span className="tnr-step-date">{tnrCase.stepDates[step.value]}</span>
+                        )}
+                    </li>
+                ))}
+            </ol>
+
+            <p>
+                🏥 {t.tnrHospital}: {tnrCase.hospital
+                    ? <>{tnrCase.hospital.name}{tnrCase.hospital.phone && <> (📞 {tnrCase.hospital.phone})</>}</>
+                    : <span className="profile-muted">{t.tnrNoHospital}</span>}
+            </p>
+            {isOpen && canUpdate && hospitals.length > 0 && (
+                <select
+                    value={tnrCase.hospital ? String(tnrCase.hospital.id) : ''}
+                    onChange={(e) => handleHospitalChange(e.target.value)}
+                    disabled={isBusy}
+                >
+                    <option value="">{t.tnrPickHospital}</option>
+                    {hospitals.map(hospital => (
+                        <option key={hospital.id} value={String(hospital.id)}>
+                            {hospital.name} ({formatDistance(hospital.distanceKm)})
+                        </option>
+                    ))}
+                </select>
+            )}
+
+            <p>
+                🙋 {t.tnrVolunteers} ({volunteers.length}): {volunteers.map(([uid, nickname]) => nickname || t.anonymousName).join(', ')}
+            </p>
+            {isOpen && user && (
+                <button
+                    type="button"
+                    className="admin-btn"
+                    disabled={isBusy}
+                    onClick={() => run(() => (isVolunteer
+                        ? leaveTnrCase(cat.firestoreId, user.uid)
+                        : joinTnrCase(cat.firestoreId, user.uid, userNickname)))}
+                >
+                    {isVolunteer ? t.btnLeaveTnr : t.btnJoinTnr}
+                </button>
+            )}
+
+            {isOpen && (canUpdate || canAdvance) && nextMeta && (
+                <div className="tnr-next">
+                    <label>
+                        {nextStep === 'trapScheduled' ? t.tnrTrapDate : t.labelDate}
+                        <input type="date" value={stepDate} onChange={(e) => setStepDate(e.target.value)} />
+                    </label>
+                    <div className="inline-actions">
+                        {canUpdate && (
+                            <button
+                                type="button"
+                                className="admin-btn danger"
+                                disabled={isBusy}
+                                onClick={() => window.confirm(t.tnrConfirmCancel) && run(() => cancelTnrCase(cat.firestoreId))}
+                            >
+                                {t.btnCancelTnr}
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            className="admin-btn primary"
+                            disabled={isBusy || !canAdvance}
+                            onClick={() => {
+                                if (nextStep === 'released' && !window.confirm(t.tnrConfirmRelease)) return;
+                                run(() => advanceTnrCase(cat.firestoreId, stepDate));
+                            }}
+                        >
+                            {nextMeta.icon} {t.btnTnrNext.replace('{step}', t[nextMeta.labelKey])}
+                        </button>
+                    </div>
+                    {!canAdvance && <p className="profile-muted">{t.tnrReleaseRestricted}</p>}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default TnrCasePanel;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { TNR_STEPS, getStepIndex, isOpenCase } from './tnrCases';
+import { useViewportTnrCases } from './useViewportCats';
+
+// Open TNR cases around the visible map area, earliest step first
+function TnrCasesModal({ bounds, t, onClose, onOpenCat }) {
+    const cases = useViewportTnrCases(bounds)
+        .filter(isOpenCase)
+        .sort((a, b) => getStepIndex(a.step) - getStepIndex(b.step)
+            || (a.stepDates.requested || '').localeCompare(b.stepDates.requested || ''));
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '480px', maxHeight: '80vh', overflowY: 'auto' }}>
+                <button className="modal-close-btn" onClick={onClose}>✕</button>
+                <h3>✂️ {t.tnrCasesTitle}</h3>
+                <p className="profile-muted">{t.tnrCasesDesc}</p>
+                {cases.length === 0 ? (
+                    <p className="profile-empty">{t.tnrCasesEmpty}</p>
+                ) : (
+                    <ul className="tnr-case-list">
+                        {cases.map(tnrCase => {
+                            const step = TNR_STEPS[getStepIndex(tnrCase.step)];
+                            return (
+                                <li key={tnrCase.firestoreId}>
+                                    <button type="button" className="admin-link" onClick={() => onOpenCat(tnrCase.catId)}>
+                                        {tnrCase.catName}
+                                    </button>
+                                    <span className="badge">{step.icon} {t[step.labelKey]} {tnrCase.stepDates[tnrCase.step] || ''}</span>
+                                    <span className="profile-muted">
+                                        🙋 {Object.keys(tnrCase.volunteers || {}).length}
+                                        {tnrCase.hospital && ` · 🏥 ${tnrCase.hospital.name}`}
+                                    </span>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default TnrCasesModal;
@@ -0,0 +1,298 @@
+import React, { useState, useEffect } from 'react';
+import {
+    TREATMENT_URGENCY, OUTCOME_NEEDS, OUTCOME_CONDITIONS, MAX_VISITS, MAX_MEDICATIONS,
+    createEmptyTreatmentForm, createEmptyVisitForm, createEmptyMedicationForm, createOutcomeForm,
+    getTotalCost, isFollowUpDue, canEditTreatments, useTreatments,
+    openTreatment, updateTreatment, addVisit, addMedication, removeMedication, closeTreatment,
+} from './treatments';
+import { findNearestHospitals } from './hospitals';
+
+const getUrgencyMeta = (value) => TREATMENT_URGENCY.find(u => u.value === value) || TREATMENT_URGENCY[1];
+
+const formatCost = (cost, t) => `${cost.toLocaleString()}${t.currencyUnit}`;
+
+// One case: visits, medications and follow-up, with the forms for the people allowed to edit
+function TreatmentCaseCard({ catId, treatment, canEdit, user, userNickname, hospitalNames, t }) {
+    const [form, setForm] = useState(null); // 'visit' | 'medication' | 'close' | null
+    const [visit, setVisit] = useState(createEmptyVisitForm);
+    const [medication, setMedication] = useState(createEmptyMedicationForm);
+    const [outcome, setOutcome] = useState(createOutcomeForm);
+    const [isBusy, setIsBusy] = useState(false);
+
+    const isOpen = treatment.status === 'open';
+    const editable = canEdit && isOpen;
+    const author = { uid: user ? user.uid : null, nickname: userNickname };
+
+    const run = async (action) => {
+        try {
+            setIsBusy(true);
+            await action();
+            setForm(null);
+        } catch (error) {
+            console.error("Error updating treatment:", error);
+            alert(t.alertError);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleAddVisit = (e) => {
+        e.preventDefault();
+        run(async () => {
+            await addVisit(catId, treatment.id, visit, author);
+            setVisit(createEmptyVisitForm());
+        });
+    };
+
+    const handleAddMedication = (e) => {
+        e.preventDefault();
+        if (!medication.name.trim()) return;
+        run(async () => {
+            await addMedication(catId, treatment.id, medication, author.uid);
+            setMedication(createEmptyMedicationForm());
+        });
+    };
+
+    const handleClose = (e) => {
+        e.preventDefault();
+        if (!window.confirm(t.treatmentConfirmClose)) return;
+        run(() => closeTreatment(catId, treatment.id, outcome));
+    };
+
+    const urgency = getUrgencyMeta(treatment.urgency);
+    const visits = [...(treatment.visits || [])].sort((a, b) => a.date.localeCompare(b.date));
+    const medications = treatment.medications || [];
+
+    return (
+        <li className={`treatment-case ${isOpen ? 'open' : 'closed'}`}>
+            <div className="treatment-head">
+                <span className={`badge urgency-${treatment.urgency}`}>{t[urgency.labelKey]}</span>
+                <span className="badge">{isOpen ? t.treatmentOpen : t.treatmentClosed}</span>
+                {treatment.nickname && <span className="profile-muted">{treatment.nickname}</span>}
+            </div>
+            <p className="treatment-symptoms">{treatment.symptoms}</p>
+
+            {isOpen && (
+                <p className={isFollowUpDue(treatment) ? 'treatment-followup due' : 'treatment-followup'}>
+                    📅 {t.labelFollowUp}:{' '}
+                    {editable ? (
+                        <input
+                            type="date"
+                            value={treatment.followUpDate || ''}
+                            onChange={(e) => run(() => updateTreatment(catId, treatment.id, { followUpDate: e.target.value }))}
+                            disabled={isBusy}
+                        />
+                    ) : (treatment.followUpDate || '-')}
+                </p>
+            )}
+
+            <h4>🏥 {t.treatmentVisits} ({visits.length}) · {t.treatmentTotalCost} {formatCost(getTotalCost(treatment), t)}</h4>
+            {visits.length > 0 && (
+                <ul className="treatment-visits">
+                    {visits.map((v, idx) => (
+                        <li key={`${v.date}-${idx}`}>
+                            <strong>{v.date}</strong> {v.hospital}
+                            {v.diagnosis && <div>{t.labelDiagnosis}: {v.diagnosis}</div>}
+                            {v.cost > 0 && <div>{t.labelCost}: {formatCost(v.cost, t)}</div>}
+                            {v.note && <div className="profile-muted">{v.note}</div>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <h4>💊 {t.treatmentMedications} ({medications.length})</h4>
+            {medications.length > 0 && (
+                <ul className="treatment-visits">
+                    {medications.map((m, idx) => (
+                        <li key={`${m.name}-${idx}`}>
+                            <strong>{m.name}</strong> {m.dosage}{m.until && ` (~${m.until})`}
+                            {editable && (
+                                <button type="button" className="admin-btn" disabled={isBusy} onClick={() => run(() => removeMedication(catId, treatment.id, m))}>
+                                    ✕
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {!isOpen && treatment.outcome && (
+                <p className="profile-notice">
+                    {t.treatmentOutcome}: {treatment.outcome.needs} · {treatment.outcome.condition}
+                    {treatment.outcome.note && ` — ${treatment.outcome.note}`}
+                </p>
+            )}
+
+            {editable && !form && (
+                <div className="inline-actions">
+                    {visits.length < MAX_VISITS && <button type="button" className="admin-btn" onClick={() => setForm('visit')}>{t.btnAddVisit}</button>}
+                    {medications.length < MAX_MEDICATIONS && <button type="button" className="admin-btn" onClick={() => setForm('medication')}>{t.btnAddMedication}</button>}
+                    <button type="button" className="admin-btn primary" onClick={() => setForm('close')}>{t.btnCloseTreatment}</button>
+                </div>
+            )}
+
+            {form === 'visit' && (
+                <form className="treatment-form" onSubmit={handleAddVisit}>
+                    <input type="date" required value={visit.date} onChange={(e) => setVisit({ ...visit, date: e.target.value })} />
+                    <input
+                        type="text"
+                        required
+                        maxLength={100}
+                        list={`hospitals-${treatment.id}`}
+                        placeholder={t.placeholderVisitHospital}
+                        value={visit.hospital}
+                        onChange={(e) => setVisit({ ...visit, hospital: e.target.value })}
+                    />
+                    <datalist id={`hospitals-${treatment.id}`}>
+                        {hospitalNames.map(name => <option key={name} value={name} />)}
+                    </datalist>
+                    <input type="text" maxLength={300} placeholder={t.labelDiagnosis} value={visit.diagnosis} onChange={(e) => setVisit({ ...visit, diagnosis: e.target.value })} />
+                    <input type="number" min="0" step="100" placeholder={t.labelCost} value={visit.cost} onChange={(e) => setVisit({ ...visit, cost: e.target.value })} />
+                    <textarea maxLength={500} placeholder={t.labelCareNote} value={visit.note} onChange={(e) => setVisit({ ...visit, note: e.target.value })}></textarea>
+                    <div className="inline-actions">
+                        <button type="button" className="admin-btn" onClick={() => setForm(null)}>{t.adminCancel}</button>
+                        <button type="submit" className="admin-btn primary" disabled={isBusy}>{t.adminSave}</button>
+                    </div>
+                </form>
+            )}
+
+            {form === 'medication' && (
+                <form className="treatment-form" onSubmit={handleAddMedication}>
+                    <input type="text" required maxLength={100} placeholder={t.labelMedicationName} value={medication.name} onChange={(e) => setMedication({ ...medication, name: e.target.value })} />
+                    <input type="text" maxLength={100} placeholder={t.labelDosage} value={medication.dosage} onChange={(e) => setMedication({ ...medication, dosage: e.target.value })} />
+                    <label>
+                        {t.labelMedicationUntil}
+                        <input type="date" value={medication.until} onChange={(e) => setMedication({ ...medication, until: e.target.value })} />
+                    </label>
+                    <div className="inline-actions">
+                        <button type="button" className="admin-btn" onClick={() => setForm(null)}>{t.adminCancel}</button>
+                        <button type="submit" className="admin-btn primary" disabled={isBusy}>{t.adminSave}</button>
+                    </div>
+                </form>
+            )}
+
+            {form === 'close' && (
+                <form className="treatment-form" onSubmit={handleClose}>
+                    <p className="profile-muted">{t.treatmentCloseDesc}</p>
+                    <label>
+                        {t.labelNeeds}
+                        <select value={outcome.needs} onChange={(e) => setOutcome({ ...outcome, needs: e.target.value })}>
+                            {OUTCOME_NEEDS.map(value => <option key={value} value={value}>{value}</option>)}
+                        </select>
+                    </label>
+                    <label>
+                        {t.status}
+                        <select value={outcome.condition} onChange={(e) => setOutcome({ ...outcome, condition: e.target.value })}>
+                            {OUTCOME_CONDITIONS.map(value => <option key={value} value={value}>{value}</option>)}
+                        </select>
+                    </label>
+                    <textarea maxLength={500} placeholder={t.placeholderOutcomeNote} value={outcome.note} onChange={(e) => setOutcome({ ...outcome, note: e.target.value })}></textarea>
+                    <div className="inline-actions">
+                        <button type="button" className="admin-btn" onClick={() => setForm(null)}>{t.adminCancel}</button>
+                        <button type="submit" className="admin-btn primary" disabled={isBusy}>{t.btnCloseTreatment}</button>
+                    </div>
+                </form>
+            )}
+        </li>
+    );
+}
+
+// Treatment cases on the cat profile. Signing up as a helper lets you keep them up to date.
+function TreatmentPanel({ cat, user, userNickname, isAdmin, helpers, t }) {
+    const treatments = useTreatments(user ? cat.firestoreId : null);
+    const [newCase, setNewCase] = useState(null);
+    const [hospitalNames, setHospitalNames] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const canEdit = user && canEditTreatments(cat, user.uid, isAdmin, helpers);
+    const hasOpenCase = treatments.some(treatment => treatment.status === 'open');
+
+    // Nearby clinics as suggestions for the visit form
+    useEffect(() => {
+        if (!canEdit) return undefined;
+        let cancelled = false;
+        findNearestHospitals(cat.lat, cat.lng, { radiusKm: 10 })
+            .then(list => { if (!cancelled) setHospitalNames([...new Set(list.map(h => h.name))]); })
+            .catch(error => console.error("Failed to load hospital data:", error));
+        return () => { cancelled = true; };
+    }, [canEdit, cat.lat, cat.lng]);
+
+    const handleOpen = async (e) => {
+        e.preventDefault();
+        if (!newCase.symptoms.trim()) return;
+        try {
+            setIsSaving(true);
+            await openTreatment(cat.firestoreId, { uid: user.uid, nickname: userNickname }, newCase);
+            setNewCase(null);
+        } catch (error) {
+            console.error("Error opening treatment:", error);
+            alert(t.alertError);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="treatments">
+            {treatments.length === 0 && <p className="profile-muted">{t.treatmentEmpty}</p>}
+            {user && !canEdit && <p className="profile-muted">{t.treatmentHelperHint}</p>}
+
+            {canEdit && !hasOpenCase && !newCase && (
+                <button type="button" className="admin-btn primary" onClick={() => setNewCase(createEmptyTreatmentForm())}>
+                    🩺 {t.btnOpenTreatment}
+                </button>
+            )}
+
+            {newCase && (
+                <form className="treatment-form" onSubmit={handleOpen}>
+                    <textarea
+                        required
+                        maxLength={1000}
+                        placeholder={t.placeholderSymptoms}
+                        value={newCase.symptoms}
+                        onChange={(e) => setNewCase({ ...newCase, symptoms: e.target.value })}
+                    ></textarea>
+                    <div className="filter-chips">
+                        {TREATMENT_URGENCY.map(u => (
+                            <button
+                                key={u.value}
+                                type="button"
+                                className={`filter-chip ${newCase.urgency === u.value ? 'active' : ''}`}
+                                onClick={() => setNewCase({ ...newCase, urgency: u.value })}
+                            >
+                                {t[u.labelKey]}
+                            </button>
+                        ))}
+                    </div>
+                    <label>
+                        {t.labelFollowUp}
+                        <input type="date" value={newCase.followUpDate} onChange={(e) => setNewCase({ ...newCase, followUpDate: e.target.value })} />
+                    </label>
+                    <div className="inline-actions">
+                        <button type="button" className="admin-btn" onClick={() => setNewCase(null)}>{t.adminCancel}</button>
+                        <button type="submit" className="admin-btn primary" disabled={isSaving}>{t.btnOpenTreatment}</button>
+                    </div>
+                </form>
+            )}
+
+            {treatments.length > 0 && (
+                <ul className="treatment-list">
+                    {treatments.map(treatment => (
+                        <TreatmentCaseCard
+                            key={treatment.id}
+                            catId={cat.firestoreId}
+                            treatment={treatment}
+                            canEdit={canEdit}
+                            user={user}
+                            userNickname={userNickname}
+                            hospitalNames={hospitalNames}
+                            t={t}
+                        />
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+export default TreatmentPanel;
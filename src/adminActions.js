@@ -0,0 +1,127 @@
+import { collection, doc, query, where, getDocs, writeBatch, serverTimestamp, deleteField } from "firebase/firestore";
+import { db } from './firebase';
+import { mergeCats } from './catMerge';
+import { getTnrReview } from './earTip';
+
+const addAuditEntry = (batch, admin, action, target, details) => {
+    batch.set(doc(collection(db, "auditLogs")), {
+        action,
+        targetType: target.type,
+        targetId: target.id,
+        targetName: target.name || '',
+        adminUid: admin.uid,
+        adminNickname: admin.nickname || '',
+        details,
+        createdAt: serverTimestamp(),
+    });
+};
+
+// Every moderation write goes through here: the change and its auditLogs entry
+// are committed in one batch, so there is no action without a log line.
+const commitWithAudit = async (admin, action, target, writes, details = {}) => {
+    const batch = writeBatch(db);
+    writes(batch);
+    addAuditEntry(batch, admin, action, target, details);
+    await batch.commit();
+};
+
+// For long-running jobs that write on their own: records the run once it has finished
+export const logAdminJob = (admin, action, details) => commitWithAudit(admin, action, { type: 'job', id: action }, () => {}, details);
+
+const catTarget = (cat) => ({ type: 'cat', id: cat.firestoreId, name: cat.name });
+
+const getOpenReports = async (catId) => {
+    const q = query(collection(db, "reports"), where("catId", "==", catId), where("status", "==", "open"));
+    return (await getDocs(q)).docs;
+};
+
+// Closes the open reports of a cat; reporters see `outcome` in their report list
+const closeReports = (batch, reports, status, outcome) => {
+    reports.forEach(report => batch.update(report.ref, { status, outcome, resolvedAt: serverTimestamp() }));
+};
+
+export const hideCat = async (admin, cat, reason) => {
+    const reports = await getOpenReports(cat.firestoreId);
+    return commitWithAudit(admin, 'hide', catTarget(cat), batch => {
+        batch.update(doc(db, "cats", cat.firestoreId), {
+            hidden: true,
+            hiddenReason: reason,
+            hiddenAt: serverTimestamp(),
+        });
+        closeReports(batch, reports, 'resolved', 'hidden');
+    }, { reason, reports: reports.length });
+};
+
+// Also serves as "reports reviewed, keep the cat": open reports are dismissed
+export const restoreCat = async (admin, cat) => {
+    const reports = await getOpenReports(cat.firestoreId);
+    return commitWithAudit(admin, 'restore', catTarget(cat), batch => {
+        batch.update(doc(db, "cats", cat.firestoreId), {
+            hidden: false,
+            hiddenReason: deleteField(),
+            hiddenAt: deleteField(),
+            mergedInto: deleteField(),
+            reportCount: 0,
+        });
+        closeReports(batch, reports, 'dismissed', 'kept');
+    }, { reports: reports.length });
+};
+
+// Full record merge (src/catMerge.js); the audit entry lands in its final batch
+export const mergeCat = async (admin, cat, targetCatId) => {
+    const reports = await getOpenReports(cat.firestoreId);
+    return mergeCats(cat, targetCatId, batch => {
+        closeReports(batch, reports, 'resolved', 'merged');
+        addAuditEntry(batch, admin, 'merge', catTarget(cat), { targetCatId, reports: reports.length });
+    });
+};
+
+// Soft-deleted records (src/lifecycle.js): back on the map, or gone for good. Subcollections
+// (care logs, helpers, treatments) are left behind on purge, like the old hard delete did.
+export const undeleteCat = (admin, cat) => commitWithAudit(admin, 'undelete', catTarget(cat), batch => {
+    batch.update(doc(db, "cats", cat.firestoreId), {
+        deleted: false,
+        deletedAt: deleteField(),
+        deletedBy: deleteField(),
+    });
+});
+
+export const purgeCat = (admin, cat) => commitWithAudit(admin, 'purge', catTarget(cat), batch => {
+    batch.delete(doc(db, "cats", cat.firestoreId));
+}, { deletedBy: cat.deletedBy || '' });
+
+export const dismissDuplicate = (admin, cat) => commitWithAudit(admin, 'dismissDuplicate', catTarget(cat), batch => {
+    batch.update(doc(db, "cats", cat.firestoreId), { duplicateReview: 'dismissed' });
+}, { possibleDuplicateOf: cat.possibleDuplicateOf || '' });
+
+// `changes` only carries the edited fields; the previous values go into the log
+export const editCat = (admin, cat, changes) => commitWithAudit(admin, 'edit', catTarget(cat), batch => {
+    const update = { ...changes };
+    if ('neutered' in changes) update.tnrReview = getTnrReview(changes.neutered, cat.tnrHint) || deleteField();
+    batch.update(doc(db, "cats", cat.firestoreId), update);
+}, {
+    before: Object.fromEntries(Object.keys(changes).map(key => [key, cat[key] ?? null])),
+    after: changes,
+});
+
+// Photo evidence contradicts the owner's TNR answer: either take the photo's side...
+export const acceptTnrHint = (admin, cat) => commitWithAudit(admin, 'acceptTnrHint', catTarget(cat), batch => {
+    batch.update(doc(db, "cats", cat.firestoreId), { neutered: cat.tnrHint.suggested, tnrReview: deleteField() });
+}, { before: cat.neutered, after: cat.tnrHint.suggested, confidence: cat.tnrHint.confidence });
+
+// ...or keep the owner's answer and drop the hint, which ends the contradiction
+export const dismissTnrHint = (admin, cat) => commitWithAudit(admin, 'dismissTnrHint', catTarget(cat), batch => {
+    batch.update(doc(db, "cats", cat.firestoreId), { tnrHint: deleteField(), tnrReview: deleteField() });
+}, { neutered: cat.neutered, suggested: cat.tnrHint.suggested, confidence: cat.tnrHint.confidence });
+
+export const setUserBanned = (admin, targetUser, banned, reason = '') => commitWithAudit(
+    admin,
+    banned ? 'ban' : 'unban',
+    { type: 'user', id: targetUser.id, name: targetUser.nickname || targetUser.email },
+    batch => {
+        batch.update(doc(db, "users", targetUser.id), banned
+            ? { banned: true, bannedReason: reason, bannedAt: serverTimestamp() }
+            : { banned: false, bannedReason: deleteField(), bannedAt: deleteField() });
+    },
+    { reason },
+);
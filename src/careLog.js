@@ -0,0 +1,79 @@
+import { useState, useEffect } from 'react';
+import { collection, doc, query, orderBy, onSnapshot, runTransaction, increment, serverTimestamp, Timestamp } from "firebase/firestore";
+import { db } from './firebase';
+
+// Care log entry types. Entries store `types` as an array because food and
+// water are usually given in the same visit.
+export const CARE_TYPES = [
+    { value: 'food', icon: '🍚', labelKey: 'careTypeFood' },
+    { value: 'water', icon: '💧', labelKey: 'careTypeWater' },
+    { value: 'shelter', icon: '🧹', labelKey: 'careTypeShelter' },
+    { value: 'medication', icon: '💊', labelKey: 'careTypeMedication' },
+    { value: 'vet', icon: '🏥', labelKey: 'careTypeVet' },
+    { value: 'observation', icon: '👀', labelKey: 'careTypeObservation' },
+];
+
+const FEEDING_TYPES = ['food', 'water'];
+
+// Entries recorded before care types existed came from the "밥/물 줬어요" button
+export const getEntryTypes = (entry) => entry.types && entry.types.length > 0 ? entry.types : FEEDING_TYPES;
+
+export const isFeedingEntry = (entry) => getEntryTypes(entry).some(type => FEEDING_TYPES.includes(type));
+
+export const getCareTypeMeta = (value) => CARE_TYPES.find(type => type.value === value);
+
+export const getEntryTime = (entry) => new Date(`${entry.date}T${entry.time || '00:00'}`);
+
+export const createEmptyCareForm = () => ({
+    date: new Date().toISOString().split('T')[0],
+    time: new Date().toTimeString().split(' ')[0].slice(0, 5),
+    types: [...FEEDING_TYPES],
+    amount: '',
+    note: '',
+});
+
+// `lastFeeding` summary for a new entry, or null when it is not a feeding or older
+// than the current one (back-dated entries must not move lastFeeding backwards)
+export const getLastFeedingUpdate = (current, entry) => {
+    if (!isFeedingEntry(entry)) return null;
+    const at = getEntryTime(entry);
+    if (current && current.at.toMillis() >= at.getTime()) return null;
+    return { date: entry.date, time: entry.time, at: Timestamp.fromDate(at) };
+};
+
+// Care entries live in cats/{catId}/careLogs. The cat document only keeps the
+// `caretakers` counter (atomic increment) and a `lastFeeding` summary for the map.
+// `lastCareLogId` names the new entry, so firestore.rules can tie the +1 to it.
+export const addCareLog = (catId, entry) => runTransaction(db, async (transaction) => {
+    const catRef = doc(db, "cats", catId);
+    const catSnap = await transaction.get(catRef);
+    if (!catSnap.exists()) throw new Error(`Cat ${catId} not found`);
+
+    const logRef = doc(collection(catRef, "careLogs"));
+    transaction.set(logRef, { ...entry, createdAt: serverTimestamp() });
+
+    const update = { caretakers: increment(1), lastCareLogId: logRef.id };
+    const lastFeeding = getLastFeedingUpdate(catSnap.data().lastFeeding, entry);
+    if (lastFeeding) update.lastFeeding = lastFeeding;
+    transaction.update(catRef, update);
+});
+
+// Live care log of a cat (or of a feeding spot, with collectionName "spots"),
+// oldest first by the date/time the caretaker entered
+export function useCareLogs(targetId, collectionName = "cats") {
+    const [entries, setEntries] = useState([]);
+
+    useEffect(() => {
+        if (!targetId) return undefined;
+        const q = query(collection(db, collectionName, targetId, "careLogs"), orderBy("createdAt"));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            const list = querySnapshot.docs.map(logDoc => ({ ...logDoc.data(), id: logDoc.id }));
+            setEntries(list.sort((a, b) => getEntryTime(a) - getEntryTime(b)));
+        }, (error) => {
+            console.error("Error loading care logs:", error);
+        });
+        return () => unsubscribe();
+    }, [targetId, collectionName]);
+
+    return entries;
+}
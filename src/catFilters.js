@@ -0,0 +1,92 @@
+import { getLastCareTime } from './catMarkers';
+import { COAT_UNKNOWN } from './coat';
+import { getLifecycleStatus, isInactive } from './lifecycle';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const NEEDS_OPTIONS = ['없음', '중성화 필요', '즉시 치료 필요', '주기적 길냥이 집사 필요', '직접 입력'];
+export const CONDITION_OPTIONS = ['좋음', '보통', '마름'];
+export const NEUTERED_OPTIONS = ['확인됨(TNR 완료)', '미완료', '모름'];
+
+export const DEFAULT_FILTERS = {
+    text: '',
+    mine: false,
+    needs: [],
+    condition: [],
+    neutered: [],
+    coat: [],
+    foundFrom: '',
+    foundTo: '',
+    notFedDays: '',
+    helpers: '', // 'has' | 'needs'
+    lifecycle: [],
+};
+
+const HELP_NEEDS = ['중성화 필요', '즉시 치료 필요'];
+
+export const matchesFilters = (cat, filters, user) => {
+    if (filters.mine && !(user && cat.userId === user.uid)) return false;
+    if (filters.text && !(cat.name || '').toLowerCase().includes(filters.text.toLowerCase())) return false;
+    // Cats that left the street (adopted, deceased, ...) only show up when searched for by name or status
+    if (filters.lifecycle.length > 0) {
+        if (!filters.lifecycle.includes(getLifecycleStatus(cat))) return false;
+    } else if (!filters.text && isInactive(cat)) {
+        return false;
+    }
+    if (filters.needs.length > 0 && !filters.needs.includes(cat.needs || '없음')) return false;
+    if (filters.condition.length > 0 && !filters.condition.includes(cat.condition)) return false;
+    if (filters.neutered.length > 0 && !filters.neutered.includes(cat.neutered)) return false;
+    if (filters.coat.length > 0 && !filters.coat.includes(cat.coat || COAT_UNKNOWN)) return false;
+    if (filters.foundFrom && (!cat.foundDate || cat.foundDate < filters.foundFrom)) return false;
+    if (filters.foundTo && (!cat.foundDate || cat.foundDate > filters.foundTo)) return false;
+
+    if (filters.notFedDays) {
+        const lastCare = getLastCareTime(cat);
+        if (lastCare && Date.now() - lastCare.getTime() < Number(filters.notFedDays) * DAY) return false;
+    }
+
+    if (filters.helpers) {
+        const hasHelpers = (cat.helpers || 0) > 0;
+        if (filters.helpers === 'has' && !hasHelpers) return false;
+        if (filters.helpers === 'needs' && (hasHelpers || !HELP_NEEDS.includes(cat.needs))) return false;
+    }
+
+    return true;
+};
+
+export const countActiveFilters = (filters) =>
+    Object.keys(DEFAULT_FILTERS).filter(key => key !== 'text' && key !== 'mine')
+        .filter(key => Array.isArray(filters[key]) ? filters[key].length > 0 : Boolean(filters[key]))
+        .length;
+
+// --- URL encoding (so a filtered map can be shared as a link) ---
+const LIST_KEYS = ['needs', 'condition', 'neutered', 'coat', 'lifecycle'];
+const URL_KEYS = { text: 'q', mine: 'mine', foundFrom: 'from', foundTo: 'to', notFedDays: 'notFed', helpers: 'helpers' };
+
+export const filtersFromSearch = (search) => {
+    const params = new URLSearchParams(search);
+    const filters = { ...DEFAULT_FILTERS };
+    LIST_KEYS.forEach(key => {
+        if (params.get(key)) filters[key] = params.get(key).split(',');
+    });
+    Object.entries(URL_KEYS).forEach(([key, param]) => {
+        if (params.has(param)) filters[key] = key === 'mine' ? params.get(param) === '1' : params.get(param);
+    });
+    return filters;
+};
+
+// Returns the query string with filter params replaced; unrelated params are preserved
+export const filtersToSearch = (filters, currentSearch = '') => {
+    const params = new URLSearchParams(currentSearch);
+    LIST_KEYS.forEach(key => {
+        if (filters[key].length > 0) params.set(key, filters[key].join(','));
+        else params.delete(key);
+    });
+    Object.entries(URL_KEYS).forEach(([key, param]) => {
+        const value = key === 'mine' ? (filters.mine ? '1' : '') : filters[key];
+        if (value) params.set(param, value);
+        else params.delete(param);
+    });
+    const search = params.toString();
+    return search ? `?${search}` : '';
+};
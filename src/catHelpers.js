@@ -0,0 +1,36 @@
+import { useState, useEffect } from 'react';
+import { collection, doc, query, orderBy, onSnapshot, runTransaction, increment, serverTimestamp } from "firebase/firestore";
+import { db } from './firebase';
+
+// Helpers live in cats/{catId}/helpers/{uid}: one entry per user, so signing up
+// twice only updates the phone number instead of inflating the `helpers` counter.
+export const addHelper = (catId, { uid, nickname, phone }) => runTransaction(db, async (transaction) => {
+    const catRef = doc(db, "cats", catId);
+    const helperRef = doc(catRef, "helpers", uid);
+    const existing = await transaction.get(helperRef);
+
+    if (existing.exists()) {
+        transaction.update(helperRef, { phone });
+        return false;
+    }
+    transaction.set(helperRef, { uid, nickname, phone, createdAt: serverTimestamp() });
+    transaction.update(catRef, { helpers: increment(1) });
+    return true;
+});
+
+export function useHelpers(catId) {
+    const [helpers, setHelpers] = useState([]);
+
+    useEffect(() => {
+        if (!catId) return undefined;
+        const q = query(collection(db, "cats", catId, "helpers"), orderBy("createdAt"));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setHelpers(querySnapshot.docs.map(helperDoc => ({ ...helperDoc.data(), id: helperDoc.id })));
+        }, (error) => {
+            console.error("Error loading helpers:", error);
+        });
+        return () => unsubscribe();
+    }, [catId]);
+
+    return helpers;
+}
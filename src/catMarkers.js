@@ -0,0 +1,84 @@
+import L from 'leaflet';
+import { getMissedSlot } from './roster';
+import { getLifecycleStatus, getLifecycleMeta, isInactive } from './lifecycle';
+
+const HOUR = 60 * 60 * 1000;
+export const FED_RECENT_HOURS = 24;
+export const FED_STALE_HOURS = 72;
+
+export const URGENCY_COLORS = {
+    urgent: '#e74c3c',
+    neuter: '#e67e22',
+    care: '#FFD700',
+    none: '#b2bec3',
+};
+
+export const FEEDING_COLORS = {
+    recent: '#27ae60',
+    late: '#f39c12',
+    stale: '#e74c3c',
+};
+
+// Most recent food/water record ({ date, time, at }), kept on the cat document by addCareLog
+export const getLastFeeding = (cat) => cat.lastFeeding;
+
+// Time of the most recent feeding, or null if nobody has logged one
+export const getLastCareTime = (cat) => {
+    const last = getLastFeeding(cat);
+    return last && last.at ? last.at.toDate() : null;
+};
+
+export const getFeedingState = (cat, now = Date.now()) => {
+    const lastCare = getLastCareTime(cat);
+    if (!lastCare) return cat.needs === '주기적 길냥이 집사 필요' ? 'stale' : null;
+    const hours = (now - lastCare.getTime()) / HOUR;
+    if (hours <= FED_RECENT_HOURS) return 'recent';
+    if (hours <= FED_STALE_HOURS) return 'late';
+    return 'stale';
+};
+
+export const getCatMarkerStatus = (cat) => {
+    let urgency = 'none';
+    if (cat.needs === '즉시 치료 필요') urgency = 'urgent';
+    else if (cat.needs === '중성화 필요') urgency = 'neuter';
+    else if (cat.needs === '주기적 길냥이 집사 필요') urgency = 'care';
+
+    return {
+        urgency,
+        thin: cat.condition === '마름',
+        neutered: cat.neutered === '확인됨(TNR 완료)',
+        feeding: getFeedingState(cat),
+        // A roster slot just passed without a feeding: someone else could step in
+        missedSlot: Boolean(getMissedSlot(cat, getLastCareTime(cat))),
+        lifecycle: getLifecycleStatus(cat),
+    };
+};
+
+// DivIcons are cached per visual combination; thousands of markers share a handful of icons
+const iconCache = new Map();
+
+export const getCatIcon = (cat) => {
+    const status = getCatMarkerStatus(cat);
+    const key = `${status.urgency}|${status.thin}|${status.neutered}|${status.feeding}|${status.missedSlot}|${status.lifecycle}`;
+    if (iconCache.has(key)) return iconCache.get(key);
+
+    // Inactive cats are only on the map when searched for; they show their status icon instead of a face
+    const inactive = isInactive(cat);
+    const ring = URGENCY_COLORS[inactive ? 'none' : status.urgency];
+    const tnrBadge = status.neutered ? `<span class="cat-marker-badge tnr">✂</span>` : '';
+    const feedingBadge = status.feeding && !inactive
+        ? `<span class="cat-marker-badge feeding" style="background: ${FEEDING_COLORS[status.feeding]};"></span>`
+        : '';
+    const missedBadge = status.missedSlot && !inactive ? `<span class="cat-marker-badge missed">⏰</span>` : '';
+    const missingBadge = status.lifecycle === 'missing' ? `<span class="cat-marker-badge missing">🔍</span>` : '';
+    const face = inactive ? getLifecycleMeta(status.lifecycle).icon : status.thin ? '😿' : '🐱';
+
+    const icon = new L.DivIcon({
+        className: `custom-cat-icon cat-marker-${inactive ? 'inactive' : status.urgency}`,
+        html: `<div style="background: white; border: 3px solid ${ring}; border-radius: 50%; width: 30px; height: 30px; display: flex; align-items: center; justify-content: center; font-size: 16px; box-shadow: 0 2px 5px rgba(0,0,0,0.2); position: relative;">${face}${tnrBadge}${feedingBadge}${missedBadge}${missingBadge}</div>`,
+        iconSize: [30, 30],
+        iconAnchor: [15, 15],
+    });
+    iconCache.set(key, icon);
+    return icon;
+};
@@ -0,0 +1,100 @@
+import { collection, doc, getDoc, getDocs, writeBatch, increment, serverTimestamp } from "firebase/firestore";
+import { db } from './firebase';
+import { MAX_PHOTOS, getCatPhotos } from './photos';
+
+// firestore.rules reads the original of every copied entry, and a batch may read at most
+// 20 documents (3 go to the two cats and the admin check)
+const COPY_BATCH_SIZE = 15;
+
+// Copies a subcollection except the entries whose id on the target is in `skipIds`.
+// Same document ids on the target, so an interrupted merge can simply be re-run.
+// Migrated entries (legacy-<index>) exist on every cat and get the source id prefixed.
+const copySubcollection = async (sourceId, targetId, name, skipIds = new Set()) => {
+    const snapshot = await getDocs(collection(db, "cats", sourceId, name));
+    const copies = snapshot.docs
+        .map(item => ({ item, id: item.id.startsWith('legacy-') ? `${sourceId}-${item.id}` : item.id }))
+        .filter(({ id }) => !skipIds.has(id));
+    for (let i = 0; i < copies.length; i += COPY_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        copies.slice(i, i + COPY_BATCH_SIZE).forEach(({ item, id }) => {
+            batch.set(doc(db, "cats", targetId, name, id), { ...item.data(), mergedFrom: sourceId, mergedDocId: item.id });
+        });
+        await batch.commit();
+    }
+    return copies.length;
+};
+
+// Newer of two { date, time, at } summaries (lastFeeding, lastSeen)
+const newerSummary = (a, b) => {
+    if (!a) return b;
+    if (!b) return a;
+    return a.at.toMillis() >= b.at.toMillis() ? a : b;
+};
+
+// Folds `source` into the cat `targetId`: care logs, helpers and sightings are copied
+// over, photos combined, counters added up, and the source is hidden with
+// `mergedInto` so old links redirect. `finalize(batch)` can add writes (audit log,
+// report resolution) to the last batch, which also flips the source.
+export const mergeCats = async (source, targetId, finalize = () => {}) => {
+    const sourceId = source.firestoreId;
+    if (sourceId === targetId) throw new Error("Cannot merge a cat into itself");
+
+    const targetSnap = await getDoc(doc(db, "cats", targetId));
+    if (!targetSnap.exists()) throw new Error(`Cat ${targetId} not found`);
+    const target = targetSnap.data();
+    if (target.mergedInto) throw new Error(`Cat ${targetId} was itself merged into ${target.mergedInto}`);
+
+    // Helpers are keyed by uid; someone helping both cats is counted once. Migrated
+    // helpers have no uid and are never the same person, and copies left by an
+    // interrupted run of this merge are copied (and counted) again.
+    const targetHelpers = await getDocs(collection(db, "cats", targetId, "helpers"));
+    const helperUids = new Set(targetHelpers.docs
+        .filter(item => item.data().uid && item.data().mergedFrom !== sourceId)
+        .map(item => item.id));
+    const careLogCount = await copySubcollection(sourceId, targetId, "careLogs");
+    const helperCount = await copySubcollection(sourceId, targetId, "helpers", helperUids);
+    const sightingCount = await copySubcollection(sourceId, targetId, "sightings");
+
+    const batch = writeBatch(db);
+
+    // The source's own registration becomes a sighting, so its location is not lost
+    batch.set(doc(db, "cats", targetId, "sightings", `merged-${sourceId}`), {
+        lat: source.lat,
+        lng: source.lng,
+        date: source.foundDate || '',
+        time: source.foundTime || '',
+        note: source.desc || '',
+        photo: getCatPhotos(source)[0] || '',
+        uid: source.userId || null,
+        nickname: '',
+        createdAt: source.createdAt || serverTimestamp(),
+        mergedFrom: sourceId,
+    });
+
+    const photos = [...new Set([...getCatPhotos(target), ...getCatPhotos(source)])].slice(0, MAX_PHOTOS);
+    const targetUpdate = {
+        photos,
+        photo: photos[0] || '',
+        caretakers: increment(careLogCount),
+        helpers: increment(helperCount),
+        sightingCount: increment(sightingCount + 1),
+        lastMergedFrom: sourceId,
+    };
+    const lastFeeding = newerSummary(target.lastFeeding, source.lastFeeding);
+    if (lastFeeding) targetUpdate.lastFeeding = lastFeeding;
+    const lastSeen = newerSummary(target.lastSeen, source.lastSeen);
+    if (lastSeen) targetUpdate.lastSeen = lastSeen;
+    batch.update(doc(db, "cats", targetId), targetUpdate);
+
+    batch.update(doc(db, "cats", sourceId), {
+        hidden: true,
+        hiddenReason: 'merged',
+        hiddenAt: serverTimestamp(),
+        mergedInto: targetId,
+        duplicateReview: 'merged',
+    });
+
+    finalize(batch);
+    await batch.commit();
+    return { careLogCount, helperCount, sightingCount };
+};
@@ -0,0 +1,17 @@
+import { serverTimestamp } from "firebase/firestore";
+
+// Registrations per user per rolling 24h window. Enforced by firestore.rules
+// through users/{uid}.catQuota, which is written in the same batch as the cat.
+export const DAILY_CAT_LIMIT = 2;
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const isWindowOpen = (quota, now) => quota && quota.windowStart && quota.windowStart.toMillis() > now - WINDOW_MS;
+
+export const hasCatQuotaLeft = (quota, now = Date.now()) => !isWindowOpen(quota, now) || quota.count < DAILY_CAT_LIMIT;
+
+// Next value of users/{uid}.catQuota after registering `catId`
+export const getNextCatQuota = (quota, catId, now = Date.now()) => (
+    isWindowOpen(quota, now)
+        ? { windowStart: quota.windowStart, count: quota.count + 1, lastCatId: catId }
+        : { windowStart: serverTimestamp(), count: 1, lastCatId: catId }
+);
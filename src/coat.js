@@ -0,0 +1,88 @@
+// Coat pattern/color categories. Stored as the Korean value in `cat.coat`, like needs/condition.
+export const COAT_UNKNOWN = '모름';
+export const COAT_OPTIONS = ['고등어', '치즈', '삼색', '턱시도', '올블랙', '흰색', '회색', '기타', COAT_UNKNOWN];
+
+export const COAT_LABEL_KEYS = {
+    '고등어': 'coatTabby',
+    '치즈': 'coatCheese',
+    '삼색': 'coatCalico',
+    '턱시도': 'coatTuxedo',
+    '올블랙': 'coatBlack',
+    '흰색': 'coatWhite',
+    '회색': 'coatGray',
+    '기타': 'coatOther',
+    '모름': 'coatUnknown',
+};
+
+// Categories the photo guess easily confuses with each other (lighting, angle)
+const LOOKALIKES = [
+    ['고등어', '회색'],
+    ['턱시도', '올블랙'],
+    ['삼색', '치즈'],
+    ['삼색', '턱시도'],
+    ['흰색', '회색'],
+];
+
+// Below this, a coat that came from guessCoatFromPixels is not trusted to rule a cat out
+export const COAT_TRUSTED_CONFIDENCE = 0.6;
+
+// False only when both coats are known and clearly different; used to drop duplicate candidates.
+// `confidence` is that of `a` when it is a photo guess; a weak guess rules nothing out.
+export const areCoatsCompatible = (a, b, confidence = 1) => {
+    const vague = [COAT_UNKNOWN, '기타', undefined, null, ''];
+    if (confidence < COAT_TRUSTED_CONFIDENCE || vague.includes(a) || vague.includes(b) || a === b) return true;
+    return LOOKALIKES.some(pair => pair.includes(a) && pair.includes(b));
+};
+
+// Share of pixels needed before a suggestion is made at all
+const MIN_CONFIDENCE = 0.35;
+
+// Heuristic coat guess from RGBA pixels of the (center-cropped) photo. Not a trained
+// model: it buckets pixels by HSV and reads the mix of black / white / orange / gray /
+// brown, so `confidence` is the share of matching pixels rather than a probability.
+// Returns { coat, confidence } with coat = COAT_UNKNOWN when nothing dominates.
+export const guessCoatFromPixels = (pixels) => {
+    const counts = { black: 0, white: 0, orange: 0, gray: 0, brown: 0, other: 0 };
+    let total = 0;
+
+    for (let i = 0; i < pixels.length; i += 4) {
+        const r = pixels[i] / 255;
+        const g = pixels[i + 1] / 255;
+        const b = pixels[i + 2] / 255;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const v = max;
+        const s = max === 0 ? 0 : (max - min) / max;
+        let h = 0;
+        if (max !== min) {
+            if (max === r) h = ((g - b) / (max - min)) % 6;
+            else if (max === g) h = (b - r) / (max - min) + 2;
+            else h = (r - g) / (max - min) + 4;
+            h = (h * 60 + 360) % 360;
+        }
+
+        total++;
+        if (v < 0.22) counts.black++;
+        else if (s < 0.15 && v > 0.78) counts.white++;
+        else if (s < 0.15) counts.gray++;
+        else if (h >= 15 && h <= 50 && s >= 0.4 && v >= 0.45) counts.orange++;
+        else if (h >= 10 && h <= 55 && v < 0.65) counts.brown++;
+        else counts.other++;
+    }
+    if (total === 0) return { coat: COAT_UNKNOWN, confidence: 0 };
+
+    const share = Object.fromEntries(Object.entries(counts).map(([key, count]) => [key, count / total]));
+    const candidates = [
+        ['올블랙', share.black],
+        ['흰색', share.white],
+        ['턱시도', share.black >= 0.2 && share.white >= 0.15 && share.orange < 0.08 ? share.black + share.white : 0],
+        ['삼색', share.orange >= 0.08 && share.black >= 0.08 && share.white >= 0.1 ? share.orange + share.black + share.white : 0],
+        ['치즈', share.orange],
+        ['회색', share.gray],
+        ['고등어', share.brown >= 0.15 && share.black >= 0.08 ? share.brown + share.black : 0],
+    ];
+    // Mixed patterns first: a clear tuxedo or calico beats its dominant single color
+    const mixed = candidates.slice(2, 4).concat([candidates[6]]).find(([, score]) => score >= 0.5);
+    const [coat, confidence] = mixed || candidates.reduce((best, item) => (item[1] > best[1] ? item : best));
+    return confidence >= MIN_CONFIDENCE ? { coat, confidence: Math.min(1, confidence) } : { coat: COAT_UNKNOWN, confidence };
+};
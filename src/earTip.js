@@ -0,0 +1,28 @@
+// Optional on-device ear-tip check. A clipped left ear tip is the usual mark of a
+// TNR'd street cat in Korea, so a visible clip hints that `neutered` is '확인됨'.
+// The model is a TF.js graph model (224x224 RGB in, probability of a clipped tip out);
+// no model ships with the app, and without VITE_EARTIP_MODEL_URL the feature is simply
+// off (README.md, "Ear-tip model").
+export const EARTIP_MODEL_URL = import.meta.env.VITE_EARTIP_MODEL_URL || '';
+
+const TNR_DONE = '확인됨(TNR 완료)';
+const TNR_NOT_DONE = '미완료';
+
+// An intact ear is weaker evidence (the ear may be turned away), hence the stricter cut-off
+const CLIPPED_MIN = 0.75;
+const INTACT_MAX = 0.1;
+
+// { suggested, confidence } from the model output, or null when the photo is inconclusive
+export const suggestTnrFromEarTip = (probability) => {
+    if (probability >= CLIPPED_MIN) return { suggested: TNR_DONE, confidence: probability };
+    if (probability <= INTACT_MAX) return { suggested: TNR_NOT_DONE, confidence: 1 - probability };
+    return null;
+};
+
+// The user's answer stays authoritative; a contradiction is only flagged for admins.
+// '모름' never contradicts anything.
+export const isTnrConflict = (neutered, hint) =>
+    Boolean(hint) && neutered !== '모름' && neutered !== hint.suggested;
+
+// `tnrReview` mirrors isTnrConflict so the admin console can query it (checked in firestore.rules)
+export const getTnrReview = (neutered, hint) => (isTnrConflict(neutered, hint) ? 'pending' : null);
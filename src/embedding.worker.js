@@ -0,0 +1,145 @@
+// MobileNet inference and similarity ranking off the main thread.
+// Protocol: { id, type, ...args } in; { id, result } / { id, error } / { id, progress } out.
+import * as tf from '@tensorflow/tfjs';
+import * as mobilenet from '@tensorflow-models/mobilenet';
+import { guessCoatFromPixels } from './coat';
+
+let modelPromise = null;
+
+// Normalized embeddings already sent by the page, keyed by `${catId}@${modelVersion}`
+const index = new Map();
+
+const loadModel = () => {
+    if (!modelPromise) {
+        modelPromise = tf.ready().then(() => mobilenet.load());
+        // Allow a retry after a failed download
+        modelPromise.catch(() => { modelPromise = null; });
+    }
+    return modelPromise;
+};
+
+const normalize = (vector) => {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm) || 1;
+    const result = new Float32Array(vector.length);
+    for (let i = 0; i < vector.length; i++) result[i] = vector[i] / norm;
+    return result;
+};
+
+const dot = (a, b) => {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+};
+
+// `source` is a File/Blob from the form or a download URL of an existing photo
+const embed = async (source, progress) => {
+    progress('model');
+    const model = await loadModel();
+    progress('embedding');
+    const blob = typeof source === 'string' ? await (await fetch(source)).blob() : source;
+    const bitmap = await createImageBitmap(blob);
+    const pixels = tf.browser.fromPixels(bitmap);
+    bitmap.close();
+    const embedding = model.infer(pixels, true); // 1024-d embedding
+    const vector = await embedding.data();
+    pixels.dispose();
+    embedding.dispose();
+    return Array.from(vector);
+};
+
+// Heuristic coat guess from the middle of the photo, where the cat usually is; background is cropped away
+const COAT_SAMPLE_SIZE = 64;
+const guessCoat = async (source) => {
+    const blob = typeof source === 'string' ? await (await fetch(source)).blob() : source;
+    const bitmap = await createImageBitmap(blob);
+    const crop = Math.min(bitmap.width, bitmap.height) * 0.6;
+    const canvas = new OffscreenCanvas(COAT_SAMPLE_SIZE, COAT_SAMPLE_SIZE);
+    const context = canvas.getContext('2d');
+    context.drawImage(
+        bitmap,
+        (bitmap.width - crop) / 2, (bitmap.height - crop) / 2, crop, crop,
+        0, 0, COAT_SAMPLE_SIZE, COAT_SAMPLE_SIZE
+    );
+    bitmap.close();
+    return guessCoatFromPixels(context.getImageData(0, 0, COAT_SAMPLE_SIZE, COAT_SAMPLE_SIZE).data);
+};
+
+// Ear-tip models by URL; the URL comes from the page (VITE_EARTIP_MODEL_URL)
+const earTipModels = new Map();
+const EARTIP_INPUT_SIZE = 224;
+
+const loadEarTipModel = (url) => {
+    if (!earTipModels.has(url)) {
+        const promise = tf.ready().then(() => tf.loadGraphModel(url));
+        promise.catch(() => earTipModels.delete(url));
+        earTipModels.set(url, promise);
+    }
+    return earTipModels.get(url);
+};
+
+// Probability that the photo shows a clipped ear tip
+const detectEarTip = async (source, modelUrl) => {
+    const model = await loadEarTipModel(modelUrl);
+    const blob = typeof source === 'string' ? await (await fetch(source)).blob() : source;
+    const bitmap = await createImageBitmap(blob);
+    const input = tf.tidy(() => tf.browser.fromPixels(bitmap)
+        .resizeBilinear([EARTIP_INPUT_SIZE, EARTIP_INPUT_SIZE])
+        .toFloat()
+        .div(255)
+        .expandDims(0));
+    bitmap.close();
+    const output = model.predict(input);
+    const [probability] = await output.data();
+    input.dispose();
+    output.dispose();
+    return probability;
+};
+
+// Cosine similarity against the given candidates, best first
+const rank = (query, candidates, k, minSimilarity, progress) => {
+    progress('ranking');
+    const target = normalize(query);
+    candidates.forEach(({ id, embedding }) => {
+        if (embedding) index.set(id, normalize(embedding));
+    });
+
+    return candidates
+        .map(({ id }) => index.get(id))
+        .map((vector, i) => ({
+            id: candidates[i].id,
+            similarity: vector && vector.length === target.length ? dot(target, vector) : -1,
+        }))
+        .filter(match => match.similarity >= minSimilarity)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, k);
+};
+
+self.onmessage = async ({ data }) => {
+    const { id, type } = data;
+    const progress = (stage) => self.postMessage({ id, progress: stage });
+
+    try {
+        let result;
+        if (type === 'load') {
+            await loadModel();
+            result = true;
+        } else if (type === 'embed') {
+            result = await embed(data.source, progress);
+        } else if (type === 'coat') {
+            result = await guessCoat(data.source);
+        } else if (type === 'earTip') {
+            result = await detectEarTip(data.source, data.modelUrl);
+        } else if (type === 'rank') {
+            result = rank(data.query, data.candidates, data.k, data.minSimilarity, progress);
+        } else if (type === 'invalidate') {
+            result = index.delete(data.key);
+        } else {
+            throw new Error(`Unknown message type: ${type}`);
+        }
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
@@ -0,0 +1,135 @@
+import { distanceKm } from './geo';
+import { EMBEDDING_MODEL_VERSION } from './embeddingCodec';
+import { loadEmbedding, forgetLoadedEmbedding } from './embeddingStore';
+import { areCoatsCompatible } from './coat';
+import { isInactive } from './lifecycle';
+import { EARTIP_MODEL_URL, suggestTnrFromEarTip } from './earTip';
+
+// Page side of embedding.worker.js. One worker per tab, created on first use.
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+const getWorker = () => {
+    if (!worker) {
+        worker = new Worker(new URL('./embedding.worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = ({ data }) => {
+            const request = pending.get(data.id);
+            if (!request) return;
+            if (data.progress) {
+                request.onProgress(data.progress);
+                return;
+            }
+            pending.delete(data.id);
+            if (data.error) request.reject(new Error(data.error));
+            else request.resolve(data.result);
+        };
+    }
+    return worker;
+};
+
+const call = (type, args = {}, onProgress = () => {}) => new Promise((resolve, reject) => {
+    const id = ++nextId;
+    pending.set(id, { resolve, reject, onProgress });
+    getWorker().postMessage({ id, type, ...args });
+});
+
+// Starts the MobileNet download in the background so the first check is fast
+export const preloadEmbeddingModel = () => call('load').catch(error => {
+    console.error("Failed to load MobileNet model:", error);
+});
+
+// Embeddings per picked file / photo URL, so "check duplicates" and "submit" share one inference
+const cache = new Map();
+const cacheKey = (source) => (typeof source === 'string'
+    ? source
+    : `${source.name}|${source.size}|${source.lastModified}`);
+
+export const getImageEmbedding = (source, onProgress) => {
+    const key = cacheKey(source);
+    if (!cache.has(key)) {
+        const promise = call('embed', { source }, onProgress);
+        promise.catch(() => cache.delete(key));
+        cache.set(key, promise);
+    }
+    return cache.get(key);
+};
+
+// Suggested coat category ({ coat, confidence }) for a picked file / photo URL. A pixel-color
+// heuristic (src/coat.js), not a model
+const coatCache = new Map();
+export const getCoatSuggestion = (source) => {
+    const key = cacheKey(source);
+    if (!coatCache.has(key)) {
+        const promise = call('coat', { source });
+        promise.catch(() => coatCache.delete(key));
+        coatCache.set(key, promise);
+    }
+    return coatCache.get(key);
+};
+
+// TNR suggestion ({ suggested, confidence } or null) from the ear-tip model; null when no model is configured
+const earTipCache = new Map();
+export const getEarTipHint = async (source) => {
+    if (!EARTIP_MODEL_URL) return null;
+    const key = cacheKey(source);
+    if (!earTipCache.has(key)) {
+        const promise = call('earTip', { source, modelUrl: EARTIP_MODEL_URL });
+        promise.catch(() => earTipCache.delete(key));
+        earTipCache.set(key, promise);
+    }
+    return suggestTnrFromEarTip(await earTipCache.get(key));
+};
+
+// `${catId}@${version}` keys whose embedding the worker already holds; only new ones are posted
+const indexed = new Set();
+const indexKey = (cat) => `${cat.firestoreId}@${cat.embeddingVersion}`;
+
+// Call after writing a new embedding for a cat: drops the decoded copy and the one the
+// worker ranks against, so the next duplicate check loads the new one
+export const forgetEmbedding = (catId, version = EMBEDDING_MODEL_VERSION) => {
+    forgetLoadedEmbedding(catId, version);
+    const key = `${catId}@${version}`;
+    if (indexed.delete(key)) {
+        call('invalidate', { key }).catch(error => console.error("Failed to invalidate embedding:", error));
+    }
+};
+
+export const DUPLICATE_RADIUS_KM = 1;
+// Shown as "probably the same cat" from this similarity on
+export const DUPLICATE_THRESHOLD = 0.8;
+// Weaker matches still listed below the best one
+const CANDIDATE_MIN_SIMILARITY = 0.7;
+const CANDIDATE_COUNT = 3;
+
+// Top candidates among cats within DUPLICATE_RADIUS_KM, as [{ cat, similarity }] best first.
+// Only cats still on the street and embedded with the current model version are
+// compared, and cats whose known coat clearly differs from `coat` are skipped, unless
+// `coat` is a photo guess with a low `coatConfidence`.
+// Empty unless the best match reaches DUPLICATE_THRESHOLD.
+export const findDuplicateCandidates = async (embedding, cats, lat, lng, onProgress, coat, coatConfidence = 1) => {
+    const nearby = cats.filter(cat =>
+        !cat.hidden &&
+        !cat.deleted &&
+        !isInactive(cat) &&
+        cat.embeddingVersion === EMBEDDING_MODEL_VERSION &&
+        areCoatsCompatible(coat, cat.coat, coatConfidence) &&
+        distanceKm([lat, lng], [cat.lat, cat.lng]) <= DUPLICATE_RADIUS_KM
+    );
+    if (nearby.length === 0) return [];
+
+    onProgress('ranking');
+    const vectors = await Promise.all(nearby.map(cat => (indexed.has(indexKey(cat)) ? null : loadEmbedding(cat.firestoreId))));
+    const matches = await call('rank', {
+        query: embedding,
+        candidates: nearby.map((cat, i) => ({ id: indexKey(cat), embedding: vectors[i] })),
+        k: CANDIDATE_COUNT,
+        minSimilarity: CANDIDATE_MIN_SIMILARITY,
+    }, onProgress);
+    nearby.forEach((cat, i) => {
+        if (vectors[i]) indexed.add(indexKey(cat));
+    });
+
+    if (matches.length === 0 || matches[0].similarity < DUPLICATE_THRESHOLD) return [];
+    return matches.map(match => ({ cat: nearby.find(cat => indexKey(cat) === match.id), similarity: match.similarity }));
+};
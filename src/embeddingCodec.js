@@ -0,0 +1,25 @@
+// Stored image embeddings: int8-quantized, tagged with the model that produced them.
+// No imports, so the maintenance scripts in scripts/ can use it as well.
+
+// mobilenet.load() defaults: version 1, alpha 1.0, 224px input → 1024-d embedding.
+// Bump this when the model changes; only embeddings of the same version are compared.
+export const EMBEDDING_MODEL_VERSION = 'mobilenet_v1_1.0_224';
+export const EMBEDDING_DIMS = 1024;
+
+// Symmetric per-vector quantization: value ≈ int8 * scale. 1 byte per dimension
+// instead of a 1024-entry array of doubles on the cat document.
+export const quantizeEmbedding = (vector) => {
+    let max = 0;
+    for (let i = 0; i < vector.length; i++) max = Math.max(max, Math.abs(vector[i]));
+    const scale = max / 127 || 1;
+    const values = new Int8Array(vector.length);
+    for (let i = 0; i < vector.length; i++) values[i] = Math.round(vector[i] / scale);
+    return { scale, bytes: new Uint8Array(values.buffer) };
+};
+
+export const dequantizeEmbedding = (bytes, scale) => {
+    const values = new Int8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const vector = new Float32Array(values.length);
+    for (let i = 0; i < values.length; i++) vector[i] = values[i] * scale;
+    return vector;
+};
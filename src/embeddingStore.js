@@ -0,0 +1,38 @@
+import { doc, getDoc, serverTimestamp, Bytes } from "firebase/firestore";
+import { db } from './firebase';
+import { EMBEDDING_MODEL_VERSION, quantizeEmbedding, dequantizeEmbedding } from './embeddingCodec';
+
+// Embeddings live in cats/{catId}/embeddings/{modelVersion}; the cat document only
+// carries `embeddingVersion` so candidates can be filtered without reading them.
+export const getEmbeddingRef = (catId, version = EMBEDDING_MODEL_VERSION) => doc(db, "cats", catId, "embeddings", version);
+
+// Adds the embedding document to a batch / transaction that also sets `embeddingVersion` on the cat
+export const setEmbedding = (batch, catId, vector, version = EMBEDDING_MODEL_VERSION) => {
+    const { scale, bytes } = quantizeEmbedding(vector);
+    batch.set(getEmbeddingRef(catId, version), {
+        version,
+        dims: vector.length,
+        scale,
+        data: Bytes.fromUint8Array(bytes),
+        createdAt: serverTimestamp(),
+    });
+};
+
+// Decoded embeddings per `${catId}@${version}`; a cat's embedding only changes with its first photo
+const cache = new Map();
+
+export const loadEmbedding = (catId, version = EMBEDDING_MODEL_VERSION) => {
+    const key = `${catId}@${version}`;
+    if (!cache.has(key)) {
+        const promise = getDoc(getEmbeddingRef(catId, version)).then(snapshot => {
+            if (!snapshot.exists()) return null;
+            const { data, scale } = snapshot.data();
+            return dequantizeEmbedding(data.toUint8Array(), scale);
+        });
+        promise.catch(() => cache.delete(key));
+        cache.set(key, promise);
+    }
+    return cache.get(key);
+};
+
+export const forgetLoadedEmbedding = (catId, version = EMBEDDING_MODEL_VERSION) => cache.delete(`${catId}@${version}`);
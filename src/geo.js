@@ -0,0 +1,59 @@
+import { geohashForLocation, geohashQueryBounds, distanceBetween } from 'geofire-common';
+
+export { geohashForLocation };
+
+// Haversine distance in km between two [lat, lng] points
+export const distanceKm = (from, to) => distanceBetween(from, to);
+
+// Extra margin around the visible map so small pans don't trigger a new query
+const VIEWPORT_PADDING = 0.2;
+
+export const padBounds = (bounds, ratio = VIEWPORT_PADDING) => {
+    const latPad = (bounds.north - bounds.south) * ratio;
+    const lngPad = (bounds.east - bounds.west) * ratio;
+    return {
+        north: bounds.north + latPad,
+        south: bounds.south - latPad,
+        east: bounds.east + lngPad,
+        west: bounds.west - lngPad,
+    };
+};
+
+export const isInBounds = (lat, lng, bounds) =>
+    lat <= bounds.north && lat >= bounds.south && lng <= bounds.east && lng >= bounds.west;
+
+export const containsBounds = (outer, inner) =>
+    inner.north <= outer.north && inner.south >= outer.south &&
+    inner.east <= outer.east && inner.west >= outer.west;
+
+// Geohash ranges covering the circle around the bounds (Firestore range queries on `geohash`)
+export const geohashRangesForBounds = (bounds) => {
+    const center = [(bounds.north + bounds.south) / 2, (bounds.east + bounds.west) / 2];
+    const radiusKm = distanceBetween(center, [bounds.north, bounds.east]);
+    return geohashQueryBounds(center, radiusKm * 1000);
+};
+
+// Geohash ranges covering the circle of `radiusKm` around a point
+export const geohashRangesAround = (lat, lng, radiusKm) => geohashQueryBounds([lat, lng], radiusKm * 1000);
+
+// Convex hull of [lat, lng] points (monotone chain), counter-clockwise without repeating
+// the first point. Fewer than 3 distinct points come back unchanged.
+export const convexHull = (points) => {
+    const sorted = [...new Map(points.map(p => [`${p[0]},${p[1]}`, p])).values()]
+        .sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+    if (sorted.length < 3) return sorted;
+
+    // Cross product in (lng, lat) space
+    const cross = (o, a, b) => (a[1] - o[1]) * (b[0] - o[0]) - (a[0] - o[0]) * (b[1] - o[1]);
+    const lower = [];
+    for (const p of sorted) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+        lower.push(p);
+    }
+    const upper = [];
+    for (const p of [...sorted].reverse()) {
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+        upper.push(p);
+    }
+    return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+};
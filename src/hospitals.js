@@ -0,0 +1,96 @@
+import { distanceKm } from './geo';
+
+/**
+ * One clinic from src/data/hospitals.compact.json (built by scripts/import-hospitals.js).
+ * @typedef {Object} Hospital
+ * @property {number} id        Row index in the dataset
+ * @property {string} name
+ * @property {string} phone     Normalized ("062-571-9114"), may be empty
+ * @property {number} lat       WGS84
+ * @property {number} lng       WGS84
+ * @property {string} region    "광주", "서울", ... or empty when unknown
+ * @property {boolean} is24h
+ * @property {boolean} isHouseCall
+ */
+
+export const RADIUS_OPTIONS_KM = [1, 3, 5, 10];
+export const DEFAULT_RADIUS_KM = 3;
+const DEFAULT_LIMIT = 10;
+
+// Keep in sync with HOSPITAL_FLAGS in scripts/hospital-normalize.js
+const FLAG_24H = 1;
+const FLAG_HOUSE_CALL = 2;
+
+// Grid cell size in degrees (~2km). The index maps "row:col" to the hospitals in that cell.
+const CELL_SIZE = 0.02;
+const cellKey = (row, col) => `${row}:${col}`;
+
+let hospitalIndexPromise = null;
+
+const buildIndex = (dataset) => {
+    const index = new Map();
+    dataset.rows.forEach(([name, phone, lat, lng, region, flags], idx) => {
+        const hospital = {
+            id: idx,
+            name,
+            phone,
+            lat,
+            lng,
+            region,
+            is24h: Boolean(flags & FLAG_24H),
+            isHouseCall: Boolean(flags & FLAG_HOUSE_CALL),
+        };
+        const key = cellKey(Math.floor(lat / CELL_SIZE), Math.floor(lng / CELL_SIZE));
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(hospital);
+    });
+    return index;
+};
+
+// The dataset is split into its own chunk and only fetched on the first search
+const loadHospitalIndex = () => {
+    if (!hospitalIndexPromise) {
+        hospitalIndexPromise = import('./data/hospitals.compact.json')
+            .then(({ default: dataset }) => buildIndex(dataset))
+            .catch((error) => {
+                hospitalIndexPromise = null;
+                throw error;
+            });
+    }
+    return hospitalIndexPromise;
+};
+
+// Warms the dataset chunk (and with it the service worker cache) ahead of the first search
+export const preloadHospitals = () => loadHospitalIndex().then(() => undefined);
+
+/**
+ * Nearest hospitals within `radiusKm`, sorted by haversine distance.
+ * @returns {Promise<Array<Hospital & { distanceKm: number }>>}
+ */
+export const findNearestHospitals = async (lat, lng, { radiusKm = DEFAULT_RADIUS_KM, limit = DEFAULT_LIMIT } = {}) => {
+    const index = await loadHospitalIndex();
+
+    // 1 degree latitude is ~111km; longitude degrees shrink with cos(latitude)
+    const latCells = Math.ceil(radiusKm / 111 / CELL_SIZE);
+    const lngCells = Math.ceil(radiusKm / (111 * Math.cos(lat * Math.PI / 180)) / CELL_SIZE);
+    const row = Math.floor(lat / CELL_SIZE);
+    const col = Math.floor(lng / CELL_SIZE);
+
+    const results = [];
+    for (let r = row - latCells; r <= row + latCells; r++) {
+        for (let c = col - lngCells; c <= col + lngCells; c++) {
+            (index.get(cellKey(r, c)) || []).forEach(hospital => {
+                const distance = distanceKm([lat, lng], [hospital.lat, hospital.lng]);
+                if (distance <= radiusKm) results.push({ ...hospital, distanceKm: distance });
+            });
+        }
+    }
+
+    return results.sort((a, b) => a.distanceKm - b.distanceKm).slice(0, limit);
+};
+
+export const formatDistance = (km) => km < 1 ? `${Math.round(km * 1000)}m` : `${km.toFixed(1)}km`;
+
+// Kakao Map directions to the hospital (opens the app on phones)
+export const getDirectionsUrl = (hospital) =>
+    `https://map.kakao.com/link/to/${encodeURIComponent(hospital.name)},${hospital.lat},${hospital.lng}`;
@@ -0,0 +1,96 @@
+import { useState, useEffect } from 'react';
+import { collection, doc, query, where, limit, onSnapshot, updateDoc, deleteField, serverTimestamp } from "firebase/firestore";
+import { db } from './firebase';
+
+// Where a cat is in its life, stored on the cat as `status` with `statusDate` and
+// `statusNote`. Older records without a status are active. functions/events.js tells
+// followers about 'adopted' and 'deceased'.
+export const LIFECYCLE_STATUSES = [
+    { value: 'active', icon: '🐾', labelKey: 'lifecycleActive' },
+    { value: 'missing', icon: '🔍', labelKey: 'lifecycleMissing' },
+    { value: 'adopted', icon: '🏡', labelKey: 'lifecycleAdopted' },
+    { value: 'shelter', icon: '🏠', labelKey: 'lifecycleShelter' },
+    { value: 'relocated', icon: '🚚', labelKey: 'lifecycleRelocated' },
+    { value: 'deceased', icon: '🌈', labelKey: 'lifecycleDeceased' },
+];
+
+// Off the live map unless searched for. Missing cats stay on it so neighbours can look out.
+export const INACTIVE_STATUSES = ['adopted', 'shelter', 'relocated', 'deceased'];
+
+// Keep in sync with firestore.rules
+export const MAX_STATUS_NOTE = 500;
+const ARCHIVE_LIMIT = 200;
+
+export const getLifecycleStatus = (cat) => cat.status || 'active';
+
+export const getLifecycleMeta = (value) => LIFECYCLE_STATUSES.find(s => s.value === value) || LIFECYCLE_STATUSES[0];
+
+export const isInactive = (cat) => INACTIVE_STATUSES.includes(getLifecycleStatus(cat));
+
+// Owner, helpers and admins (checked in firestore.rules)
+export const canSetStatus = (cat, uid, isAdmin, helpers) =>
+    Boolean(uid) && (isAdmin || cat.userId === uid || helpers.some(helper => helper.id === uid));
+
+export const createStatusForm = (cat) => ({
+    status: getLifecycleStatus(cat),
+    date: cat.statusDate || new Date().toISOString().split('T')[0],
+    note: cat.statusNote || '',
+});
+
+export const setCatStatus = (catId, form) => updateDoc(doc(db, "cats", catId), {
+    status: form.status,
+    statusDate: form.date,
+    statusNote: form.note.trim().slice(0, MAX_STATUS_NOTE),
+});
+
+// Soft delete: the record and its care history stay, it only leaves the map and lists.
+// Owners restore theirs from the archive; admins restore or delete for good in the admin
+// console (src/adminActions.js), where it is audited.
+export const softDeleteCat = (catId, uid) => updateDoc(doc(db, "cats", catId), {
+    deleted: true,
+    deletedAt: serverTimestamp(),
+    deletedBy: uid,
+});
+
+export const restoreDeletedCat = (catId) => updateDoc(doc(db, "cats", catId), {
+    deleted: false,
+    deletedAt: deleteField(),
+    deletedBy: deleteField(),
+});
+
+// Archive: cats that left the street everywhere, newest status first, plus the user's
+// own soft-deleted records
+export function useArchivedCats(uid) {
+    const [inactiveCats, setInactiveCats] = useState([]);
+    const [deletedCats, setDeletedCats] = useState([]);
+
+    useEffect(() => {
+        const q = query(collection(db, "cats"), where("status", "in", INACTIVE_STATUSES), where("deleted", "==", false), limit(ARCHIVE_LIMIT));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setInactiveCats(querySnapshot.docs.map(catDoc => ({ ...catDoc.data(), firestoreId: catDoc.id })));
+        }, (error) => {
+            console.error("Error loading archived cats:", error);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    useEffect(() => {
+        if (!uid) {
+            setDeletedCats([]);
+            return undefined;
+        }
+        const q = query(collection(db, "cats"), where("userId", "==", uid), where("deleted", "==", true), limit(ARCHIVE_LIMIT));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setDeletedCats(querySnapshot.docs.map(catDoc => ({ ...catDoc.data(), firestoreId: catDoc.id })));
+        }, (error) => {
+            console.error("Error loading deleted cats:", error);
+        });
+        return () => unsubscribe();
+    }, [uid]);
+
+    const byStatusDate = (a, b) => (b.statusDate || '').localeCompare(a.statusDate || '');
+    return {
+        inactiveCats: inactiveCats.filter(cat => !cat.hidden && !cat.mergedInto).sort(byStatusDate),
+        deletedCats,
+    };
+}
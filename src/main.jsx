@@ -3,6 +3,19 @@ import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
 import 'leaflet/dist/leaflet.css'
 import './index.css'
+import { preloadHospitals } from './hospitals'
+
+// public/sw.js caches the app shell, assets and map tiles. Only in builds: it would
+// serve stale modules to the Vite dev server.
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+            .then(() => navigator.serviceWorker.ready)
+            // Fetch the hospital dataset once so the service worker has it for offline use
+            .then(() => preloadHospitals())
+            .catch(error => console.error("Service worker registration failed:", error));
+    });
+}
 
 ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
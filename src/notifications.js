@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react';
+import { collection, doc, query, where, onSnapshot, setDoc, deleteDoc, arrayUnion, serverTimestamp } from "firebase/firestore";
+import { getMessaging, getToken, isSupported } from "firebase/messaging";
+import app, { db } from './firebase';
+import { geohashForLocation } from './geo';
+
+// Following cats and areas. The push itself is sent by functions/index.js when a
+// followed cat changes; this side stores follows, preferences and the FCM token.
+export const NOTIFICATION_TYPES = [
+    { value: 'urgent', labelKey: 'notifyUrgent' },
+    { value: 'help', labelKey: 'notifyHelp' },
+    { value: 'careGap', labelKey: 'notifyCareGap' },
+    { value: 'status', labelKey: 'notifyStatus' },
+    { value: 'rosterReminder', labelKey: 'notifyRosterReminder' },
+    { value: 'rosterMissed', labelKey: 'notifyRosterMissed' },
+];
+
+export const DEFAULT_NOTIFICATION_PREFS = {
+    urgent: true, help: true, careGap: true, status: true, rosterReminder: true, rosterMissed: true,
+};
+export const DEFAULT_QUIET_HOURS = { enabled: false, start: '22:00', end: '07:00' };
+
+// Keep the largest value in sync with MAX_AREA_RADIUS_KM in functions/index.js
+export const AREA_RADIUS_OPTIONS_KM = [0.5, 1, 3];
+
+// One follow per user and cat, so following twice is a no-op
+const getCatFollowId = (uid, catId) => `${uid}_${catId}`;
+
+export const followCat = (uid, cat) => setDoc(doc(db, "follows", getCatFollowId(uid, cat.firestoreId)), {
+    uid,
+    type: 'cat',
+    catId: cat.firestoreId,
+    catName: cat.name || '',
+    createdAt: serverTimestamp(),
+});
+
+export const unfollowCat = (uid, catId) => deleteDoc(doc(db, "follows", getCatFollowId(uid, catId)));
+
+// Area follows carry a geohash so the function can find them around a cat
+export const followArea = (uid, { lat, lng, radiusKm, label }) => setDoc(doc(collection(db, "follows")), {
+    uid,
+    type: 'area',
+    lat,
+    lng,
+    radiusKm,
+    label,
+    geohash: geohashForLocation([lat, lng]),
+    createdAt: serverTimestamp(),
+});
+
+export const removeFollow = (followId) => deleteDoc(doc(db, "follows", followId));
+
+// All follows (cats and areas) of the user
+export function useFollows(uid) {
+    const [follows, setFollows] = useState([]);
+
+    useEffect(() => {
+        if (!uid) {
+            setFollows([]);
+            return undefined;
+        }
+        const q = query(collection(db, "follows"), where("uid", "==", uid));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setFollows(querySnapshot.docs.map(followDoc => ({ ...followDoc.data(), id: followDoc.id })));
+        }, (error) => {
+            console.error("Error loading follows:", error);
+        });
+        return () => unsubscribe();
+    }, [uid]);
+
+    return follows;
+}
+
+export function useIsFollowing(uid, catId) {
+    const [isFollowing, setIsFollowing] = useState(false);
+
+    useEffect(() => {
+        if (!uid || !catId) {
+            setIsFollowing(false);
+            return undefined;
+        }
+        const unsubscribe = onSnapshot(doc(db, "follows", getCatFollowId(uid, catId)), (snapshot) => {
+            setIsFollowing(snapshot.exists());
+        }, (error) => {
+            console.error("Error loading follow:", error);
+        });
+        return () => unsubscribe();
+    }, [uid, catId]);
+
+    return isFollowing;
+}
+
+// Preferences, quiet hours and the language of the notification texts, on users/{uid}
+export const saveNotificationSettings = (uid, { prefs, quietHours, language }) => setDoc(doc(db, "users", uid), {
+    notificationPrefs: prefs,
+    quietHours,
+    language,
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+}, { merge: true });
+
+// Push needs FCM support and the service worker from public/sw.js (production builds only)
+export const isPushAvailable = async () =>
+    'serviceWorker' in navigator && Boolean(await navigator.serviceWorker.getRegistration()) && isSupported();
+
+// Asks for permission and stores this device's FCM token. Resolves with false when refused.
+export const enablePush = async (uid) => {
+    if (await Notification.requestPermission() !== 'granted') return false;
+    const token = await getToken(getMessaging(app), {
+        vapidKey: import.meta.env.VITE_FIREBASE_VAPID_KEY,
+        serviceWorkerRegistration: await navigator.serviceWorker.ready,
+    });
+    await setDoc(doc(db, "users", uid), { pushTokens: arrayUnion(token) }, { merge: true });
+    return true;
+};
@@ -0,0 +1,247 @@
+import { useState, useEffect } from 'react';
+import { doc, getDocFromServer } from "firebase/firestore";
+import { db } from './firebase';
+import { addCareLog, isFeedingEntry, getEntryTime } from './careLog';
+import { addSighting } from './sightings';
+import { submitReport } from './reports';
+import { uploadCarePhoto, uploadSightingPhoto } from './photos';
+import { registerCat, getCatsNear } from './registration';
+import { findDuplicateCandidates, DUPLICATE_RADIUS_KM } from './embeddingClient';
+
+// Outbox for writes made without signal. Firestore's own offline cache cannot help
+// here: care logs, sightings, reports and registrations need the server.
+// Items live in IndexedDB (photos as Blobs) until they have been sent:
+// { id, type: 'care' | 'sighting' | 'report' | 'cat', uid, catId, catName, payload, file,
+//   base: { lastFeedingAt }, status: 'pending' | 'conflict' | 'failed', conflict, error, force, createdAt }
+// A 'cat' item is a new registration: catId is chosen up front (src/registration.js),
+// and it carries `files`, `embedding` and `coatConfidence` instead of `file`.
+const DB_NAME = 'straycat-outbox';
+const STORE = 'items';
+
+let dbPromise = null;
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+const withStore = async (mode, action) => {
+    const database = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(STORE, mode);
+        const request = action(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+};
+
+// Components re-read the outbox whenever it changes
+const listeners = new Set();
+const notify = () => listeners.forEach(listener => listener());
+
+export const getOutboxItems = () => withStore('readonly', store => store.getAll());
+
+const putItem = async (item) => {
+    await withStore('readwrite', store => store.put(item));
+    notify();
+};
+
+export const removeOutboxItem = async (id) => {
+    await withStore('readwrite', store => store.delete(id));
+    notify();
+};
+
+const enqueue = async (item) => {
+    await withStore('readwrite', store => store.add({ ...item, status: 'pending', createdAt: Date.now() }));
+    notify();
+};
+
+// Network trouble, as opposed to a rejected write
+const isOfflineError = (error) => !navigator.onLine
+    || error.code === 'unavailable'
+    || error.code === 'storage/retry-limit-exceeded'
+    || error.code === 'timeout';
+
+// With a weak signal navigator.onLine stays true while photo uploads keep retrying and the
+// batch waits for the server, so a registration that takes longer than this counts as
+// offline. The attempt is not cancelled; if it still gets through, the replay finds the
+// cat under its fixed id and nothing is written twice.
+const REGISTRATION_TIMEOUT_MS = 20 * 1000;
+
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(Object.assign(new Error("Timed out"), { code: 'timeout' })), ms);
+    promise.then(resolve, reject).finally(() => clearTimeout(timer));
+});
+
+const UPLOADERS = { care: uploadCarePhoto, sighting: uploadSightingPhoto };
+
+// Sends one item. Resolves with { status: 'done' } or { status: 'conflict', conflict }.
+// With `checkConflicts` the cat is re-read from the server first, so a cat that was
+// deleted or merged, or fed by someone else meanwhile, is shown to the user instead
+// of being written over.
+const sendItem = async (item, { checkConflicts = true, fedSince = 0 } = {}) => {
+    if (item.type === 'cat') return withTimeout(sendRegistration(item, { checkConflicts }), REGISTRATION_TIMEOUT_MS);
+    if (checkConflicts) {
+        const catSnap = await getDocFromServer(doc(db, "cats", item.catId));
+        if (!catSnap.exists()) return { status: 'conflict', conflict: { reason: 'catMissing' } };
+        const cat = catSnap.data();
+        if (cat.mergedInto) return { status: 'conflict', conflict: { reason: 'catMerged', targetId: cat.mergedInto } };
+
+        const fedAt = cat.lastFeeding && cat.lastFeeding.at ? cat.lastFeeding.at.toMillis() : 0;
+        const knownAt = Math.max(item.base ? item.base.lastFeedingAt || 0 : 0, fedSince);
+        if (item.type === 'care' && !item.force && isFeedingEntry(item.payload) && fedAt > knownAt) {
+            return { status: 'conflict', conflict: { reason: 'fedMeanwhile', date: cat.lastFeeding.date, time: cat.lastFeeding.time } };
+        }
+    }
+
+    const photo = item.file ? await UPLOADERS[item.type](item.catId, item.file) : '';
+    if (item.type === 'care') {
+        await addCareLog(item.catId, { ...item.payload, photo });
+    } else if (item.type === 'sighting') {
+        await addSighting(item.catId, { ...item.payload, photo });
+    } else if (item.type === 'report') {
+        const created = await submitReport(
+            { firestoreId: item.catId, name: item.catName },
+            { uid: item.uid },
+            item.payload.reason,
+            item.payload.note,
+        );
+        if (!created) return { status: 'conflict', conflict: { reason: 'alreadyReported' } };
+    }
+    return { status: 'done' };
+};
+
+// A registration that already went through (the answer got lost on the way) is done.
+// Before sending, nearby cats are checked for a likely duplicate as on the register form;
+// 'force' sends it anyway, into the admin duplicate review.
+const sendRegistration = async (item, { checkConflicts }) => {
+    if (checkConflicts) {
+        const catSnap = await getDocFromServer(doc(db, "cats", item.catId));
+        if (catSnap.exists()) return { status: 'done' };
+
+        const { lat, lng, coat } = item.payload;
+        if (!item.force && item.embedding.length > 0) {
+            const nearby = await getCatsNear(lat, lng, DUPLICATE_RADIUS_KM);
+            const candidates = await findDuplicateCandidates(item.embedding, nearby, lat, lng, () => {}, coat, item.coatConfidence);
+            if (candidates.length > 0) {
+                const match = candidates[0].cat;
+                return { status: 'conflict', conflict: { reason: 'possibleDuplicate', targetId: match.firestoreId, targetName: match.name } };
+            }
+        }
+    }
+
+    const created = await registerCat(item.catId, item.uid, item.payload, item.files, item.embedding);
+    if (!created) return { status: 'conflict', conflict: { reason: 'quotaExceeded' } };
+    return { status: 'done' };
+};
+
+// Sends right away when online, otherwise (or when the connection drops midway) queues.
+// Resolves with { status: 'done' | 'queued' | 'conflict', conflict }.
+export const submitOrQueue = async (item) => {
+    if (!navigator.onLine) {
+        await enqueue(item);
+        return { status: 'queued' };
+    }
+    try {
+        return await sendItem(item, { checkConflicts: false });
+    } catch (error) {
+        if (!isOfflineError(error)) throw error;
+        await enqueue(item);
+        return { status: 'queued' };
+    }
+};
+
+// Sends the pending items of this user, oldest first. Stops at the first network
+// error; the rest stays queued for the next attempt.
+let syncPromise = null;
+export const syncOutbox = (uid) => {
+    if (!syncPromise) {
+        syncPromise = (async () => {
+            const items = (await getOutboxItems())
+                .filter(item => item.uid === uid && item.status === 'pending')
+                .sort((a, b) => a.createdAt - b.createdAt);
+            // Feedings this run has written itself do not count as someone else's
+            const fedByUs = {};
+
+            for (const item of items) {
+                try {
+                    const result = await sendItem(item, { fedSince: fedByUs[item.catId] || 0 });
+                    if (result.status === 'done') {
+                        if (item.type === 'care' && isFeedingEntry(item.payload)) fedByUs[item.catId] = getEntryTime(item.payload).getTime();
+                        await removeOutboxItem(item.id);
+                    } else {
+                        await putItem({ ...item, status: 'conflict', conflict: result.conflict });
+                    }
+                } catch (error) {
+                    if (isOfflineError(error)) break;
+                    console.error("Outbox item failed:", error);
+                    await putItem({ ...item, status: 'failed', error: error.message || String(error) });
+                }
+            }
+        })().finally(() => { syncPromise = null; });
+    }
+    return syncPromise;
+};
+
+// Conflict resolutions. 'force' sends as is, 'retarget' sends to the cat it was merged into,
+// 'retry' re-queues a failed item (or a registration over the daily quota).
+export const resolveOutboxItem = async (item, action) => {
+    const next = { ...item, status: 'pending', conflict: null, error: null };
+    if (action === 'force') next.force = true;
+    if (action === 'force' && item.conflict.reason === 'possibleDuplicate') {
+        next.payload = { ...item.payload, possibleDuplicateOf: item.conflict.targetId, duplicateReview: 'pending' };
+    }
+    if (action === 'retarget') next.catId = item.conflict.targetId;
+    await putItem(next);
+    return syncOutbox(item.uid);
+};
+
+// Outbox items of the signed-in user; syncs on sign-in and whenever the browser comes back online
+export function useOutbox(uid) {
+    const [items, setItems] = useState([]);
+
+    useEffect(() => {
+        if (!uid) {
+            setItems([]);
+            return undefined;
+        }
+        const refresh = () => getOutboxItems()
+            .then(all => setItems(all.filter(item => item.uid === uid)))
+            .catch(error => console.error("Error reading outbox:", error));
+        const handleOnline = () => syncOutbox(uid).catch(error => console.error("Outbox sync failed:", error));
+
+        listeners.add(refresh);
+        window.addEventListener('online', handleOnline);
+        refresh();
+        if (navigator.onLine) handleOnline();
+        return () => {
+            listeners.delete(refresh);
+            window.removeEventListener('online', handleOnline);
+        };
+    }, [uid]);
+
+    return items;
+}
+
+export function useOnlineStatus() {
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+
+    useEffect(() => {
+        const update = () => setIsOnline(navigator.onLine);
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        return () => {
+            window.removeEventListener('online', update);
+            window.removeEventListener('offline', update);
+        };
+    }, []);
+
+    return isOnline;
+}
@@ -0,0 +1,49 @@
+import { ref, uploadBytes, getDownloadURL } from "firebase/storage";
+import { storage } from './firebase';
+
+export const MAX_PHOTOS = 5;
+const MAX_DIMENSION = 1600;
+const JPEG_QUALITY = 0.85;
+
+// Older cats only have a single `photo` URL; newer ones keep a `photos` array.
+export const getCatPhotos = (cat) => {
+    if (cat.photos && cat.photos.length > 0) return cat.photos;
+    return cat.photo ? [cat.photo] : [];
+};
+
+// Downscale on the client before upload. Re-encoding through a canvas also
+// drops the EXIF block, so the GPS position of the phone never leaves the device.
+export const resizeImage = async (file, maxDimension = MAX_DIMENSION) => {
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            (blob) => blob ? resolve(blob) : reject(new Error("Image encoding failed")),
+            'image/jpeg',
+            JPEG_QUALITY
+        );
+    });
+};
+
+const uploadImage = async (folder, file) => {
+    const blob = await resizeImage(file);
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.jpg`;
+    const photoRef = ref(storage, `${folder}/${fileName}`);
+    await uploadBytes(photoRef, blob, { contentType: 'image/jpeg' });
+    return getDownloadURL(photoRef);
+};
+
+// Uploads under cats/{catId}/photos/ and resolves with the public download URL
+export const uploadCatPhoto = (catId, file) => uploadImage(`cats/${catId}/photos`, file);
+
+// Photos attached to a care log entry live next to the cat's own photos
+export const uploadCarePhoto = (catId, file) => uploadImage(`cats/${catId}/care`, file);
+
+// Photos attached to a sighting ("I saw this cat")
+export const uploadSightingPhoto = (catId, file) => uploadImage(`cats/${catId}/sightings`, file);
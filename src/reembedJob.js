@@ -0,0 +1,70 @@
+import { collection, doc, query, orderBy, limit, startAfter, getDocs, writeBatch, deleteField } from "firebase/firestore";
+import { db } from './firebase';
+import { getCatPhotos } from './photos';
+import { EMBEDDING_MODEL_VERSION, EMBEDDING_DIMS } from './embeddingCodec';
+import { setEmbedding } from './embeddingStore';
+import { getImageEmbedding, forgetEmbedding } from './embeddingClient';
+
+const PAGE_SIZE = 50;
+
+// The legacy `embedding` arrays on cat documents came from this model, so they can be
+// moved over without running inference while it is still the current version.
+const LEGACY_EMBEDDING_VERSION = 'mobilenet_v1_1.0_224';
+
+// Walks every cat and gives it an embedding of EMBEDDING_MODEL_VERSION: legacy arrays are
+// quantized and moved, everything else is embedded again from its first photo (in the
+// worker). Runs in an admin's browser because inference needs the model; photos must be
+// readable cross-origin (Storage CORS). `shouldStop()` is checked between cats.
+export const runReembedJob = async ({ onProgress, shouldStop }) => {
+    const stats = { scanned: 0, moved: 0, embedded: 0, skipped: 0, failed: 0 };
+    let cursor = null;
+
+    while (!shouldStop()) {
+        const q = cursor
+            ? query(collection(db, "cats"), orderBy("__name__"), startAfter(cursor), limit(PAGE_SIZE))
+            : query(collection(db, "cats"), orderBy("__name__"), limit(PAGE_SIZE));
+        const page = await getDocs(q);
+        if (page.empty) break;
+        cursor = page.docs[page.docs.length - 1];
+
+        for (const catDoc of page.docs) {
+            if (shouldStop()) break;
+            stats.scanned++;
+            const cat = catDoc.data();
+            const legacy = Array.isArray(cat.embedding) && cat.embedding.length === EMBEDDING_DIMS ? cat.embedding : null;
+
+            if (cat.embeddingVersion === EMBEDDING_MODEL_VERSION && !legacy) {
+                stats.skipped++;
+                continue;
+            }
+
+            try {
+                let vector = legacy && LEGACY_EMBEDDING_VERSION === EMBEDDING_MODEL_VERSION ? legacy : null;
+                const photo = getCatPhotos(cat)[0];
+                if (!vector && photo && cat.embeddingVersion !== EMBEDDING_MODEL_VERSION) {
+                    vector = await getImageEmbedding(photo);
+                }
+
+                const batch = writeBatch(db);
+                const update = { embedding: deleteField() };
+                if (vector) {
+                    setEmbedding(batch, catDoc.id, vector);
+                    update.embeddingVersion = EMBEDDING_MODEL_VERSION;
+                }
+                batch.update(doc(db, "cats", catDoc.id), update);
+                await batch.commit();
+                forgetEmbedding(catDoc.id);
+
+                if (!vector) stats.skipped++;
+                else if (vector === legacy) stats.moved++;
+                else stats.embedded++;
+            } catch (error) {
+                console.error(`Re-embedding failed for cat ${catDoc.id}:`, error);
+                stats.failed++;
+            }
+            onProgress({ ...stats });
+        }
+    }
+
+    return stats;
+};
@@ -0,0 +1,54 @@
+import { collection, doc, query, where, orderBy, startAt, endAt, getDoc, getDocsFromServer, writeBatch } from "firebase/firestore";
+import { db } from './firebase';
+import { geohashRangesAround, distanceKm } from './geo';
+import { uploadCatPhoto } from './photos';
+import { setEmbedding } from './embeddingStore';
+import { EMBEDDING_MODEL_VERSION } from './embeddingCodec';
+import { hasCatQuotaLeft, getNextCatQuota } from './catQuota';
+
+// New cat registrations. The document id is chosen before anything is uploaded, so the
+// photos are stored under it and a registration replayed from the outbox (src/outbox.js)
+// can tell whether it already went through.
+export const newCatId = () => doc(collection(db, "cats")).id;
+
+// Uploads `files` under the cat, then writes the cat, its embedding and the quota counter
+// in one batch so the rules can check them together. Resolves with false, writing
+// nothing, when the daily quota is used up.
+export const registerCat = async (catId, uid, fields, files = [], embedding = []) => {
+    const userRef = doc(db, "users", uid);
+    const userDoc = await getDoc(userRef);
+    const catQuota = userDoc.exists() ? userDoc.data().catQuota : null;
+    // An earlier attempt that timed out (src/outbox.js) is still waiting in the local cache
+    if (catQuota && catQuota.lastCatId === catId) {
+        throw Object.assign(new Error("Registration still being sent"), { code: 'unavailable' });
+    }
+    if (!hasCatQuotaLeft(catQuota)) return false;
+
+    const uploaded = await Promise.all(files.map(file => uploadCatPhoto(catId, file)));
+    const photos = [...(fields.photos || []), ...uploaded];
+
+    const batch = writeBatch(db);
+    batch.set(doc(db, "cats", catId), {
+        ...fields,
+        photos,
+        photo: photos[0] || '',
+        // Lists only ever ask for deleted == false (firestore.rules)
+        deleted: false,
+        ...(embedding.length > 0 ? { embeddingVersion: EMBEDDING_MODEL_VERSION } : {}),
+    });
+    if (embedding.length > 0) setEmbedding(batch, catId, embedding);
+    batch.set(userRef, { catQuota: getNextCatQuota(catQuota, catId) }, { merge: true });
+    await batch.commit();
+    return true;
+};
+
+// Cats within `radiusKm`, read from the server. The duplicate check of a queued
+// registration runs against these, since the map may not show that area.
+export const getCatsNear = async (lat, lng, radiusKm) => {
+    const snapshots = await Promise.all(geohashRangesAround(lat, lng, radiusKm).map(([start, end]) =>
+        getDocsFromServer(query(collection(db, "cats"), where("deleted", "==", false), orderBy("geohash"), startAt(start), endAt(end)))
+    ));
+    const cats = new Map();
+    snapshots.forEach(snapshot => snapshot.forEach(catDoc => cats.set(catDoc.id, { ...catDoc.data(), firestoreId: catDoc.id })));
+    return Array.from(cats.values()).filter(cat => distanceKm([lat, lng], [cat.lat, cat.lng]) <= radiusKm);
+};
@@ -0,0 +1,70 @@
+import { useState, useEffect } from 'react';
+import { collection, doc, query, where, orderBy, onSnapshot, runTransaction, increment, serverTimestamp } from "firebase/firestore";
+import { db } from './firebase';
+
+export const REPORT_REASONS = [
+    { value: 'duplicate', labelKey: 'reportReasonDuplicate' },
+    { value: 'gone', labelKey: 'reportReasonGone' },
+    { value: 'wrongLocation', labelKey: 'reportReasonWrongLocation' },
+    { value: 'abuse', labelKey: 'reportReasonAbuse' },
+    { value: 'personalData', labelKey: 'reportReasonPersonalData' },
+];
+
+// Open reports from this many different users hide the cat until an admin reviews it.
+// Keep in sync with the reportCount check in firestore.rules.
+export const REPORT_HIDE_THRESHOLD = 3;
+
+// One report per user per cat; the id makes "independent" reports checkable in the rules
+export const getReportId = (catId, uid) => `${catId}_${uid}`;
+
+export const getReportReasonMeta = (value) => REPORT_REASONS.find(reason => reason.value === value);
+
+// Resolves with false when this user already has an open report on the cat.
+// A closed (resolved / dismissed) report may be reopened.
+export const submitReport = (cat, user, reason, note) => runTransaction(db, async (transaction) => {
+    const catRef = doc(db, "cats", cat.firestoreId);
+    const reportRef = doc(db, "reports", getReportId(cat.firestoreId, user.uid));
+    const catSnap = await transaction.get(catRef);
+    const reportSnap = await transaction.get(reportRef);
+    if (!catSnap.exists()) throw new Error(`Cat ${cat.firestoreId} not found`);
+    if (reportSnap.exists() && reportSnap.data().status === 'open') return false;
+
+    transaction.set(reportRef, {
+        catId: cat.firestoreId,
+        catName: cat.name || '',
+        uid: user.uid,
+        reason,
+        note,
+        status: 'open',
+        outcome: '',
+        createdAt: serverTimestamp(),
+    });
+
+    const data = catSnap.data();
+    const update = { reportCount: increment(1) };
+    if ((data.reportCount || 0) + 1 >= REPORT_HIDE_THRESHOLD && !data.hidden) {
+        update.hidden = true;
+        update.hiddenReason = 'reports';
+        update.hiddenAt = serverTimestamp();
+    }
+    transaction.update(catRef, update);
+    return true;
+});
+
+// The signed-in user's reports, newest first, with their moderation outcome
+export function useMyReports(uid) {
+    const [reports, setReports] = useState([]);
+
+    useEffect(() => {
+        if (!uid) return undefined;
+        const q = query(collection(db, "reports"), where("uid", "==", uid), orderBy("createdAt", "desc"));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setReports(querySnapshot.docs.map(reportDoc => ({ ...reportDoc.data(), id: reportDoc.id })));
+        }, (error) => {
+            console.error("Error loading reports:", error);
+        });
+        return () => unsubscribe();
+    }, [uid]);
+
+    return reports;
+}
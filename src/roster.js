@@ -0,0 +1,100 @@
+import { runTransaction } from "firebase/firestore";
+import { db } from './firebase';
+
+// Weekly feeding roster. Stored on the cat (or feeding spot) document as
+//   roster: { '1_08': { uid, nickname }, ... }   // `${weekday}_${hour}`, weekday as Date.getDay()
+//   rosterSlotKeys: ['1_08', ...]                // the claimed keys, queried by functions/roster.js
+// Days and hours are Korean time wherever the browser is, as in functions/roster.js.
+// Keep the slot hours and windows in sync with functions/roster.js and firestore.rules.
+export const ROSTER_SLOTS = [
+    { hour: '08', labelKey: 'rosterMorning' },
+    { hour: '13', labelKey: 'rosterAfternoon' },
+    { hour: '19', labelKey: 'rosterEvening' },
+];
+
+// Monday first, as the roster is read as a week
+export const ROSTER_DAYS = [
+    { day: 1, labelKey: 'dayMon' },
+    { day: 2, labelKey: 'dayTue' },
+    { day: 3, labelKey: 'dayWed' },
+    { day: 4, labelKey: 'dayThu' },
+    { day: 5, labelKey: 'dayFri' },
+    { day: 6, labelKey: 'daySat' },
+    { day: 0, labelKey: 'daySun' },
+];
+
+// A feeding counts for a slot from SLOT_EARLY_HOURS before it; the slot is missed
+// once SLOT_GRACE_HOURS have passed without one
+const SLOT_EARLY_HOURS = 2;
+const SLOT_GRACE_HOURS = 3;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const ROSTER_TIME_ZONE = 'Asia/Seoul';
+// Korea has no daylight saving time
+const ROSTER_UTC_OFFSET = 9 * HOUR;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// { year, month, date, day } of `now` in Korea; day as Date.getDay()
+const seoulCalendar = (now) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: ROSTER_TIME_ZONE,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        weekday: 'short',
+    }).formatToParts(now).map(part => [part.type, part.value]));
+    return { year: Number(parts.year), month: Number(parts.month), date: Number(parts.day), day: WEEKDAYS.indexOf(parts.weekday) };
+};
+
+// Today's weekday in Korea
+export const getRosterToday = (now = Date.now()) => seoulCalendar(now).day;
+
+export const getSlotKey = (day, hour) => `${day}_${hour}`;
+
+export const getRoster = (target) => target.roster || {};
+
+// Claims an empty slot. Resolves with false when someone else got it first.
+export const claimRosterSlot = (ref, slotKey, claimer) => runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists()) throw new Error(`${ref.path} not found`);
+    const roster = getRoster(snapshot.data());
+    if (roster[slotKey]) return roster[slotKey].uid === claimer.uid;
+
+    const next = { ...roster, [slotKey]: { uid: claimer.uid, nickname: claimer.nickname || '' } };
+    transaction.update(ref, { roster: next, rosterSlotKeys: Object.keys(next) });
+    return true;
+});
+
+export const releaseRosterSlot = (ref, slotKey, uid) => runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists()) throw new Error(`${ref.path} not found`);
+    const roster = getRoster(snapshot.data());
+    if (!roster[slotKey] || roster[slotKey].uid !== uid) return;
+
+    const next = { ...roster };
+    delete next[slotKey];
+    transaction.update(ref, { roster: next, rosterSlotKeys: Object.keys(next) });
+});
+
+// Start of the latest occurrence of a slot whose grace period is already over
+const lastClosedOccurrence = (slotKey, now) => {
+    const [day, hour] = slotKey.split('_').map(Number);
+    const today = seoulCalendar(now);
+    let at = Date.UTC(today.year, today.month - 1, today.date - ((today.day - day + 7) % 7), hour) - ROSTER_UTC_OFFSET;
+    if (at + SLOT_GRACE_HOURS * HOUR > now) at -= 7 * DAY;
+    return new Date(at);
+};
+
+// The most recent claimed slot (within the last day) that passed without a feeding,
+// as { key, at, claim }, or null. `lastFedAt` is a Date or null.
+export const getMissedSlot = (target, lastFedAt, now = Date.now()) => {
+    const roster = getRoster(target);
+    const latest = Object.keys(roster)
+        .map(key => ({ key, at: lastClosedOccurrence(key, now), claim: roster[key] }))
+        .filter(slot => now - slot.at.getTime() <= DAY)
+        .sort((a, b) => b.at - a.at)[0];
+    if (!latest) return null;
+    const fedForSlot = lastFedAt && lastFedAt.getTime() >= latest.at.getTime() - SLOT_EARLY_HOURS * HOUR;
+    return fedForSlot ? null : latest;
+};
@@ -0,0 +1,58 @@
+import { useState, useEffect } from 'react';
+
+// Minimal client-side routing on top of the History API.
+// `_redirects` sends every path to index.html, so deep links land here.
+const BASE = import.meta.env.BASE_URL.replace(/\/$/, '');
+
+export const parseRoute = (pathname) => {
+    const path = pathname.startsWith(BASE) ? pathname.slice(BASE.length) : pathname;
+    const catMatch = path.match(/^\/cat\/([^/]+)\/?$/);
+    if (catMatch) return { name: 'cat', catId: decodeURIComponent(catMatch[1]) };
+    const spotMatch = path.match(/^\/spot\/([^/]+)\/?$/);
+    if (spotMatch) return { name: 'spot', spotId: decodeURIComponent(spotMatch[1]) };
+    if (/^\/admin\/?$/.test(path)) return { name: 'admin' };
+    return { name: 'map' };
+};
+
+export const getCatPath = (catId) => `${BASE}/cat/${encodeURIComponent(catId)}`;
+export const getSpotPath = (spotId) => `${BASE}/spot/${encodeURIComponent(spotId)}`;
+export const getMapPath = () => `${BASE}/`;
+export const getAdminPath = () => `${BASE}/admin`;
+export const getCatUrl = (catId) => `${window.location.origin}${getCatPath(catId)}`;
+
+export const navigate = (path, { replace = false } = {}) => {
+    if (replace) window.history.replaceState(null, '', path);
+    else window.history.pushState(null, '', path);
+    window.dispatchEvent(new PopStateEvent('popstate'));
+};
+
+export function useRoute() {
+    const [route, setRoute] = useState(() => parseRoute(window.location.pathname));
+
+    useEffect(() => {
+        const handlePopState = () => setRoute(parseRoute(window.location.pathname));
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    return route;
+}
+
+// Native share sheet on phones (KakaoTalk etc.), clipboard elsewhere
+export const shareCat = async (cat, t) => {
+    const url = getCatUrl(cat.firestoreId);
+    if (navigator.share) {
+        try {
+            await navigator.share({ title: `${cat.name} - ${t.appTitle}`, url });
+        } catch (error) {
+            if (error.name !== 'AbortError') console.error("Share failed:", error);
+        }
+        return;
+    }
+    try {
+        await navigator.clipboard.writeText(url);
+        alert(t.alertLinkCopied);
+    } catch (error) {
+        window.prompt(t.alertLinkCopyManual, url);
+    }
+};
@@ -0,0 +1,85 @@
+import { useState, useEffect } from 'react';
+import { collection, doc, query, orderBy, onSnapshot, runTransaction, increment, serverTimestamp, Timestamp } from "firebase/firestore";
+import { db } from './firebase';
+import { convexHull, distanceKm } from './geo';
+import { getEntryTime } from './careLog';
+
+// A sighting is one "this cat was here" record in cats/{catId}/sightings:
+// { lat, lng, date, time, note, photo, uid, nickname, createdAt }.
+// The cat document keeps a `sightingCount` counter and a `lastSeen` summary;
+// `lastSightingId` names the new sighting for firestore.rules.
+export const addSighting = (catId, sighting) => runTransaction(db, async (transaction) => {
+    const catRef = doc(db, "cats", catId);
+    const catSnap = await transaction.get(catRef);
+    if (!catSnap.exists()) throw new Error(`Cat ${catId} not found`);
+
+    const sightingRef = doc(collection(catRef, "sightings"));
+    transaction.set(sightingRef, { ...sighting, createdAt: serverTimestamp() });
+
+    const update = { sightingCount: increment(1), lastSightingId: sightingRef.id };
+    // Back-dated sightings must not move lastSeen backwards
+    const at = getEntryTime(sighting);
+    const current = catSnap.data().lastSeen;
+    if (!isNaN(at) && (!current || current.at.toMillis() < at.getTime())) {
+        update.lastSeen = { date: sighting.date, time: sighting.time, at: Timestamp.fromDate(at) };
+    }
+    transaction.update(catRef, update);
+});
+
+export const createEmptySightingForm = (cat) => ({
+    date: new Date().toISOString().split('T')[0],
+    time: new Date().toTimeString().split(' ')[0].slice(0, 5),
+    note: '',
+    // Where the cat was seen; starts at its registered location
+    lat: cat.lat,
+    lng: cat.lng,
+});
+
+// Most recent sighting, falling back to when the cat was first found
+export const getLastSeen = (cat) => cat.lastSeen || (cat.foundDate ? { date: cat.foundDate, time: cat.foundTime } : null);
+
+// Live sightings of one cat, oldest first
+export function useSightings(catId) {
+    const [sightings, setSightings] = useState([]);
+
+    useEffect(() => {
+        if (!catId) {
+            setSightings([]);
+            return undefined;
+        }
+        const q = query(collection(db, "cats", catId, "sightings"), orderBy("createdAt"));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            const list = querySnapshot.docs.map(sightingDoc => ({ ...sightingDoc.data(), id: sightingDoc.id }));
+            setSightings(list.sort((a, b) => getEntryTime(a) - getEntryTime(b)));
+        }, (error) => {
+            console.error("Error loading sightings:", error);
+        });
+        return () => unsubscribe();
+    }, [catId]);
+
+    return sightings;
+}
+
+// Share of points kept for the home range; the farthest ones are treated as
+// wandering/outliers once there are enough sightings (a "95% range").
+const RANGE_CORE_RATIO = 0.95;
+const RANGE_MIN_POINTS = 10;
+
+// Estimated home range as a hull polygon of [lat, lng] points, or null below 3 points
+export const estimateHomeRange = (points) => {
+    if (points.length < 3) return null;
+
+    let core = points;
+    if (points.length >= RANGE_MIN_POINTS) {
+        const center = [
+            points.reduce((sum, p) => sum + p[0], 0) / points.length,
+            points.reduce((sum, p) => sum + p[1], 0) / points.length,
+        ];
+        core = [...points]
+            .sort((a, b) => distanceKm(center, a) - distanceKm(center, b))
+            .slice(0, Math.ceil(points.length * RANGE_CORE_RATIO));
+    }
+
+    const hull = convexHull(core);
+    return hull.length >= 3 ? hull : null;
+};
@@ -0,0 +1,165 @@
+import { useState, useEffect } from 'react';
+import {
+    collection, doc, query, where, getDoc, onSnapshot, setDoc, updateDoc, deleteDoc, deleteField,
+    runTransaction, increment, serverTimestamp,
+} from "firebase/firestore";
+import { db } from './firebase';
+import { geohashForLocation } from './geo';
+import { getLastFeedingUpdate } from './careLog';
+
+// A feeding spot (밥자리) is a place several cats are fed at, stored in spots/{spotId}:
+//   { name, type, lat, lng, geohash, stockNote, catIds, managers: { [uid]: nickname },
+//     userId, createdAt, careCount, lastFeeding, roster, rosterSlotKeys }
+// Its care entries go to spots/{spotId}/careLogs; the roster works like a cat's (src/roster.js).
+export const SPOT_TYPES = [
+    { value: 'bowl', icon: '🥣', labelKey: 'spotTypeBowl' },
+    { value: 'shelter', icon: '🏠', labelKey: 'spotTypeShelter' },
+    { value: 'feeder', icon: '⚙️', labelKey: 'spotTypeFeeder' },
+];
+
+export const getSpotTypeMeta = (value) => SPOT_TYPES.find(type => type.value === value) || SPOT_TYPES[0];
+
+// Keep in sync with firestore.rules
+export const MAX_SPOT_CATS = 20;
+export const MAX_CATS_SEEN = 10;
+
+// Cats within this distance are offered for linking when a spot is created
+export const SPOT_NEARBY_CAT_KM = 0.3;
+
+export const createEmptySpotForm = () => ({
+    name: '',
+    type: 'bowl',
+    stockNote: '',
+    catIds: [],
+});
+
+// The creator becomes the first responsible caretaker
+export const addSpot = (user, nickname, { lat, lng }, form) => setDoc(doc(collection(db, "spots")), {
+    name: form.name.trim(),
+    type: form.type,
+    stockNote: form.stockNote.trim(),
+    catIds: form.catIds.slice(0, MAX_SPOT_CATS),
+    lat,
+    lng,
+    geohash: geohashForLocation([lat, lng]),
+    managers: { [user.uid]: nickname || '' },
+    userId: user.uid,
+    careCount: 0,
+    createdAt: serverTimestamp(),
+});
+
+export const updateSpot = (spotId, form) => updateDoc(doc(db, "spots", spotId), {
+    name: form.name.trim(),
+    type: form.type,
+    stockNote: form.stockNote.trim(),
+    catIds: form.catIds.slice(0, MAX_SPOT_CATS),
+});
+
+export const deleteSpot = (spotId) => deleteDoc(doc(db, "spots", spotId));
+
+export const joinSpot = (spotId, uid, nickname) =>
+    updateDoc(doc(db, "spots", spotId), { [`managers.${uid}`]: nickname || '' });
+
+export const leaveSpot = (spotId, uid) =>
+    updateDoc(doc(db, "spots", spotId), { [`managers.${uid}`]: deleteField() });
+
+export const isSpotManager = (spot, uid) => Boolean(uid && spot.managers && uid in spot.managers);
+
+// One care entry at the spot. `catsSeen` ([{ id, name }]) are the linked cats that showed up;
+// each of them also gets the entry in its own care log, so their feeding state stays right.
+// Missing or merged cats are skipped.
+export const addSpotCareLog = (spotId, entry, catsSeen = []) => runTransaction(db, async (transaction) => {
+    const spotRef = doc(db, "spots", spotId);
+    const spotSnap = await transaction.get(spotRef);
+    if (!spotSnap.exists()) throw new Error(`Spot ${spotId} not found`);
+    const spot = spotSnap.data();
+
+    // All reads before the first write
+    const seen = catsSeen.slice(0, MAX_CATS_SEEN);
+    const catSnaps = await Promise.all(seen.map(cat => transaction.get(doc(db, "cats", cat.id))));
+
+    const spotLogRef = doc(collection(spotRef, "careLogs"));
+    transaction.set(spotLogRef, { ...entry, catsSeen: seen, createdAt: serverTimestamp() });
+    const spotUpdate = { careCount: increment(1), lastCareLogId: spotLogRef.id };
+    const spotFeeding = getLastFeedingUpdate(spot.lastFeeding, entry);
+    if (spotFeeding) spotUpdate.lastFeeding = spotFeeding;
+    transaction.update(spotRef, spotUpdate);
+
+    catSnaps
+        .filter(catSnap => catSnap.exists() && !catSnap.data().mergedInto)
+        .forEach(catSnap => {
+            const catLogRef = doc(collection(catSnap.ref, "careLogs"));
+            transaction.set(catLogRef, {
+                ...entry,
+                spotId,
+                spotName: spot.name,
+                createdAt: serverTimestamp(),
+            });
+            const catUpdate = { caretakers: increment(1), lastCareLogId: catLogRef.id };
+            const catFeeding = getLastFeedingUpdate(catSnap.data().lastFeeding, entry);
+            if (catFeeding) catUpdate.lastFeeding = catFeeding;
+            transaction.update(catSnap.ref, catUpdate);
+        });
+});
+
+// Live spot document, or null once it is gone
+export function useSpot(spotId) {
+    const [spot, setSpot] = useState(undefined); // undefined while loading
+
+    useEffect(() => {
+        setSpot(undefined);
+        const unsubscribe = onSnapshot(doc(db, "spots", spotId), (snapshot) => {
+            setSpot(snapshot.exists() ? { ...snapshot.data(), firestoreId: snapshot.id } : null);
+        }, (error) => {
+            console.error("Error loading feeding spot:", error);
+            setSpot(null);
+        });
+        return () => unsubscribe();
+    }, [spotId]);
+
+    return spot;
+}
+
+// The linked cats of a spot; hidden and merged records are left out
+export function useLinkedCats(catIds) {
+    const [cats, setCats] = useState([]);
+    const key = (catIds || []).join(',');
+
+    useEffect(() => {
+        if (!key) {
+            setCats([]);
+            return undefined;
+        }
+        let cancelled = false;
+        // A soft-deleted cat cannot be read by others; it is left out like a hidden one
+        Promise.all(key.split(',').map(catId => getDoc(doc(db, "cats", catId)).catch(() => null)))
+            .then(snapshots => {
+                if (cancelled) return;
+                setCats(snapshots
+                    .filter(snapshot => snapshot && snapshot.exists() && !snapshot.data().hidden && !snapshot.data().mergedInto)
+                    .map(snapshot => ({ ...snapshot.data(), firestoreId: snapshot.id })));
+            })
+            .catch(error => console.error("Error loading linked cats:", error));
+        return () => { cancelled = true; };
+    }, [key]);
+
+    return cats;
+}
+
+// Spots a cat is linked to, for its profile
+export function useSpotsForCat(catId) {
+    const [spots, setSpots] = useState([]);
+
+    useEffect(() => {
+        if (!catId) return undefined;
+        const q = query(collection(db, "spots"), where("catIds", "array-contains", catId));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setSpots(querySnapshot.docs.map(spotDoc => ({ ...spotDoc.data(), firestoreId: spotDoc.id })));
+        }, (error) => {
+            console.error("Error loading feeding spots:", error);
+        });
+        return () => unsubscribe();
+    }, [catId]);
+
+    return spots;
+}
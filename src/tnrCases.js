@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { doc, getDoc, onSnapshot, setDoc, updateDoc, deleteField, runTransaction, serverTimestamp } from "firebase/firestore";
+import { db } from './firebase';
+import { getTnrReview } from './earTip';
+
+// TNR (trap-neuter-return) case of one cat, in tnrCases/{catId}:
+//   { catId, catName, lat, lng, geohash, step, stepDates: { [step]: 'YYYY-MM-DD' },
+//     volunteers: { [uid]: nickname }, hospital: { id, name, phone } | null,
+//     userId, createdAt, updatedAt }
+// One case per cat; a cancelled case can be requested again. The location is copied
+// from the cat so open cases can be listed by area (geohash range queries).
+export const TNR_STEPS = [
+    { value: 'requested', icon: '📝', labelKey: 'tnrStepRequested' },
+    { value: 'trapScheduled', icon: '📅', labelKey: 'tnrStepTrapScheduled' },
+    { value: 'trapped', icon: '🪤', labelKey: 'tnrStepTrapped' },
+    { value: 'atClinic', icon: '🏥', labelKey: 'tnrStepAtClinic' },
+    { value: 'released', icon: '🏡', labelKey: 'tnrStepReleased' },
+];
+export const TNR_CANCELLED = 'cancelled';
+
+const TNR_DONE = '확인됨(TNR 완료)';
+const NEEDS_NEUTER = '중성화 필요';
+
+export const getStepIndex = (step) => TNR_STEPS.findIndex(s => s.value === step);
+
+export const getNextStep = (step) => {
+    const next = TNR_STEPS[getStepIndex(step) + 1];
+    return next ? next.value : null;
+};
+
+export const isOpenCase = (tnrCase) => Boolean(tnrCase) && tnrCase.step !== 'released' && tnrCase.step !== TNR_CANCELLED;
+
+// Creator, volunteers and admins move the case forward, volunteers only up to the clinic
+// (checked in firestore.rules)
+export const canUpdateCase = (tnrCase, uid, isAdmin) =>
+    Boolean(uid) && (isAdmin || tnrCase.userId === uid || uid in (tnrCase.volunteers || {}));
+
+// Release marks the cat neutered: only the creator, the cat's owner and admins (firestore.rules)
+export const canReleaseCase = (tnrCase, cat, uid, isAdmin) =>
+    Boolean(uid) && (isAdmin || tnrCase.userId === uid || cat.userId === uid);
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const caseRef = (catId) => doc(db, "tnrCases", catId);
+
+// Opens a case, or restarts a cancelled one. The requester is the first volunteer and,
+// on a restart too, the case's creator.
+export const requestTnrCase = async (cat, user, nickname) => {
+    const ref = caseRef(cat.firestoreId);
+    const existing = await getDoc(ref);
+    if (existing.exists() && existing.data().step !== TNR_CANCELLED) return;
+    if (existing.exists()) {
+        return updateDoc(ref, {
+            step: 'requested',
+            stepDates: { requested: today() },
+            hospital: null,
+            [`volunteers.${user.uid}`]: nickname || '',
+            userId: user.uid,
+            updatedAt: serverTimestamp(),
+        });
+    }
+    return setDoc(ref, {
+        catId: cat.firestoreId,
+        catName: cat.name,
+        lat: cat.lat,
+        lng: cat.lng,
+        geohash: cat.geohash,
+        step: 'requested',
+        stepDates: { requested: today() },
+        volunteers: { [user.uid]: nickname || '' },
+        hospital: null,
+        userId: user.uid,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+    });
+};
+
+// Moves the case one step forward; `date` is when it happened (for trapScheduled: the
+// planned trapping day). Releasing also marks the cat as neutered and clears '중성화 필요'.
+export const advanceTnrCase = (catId, date) => runTransaction(db, async (transaction) => {
+    const ref = caseRef(catId);
+    const caseSnap = await transaction.get(ref);
+    if (!caseSnap.exists()) throw new Error(`TNR case ${catId} not found`);
+    const tnrCase = caseSnap.data();
+    const next = getNextStep(tnrCase.step);
+    if (!next) return;
+
+    const catRef = doc(db, "cats", catId);
+    const catSnap = next === 'released' ? await transaction.get(catRef) : null;
+
+    transaction.update(ref, {
+        step: next,
+        stepDates: { ...tnrCase.stepDates, [next]: date || today() },
+        updatedAt: serverTimestamp(),
+    });
+
+    if (catSnap && catSnap.exists()) {
+        const cat = catSnap.data();
+        const catUpdate = {
+            neutered: TNR_DONE,
+            tnrReview: getTnrReview(TNR_DONE, cat.tnrHint) || deleteField(),
+        };
+        if (cat.needs === NEEDS_NEUTER) catUpdate.needs = '없음';
+        transaction.update(catRef, catUpdate);
+    }
+});
+
+export const cancelTnrCase = (catId) => updateDoc(caseRef(catId), {
+    step: TNR_CANCELLED,
+    updatedAt: serverTimestamp(),
+});
+
+export const setCaseHospital = (catId, hospital) => updateDoc(caseRef(catId), {
+    hospital: hospital ? { id: hospital.id, name: hospital.name, phone: hospital.phone || '' } : null,
+    updatedAt: serverTimestamp(),
+});
+
+export const joinTnrCase = (catId, uid, nickname) =>
+    updateDoc(caseRef(catId), { [`volunteers.${uid}`]: nickname || '' });
+
+export const leaveTnrCase = (catId, uid) =>
+    updateDoc(caseRef(catId), { [`volunteers.${uid}`]: deleteField() });
+
+// Live case of one cat, null when there is none
+export function useTnrCase(catId) {
+    const [tnrCase, setTnrCase] = useState(null);
+
+    useEffect(() => {
+        if (!catId) return undefined;
+        const unsubscribe = onSnapshot(caseRef(catId), (snapshot) => {
+            setTnrCase(snapshot.exists() ? { ...snapshot.data(), id: snapshot.id } : null);
+        }, (error) => {
+            console.error("Error loading TNR case:", error);
+        });
+        return () => unsubscribe();
+    }, [catId]);
+
+    return tnrCase;
+}
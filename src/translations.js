@@ -17,7 +17,10 @@ export const translations = {
         labelCondition: "영양 상태",
         labelStatusSidebar: "상태",
         labelNeutered: "중성화",
-        labelPhoto: "사진 URL (선택)",
+        labelPhoto: "사진 (선택)",
+        btnAddPhoto: "사진 추가",
+        photoHint: "최대 {max}장까지 올릴 수 있어요. 위치 정보(EXIF)는 자동으로 지워집니다.",
+        uploadingPhotos: "사진 올리는 중...",
         labelPhone: "작성자 연락처 (선택)",
         placeholderPhone: "(동물병원에 다른 집사와 함께 즉시 방문이 필요한 경우 등 입력)",
         submitUpdate: "수정 완료",
@@ -56,10 +59,22 @@ export const translations = {
 
         // Care/Help Modals
         careTitle: "🍚 돌봄 기록 남기기",
-        careDesc: "오늘 길냥이에게 맛있는 밥과 물을 주셨나요? 시간을 기록해주세요!",
+        careDesc: "오늘 길냥이를 위해 어떤 일을 하셨나요? 함께 돌보는 집사님들이 볼 수 있도록 기록해주세요!",
         labelDate: "날짜",
         labelTime: "시간",
         btnComplete: "기록 완료",
+        labelCareTypes: "한 일",
+        labelCareAmount: "양",
+        placeholderCareAmount: "ex) 건사료 한 컵, 물 500ml",
+        labelCareNote: "메모 / 건강 관찰",
+        placeholderCareNote: "ex) 왼쪽 뒷다리를 절어요, 밥을 절반만 먹었어요",
+        labelCarePhoto: "사진 (선택)",
+        careTypeFood: "밥",
+        careTypeWater: "물",
+        careTypeShelter: "집 청소",
+        careTypeMedication: "투약",
+        careTypeVet: "병원 방문",
+        careTypeObservation: "건강 관찰",
         helpTitle: "🆘 도움 주기",
         helpDesc: "도움을 주실 수 있나요? 다른 집사님들과 소통할 수 있도록 연락처를 남겨주세요.",
         labelContact: "연락처",
@@ -69,6 +84,7 @@ export const translations = {
         // Alerts
         alertThanks: "도움을 주셔서 감사합니다! 🐾 연락처가 등록되었습니다.",
         alertCare: "돌봄 기록이 등록되었습니다! 🍚💧",
+        alertCareType: "한 일을 하나 이상 선택해주세요.",
         alertError: "오류가 발생했습니다.",
         alertSaveError: "저장에 실패했습니다. 콘솔을 확인해주세요.",
 
@@ -76,6 +92,359 @@ export const translations = {
         historyTitle: "📋 돌봄 기록 히스토리",
         historyEmpty: "아직 기록이 없습니다.",
 
+        // Cat Profile Page
+        btnProfile: "자세히 보기",
+        btnShare: "공유하기",
+        profileBackToMap: "지도로 돌아가기",
+        profileShowOnMap: "지도에서 보기",
+        profileLoading: "불러오는 중...",
+        profileNotFound: "고양이를 찾을 수 없습니다. 삭제되었거나 잘못된 링크입니다.",
+        profileTnrTitle: "TNR 정보",
+        profileNoHelpers: "아직 도움 주시는 분이 없습니다.",
+        profileLocation: "위치",
+        alertLinkCopied: "링크가 복사되었습니다. 메신저에 붙여넣어 공유해 주세요!",
+        alertLinkCopyManual: "아래 링크를 복사해 주세요.",
+
+        // Nearby Hospitals
+        hospitalListTitle: "💙 가까운 동물병원",
+        hospitalListEmpty: "반경 안에 병원이 없습니다. 반경을 넓혀보세요.",
+        hospital24h: "24시",
+        hospitalHouseCall: "출장 진료",
+        hospitalNoPhone: "전화번호 없음",
+        hospitalDirections: "길찾기",
+
+        // Filters
+        filterTitle: "🔎 필터",
+        filterShowAll: "전체 보기",
+        filterShowMine: "내 기록 보기",
+        filterNotFed: "돌봄 기록 없음",
+        filterDays: "{n}일 이상",
+        filterAny: "전체",
+        filterHelpers: "도움 참여",
+        filterHasHelpers: "참여자 있음",
+        filterNeedsHelpers: "참여자 필요",
+        filterReset: "필터 초기화",
+
+        // Map Legend
+        legendTitle: "🗺️ 범례",
+        legendNeeds: "테두리 색 (필요사항)",
+        legendBadges: "표시",
+        legendFeeding: "마지막 돌봄",
+        legendFedRecent: "24시간 이내",
+        legendFedLate: "1~3일 전",
+        legendFedStale: "3일 이상 / 기록 없음",
+
+        // Admin Console
+        adminTitle: "🛡️ 관리자",
+        adminLink: "관리자 콘솔",
+        adminNoAccess: "관리자만 접근할 수 있습니다.",
+        adminTabReported: "신고된 고양이",
+        adminTabDuplicates: "중복 의심",
+        adminTabHidden: "숨김 처리됨",
+        adminTabTnr: "TNR 불일치",
+        adminTabUsers: "사용자",
+        adminTabAudit: "작업 기록",
+        adminEmpty: "항목이 없습니다.",
+        adminReports: "신고",
+        adminHidden: "숨김",
+        adminDuplicateOf: "비슷한 고양이:",
+        adminHide: "숨기기",
+        adminRestore: "복원",
+        adminMerge: "병합",
+        adminNotDuplicate: "중복 아님",
+        adminTnrConflict: "선택: {neutered} / 사진 판단: {suggested} ({p}%)",
+        adminAcceptTnrHint: "사진 판단 적용",
+        adminDismissTnrHint: "선택 유지",
+        adminSave: "저장",
+        adminCancel: "취소",
+        adminBan: "이용 정지",
+        adminUnban: "정지 해제",
+        adminBanned: "정지됨",
+        adminHideReason: "숨기는 이유를 입력해주세요.",
+        adminMergeTarget: "합칠 대상 고양이 ID를 입력해주세요.",
+        adminBanReason: "이용 정지 사유를 입력해주세요.",
+        adminAction_hide: "숨김",
+        adminAction_restore: "복원",
+        adminAction_merge: "병합",
+        adminAction_dismissDuplicate: "중복 아님 처리",
+        adminAction_acceptTnrHint: "TNR 사진 판단 적용",
+        adminAction_dismissTnrHint: "TNR 선택 유지",
+        adminAction_edit: "정보 수정",
+        adminAction_ban: "이용 정지",
+        adminAction_unban: "정지 해제",
+        adminAction_reembed: "임베딩 재생성",
+        adminTabEmbeddings: "사진 임베딩",
+        adminEmbeddingDesc: "모든 고양이의 중복 검사용 사진 임베딩을 현재 모델({version})로 만듭니다. 이미 최신인 고양이는 건너뜁니다. 이 탭을 벗어나면 중단됩니다.",
+        adminEmbeddingStats: "확인 {scanned} · 이전 {moved} · 새로 생성 {embedded} · 건너뜀 {skipped} · 실패 {failed}",
+        adminEmbeddingStart: "재생성 시작",
+        adminEmbeddingStop: "중단",
+        alertBanned: "이용이 정지된 계정입니다. 관리자에게 문의해주세요.",
+
+        // Reports
+        btnReport: "잘못된 정보 신고",
+        reportTitle: "이 기록 신고하기",
+        reportDesc: "관리자가 확인합니다. 여러 분이 신고하면 확인 전까지 자동으로 숨겨집니다.",
+        reportReasonDuplicate: "중복 등록",
+        reportReasonGone: "더 이상 이곳에 없음",
+        reportReasonWrongLocation: "위치가 틀림",
+        reportReasonAbuse: "욕설·학대·허위 내용",
+        reportReasonPersonalData: "개인정보 노출",
+        reportNotePlaceholder: "추가 설명 (선택)",
+        reportSubmit: "신고하기",
+        reportSubmitting: "신고 중...",
+        alertReportReason: "신고 사유를 선택해주세요.",
+        alertReported: "신고가 접수되었습니다. 처리 결과는 '내 신고'에서 확인할 수 있어요.",
+        alertAlreadyReported: "이미 신고한 기록입니다. 검토를 기다려주세요.",
+        myReportsTitle: "내 신고",
+        myReportsEmpty: "신고한 기록이 없습니다.",
+        reportStatusOpen: "검토 중",
+        reportStatusResolved: "처리 완료",
+        reportStatusDismissed: "검토 완료",
+        reportOutcome_hidden: "기록이 숨겨졌습니다",
+        reportOutcome_merged: "다른 기록과 합쳐졌습니다",
+        reportOutcome_kept: "문제가 없어 유지됩니다",
+        adminHiddenByReports: "신고 누적",
+        adminKeep: "신고 기각",
+
+        // Duplicate Check
+        duplicateProgress_model: "사진 분석 준비 중...",
+        duplicateProgress_embedding: "사진 분석 중...",
+        duplicateProgress_ranking: "비슷한 고양이 찾는 중...",
+
+        // Sightings & Merge
+        btnSawCat: "봤어요",
+        btnShowRange: "이동 범위",
+        btnHideRange: "범위 숨기기",
+        lastSeen: "👀 마지막 목격:",
+        labelLastSeen: "마지막 목격",
+        sightingCount: "목격 {n}회",
+        sightingTitle: "이 고양이를 봤어요",
+        sightingDesc: "어디서 언제 봤는지 남겨주시면 지도에 이동 범위가 그려집니다.",
+        labelSightingLocation: "본 위치",
+        btnMyLocation: "현재 위치",
+        btnPickOnMap: "지도에서 선택",
+        sightingPickHint: "고양이를 본 위치를 지도에서 눌러주세요",
+        placeholderSightingNote: "예: 편의점 앞 화단에서 쉬고 있었어요",
+        alertNoGeolocation: "현재 위치를 가져올 수 없습니다. 지도에서 선택해주세요.",
+        alertSightingAdded: "기존 고양이에 목격 기록으로 추가되었습니다. 감사합니다!",
+        profileMergedInto: "이 기록은 다른 고양이 기록으로 합쳐졌습니다:",
+        profileMergeTitle: "중복 기록 합치기",
+        profileMergeDesc: "같은 고양이가 두 번 등록되었다면, 남길 고양이의 공유 링크나 ID를 입력하세요. 이 기록의 돌봄 기록, 도움 참여자, 사진이 그쪽으로 옮겨집니다.",
+        profileMergePlaceholder: "남길 고양이 링크 또는 ID",
+        profileMergeBtn: "합치기",
+        profileMerging: "합치는 중...",
+        confirmMerge: "이 기록을 '{name}'(으)로 합칠까요? 이 기록은 숨겨지고 링크는 '{name}'(으)로 연결됩니다.",
+        alertMergeTarget: "합칠 고양이를 찾을 수 없습니다. 링크나 ID를 확인해주세요.",
+        alertMergeNotOwner: "직접 등록한 기록끼리만 합칠 수 있습니다. 다른 분의 기록이라면 '잘못된 정보 신고'의 중복 등록을 이용해주세요.",
+        alertMerged: "기록을 합쳤습니다.",
+
+        // Coat & Ear Tip
+        labelCoat: "털 무늬",
+        coatTabby: "고등어",
+        coatCheese: "치즈",
+        coatCalico: "삼색",
+        coatTuxedo: "턱시도",
+        coatBlack: "올블랙",
+        coatWhite: "흰색",
+        coatGray: "회색",
+        coatOther: "기타",
+        coatUnknown: "모름",
+        coatSuggested: "사진으로 추천: {coat}",
+        suggestionApply: "적용",
+        earTipClipped: "사진에서 귀 커팅이 보여요 ({p}%)",
+        earTipIntact: "사진에서 귀 커팅이 보이지 않아요 ({p}%)",
+
+        // Offline Outbox
+        outboxTitle: "보낼 기록",
+        outboxDesc: "신호가 없을 때 남긴 기록입니다. 연결되면 자동으로 보내져요.",
+        outboxOfflineDesc: "지금은 오프라인입니다. 기록은 이 기기에 저장되었다가 연결되면 보내져요.",
+        outboxEmpty: "보낼 기록이 없습니다.",
+        outboxTypeCare: "돌봄 기록",
+        outboxTypeSighting: "목격",
+        outboxTypeReport: "신고",
+        outboxTypeCat: "새 고양이 등록",
+        outboxStatus_pending: "전송 대기 중",
+        outboxStatus_failed: "전송 실패",
+        outboxConflict_fedMeanwhile: "그사이 다른 분이 {time}에 급식을 기록했어요. 중복인지 확인해주세요.",
+        outboxConflict_catMissing: "이 고양이 정보가 삭제되었어요.",
+        outboxConflict_catMerged: "이 고양이가 다른 기록과 합쳐졌어요.",
+        outboxConflict_alreadyReported: "이미 신고한 고양이입니다.",
+        outboxConflict_possibleDuplicate: "근처에 이미 등록된 '{name}'와(과) 같은 고양이일 수 있어요. 다른 고양이라면 그래도 등록해주세요.",
+        outboxConflict_quotaExceeded: "하루에 최대 2마리까지만 등록할 수 있어요. 내일 다시 시도해주세요.",
+        outboxSendAnyway: "그래도 보내기",
+        outboxSendToMerged: "합쳐진 고양이에 보내기",
+        outboxRegisterAnyway: "그래도 등록하기",
+        outboxRetry: "다시 시도",
+        outboxDiscard: "버리기",
+        outboxConfirmDiscard: "이 기록을 보내지 않고 삭제할까요?",
+        outboxSendNow: "지금 보내기",
+        offlineBadge: "오프라인",
+        alertQueuedOffline: "오프라인이라 기기에 저장했어요. 연결되면 자동으로 보내집니다.",
+
+        // Follows & Notifications
+        btnFollow: "팔로우",
+        btnFollowing: "팔로우 중",
+        btnUnfollow: "해제",
+        notifyTitle: "알림 설정",
+        notifyEnablePush: "이 기기에서 알림 받기",
+        notifyPushOn: "이 기기에서 알림을 받고 있어요.",
+        notifyPushUnavailable: "이 브라우저에서는 푸시 알림을 쓸 수 없어요. (홈 화면에 추가한 앱에서 시도해주세요)",
+        notifyTypes: "받을 알림",
+        notifyUrgent: "즉시 치료가 필요해졌을 때",
+        notifyHelp: "도움 요청이 올라왔을 때",
+        notifyCareGap: "오랜만에 돌봄 기록이 생겼을 때",
+        notifyStatus: "입양 · 실종 · 무지개다리 소식",
+        notifyQuietHours: "방해 금지 시간",
+        notifyFollowedCats: "팔로우한 고양이",
+        notifyNoFollowedCats: "고양이 상세에서 🔕 팔로우를 눌러 추가하세요.",
+        notifyFollowedAreas: "팔로우한 지역",
+        notifyAreaDesc: "지금 지도 중심을 기준으로 지역을 추가합니다. 이 지역의 새 고양이와 변화도 알려드려요.",
+        notifyAreaLabelPlaceholder: "지역 이름 (예: 우리 동네)",
+        notifyAddArea: "지역 추가",
+        alertPushDenied: "알림 권한이 거부되었습니다. 브라우저 설정에서 허용해주세요.",
+
+        // Feeding Roster
+        rosterTitle: "급식 당번표",
+        rosterMorning: "아침",
+        rosterAfternoon: "점심",
+        rosterEvening: "저녁",
+        dayMon: "월",
+        dayTue: "화",
+        dayWed: "수",
+        dayThu: "목",
+        dayFri: "금",
+        daySat: "토",
+        daySun: "일",
+        rosterOpen: "비어 있음 - 눌러서 맡기",
+        rosterLegend: "+ 칸을 눌러 당번을 맡고, 내 칸을 누르면 취소돼요. 당번 1시간 전에 알림을 보내드려요.",
+        rosterMissed: "{slot} 당번({name})의 급식 기록이 없어요. 대신 챙겨주실 수 있나요?",
+        rosterConfirmRelease: "이 당번을 취소할까요?",
+        alertRosterTaken: "다른 분이 먼저 맡았어요.",
+        notifyRosterReminder: "내 급식 당번 1시간 전",
+        notifyRosterMissed: "팔로우한 고양이나 담당 밥자리의 당번이 비었을 때",
+
+        // Feeding Spots
+        spotLayer: "밥자리",
+        spotLayerShow: "밥자리 보기",
+        spotLayerHide: "밥자리 숨기기",
+        spotAddTitle: "🥣 밥자리 등록",
+        spotEditTitle: "🥣 밥자리 수정",
+        spotPickHint: "📍 지도에서 밥자리 위치를 눌러주세요",
+        spotTypeBowl: "밥그릇",
+        spotTypeShelter: "급식소/쉼터",
+        spotTypeFeeder: "자동 급식기",
+        labelSpotName: "밥자리 이름",
+        placeholderSpotName: "예: 놀이터 뒤 화단",
+        labelSpotType: "종류",
+        labelSpotStock: "사료/물품 재고",
+        placeholderSpotStock: "예: 건사료 2kg 남음, 물그릇 교체 필요",
+        labelSpotCats: "이 밥자리에 오는 고양이",
+        spotNoNearbyCats: "근처에 등록된 고양이가 없어요.",
+        spotNoCats: "아직 연결된 고양이가 없어요.",
+        spotNoStockNote: "재고 메모가 없어요.",
+        spotManagers: "담당 집사",
+        anonymousName: "이름 없음",
+        spotCareCount: "돌봄 기록",
+        btnJoinSpot: "담당 집사 되기",
+        btnLeaveSpot: "담당 그만두기",
+        btnSpotCare: "이 밥자리 돌봄 기록",
+        labelCatsSeen: "나타난 고양이",
+        spotCatsSeenHint: "체크한 고양이의 돌봄 기록에도 함께 남아요.",
+        btnEditSpot: "수정",
+        btnDeleteSpot: "삭제",
+        spotConfirmLeave: "이 밥자리 담당을 그만둘까요?",
+        spotConfirmDelete: "이 밥자리를 삭제할까요? 돌봄 기록도 더 이상 보이지 않아요.",
+        spotNotFound: "밥자리를 찾을 수 없어요.",
+        spotSaving: "저장 중...",
+        alertSpotSaved: "밥자리가 저장되었습니다!",
+        profileSpots: "다니는 밥자리",
+
+        // TNR Cases
+        tnrStepRequested: "요청",
+        tnrStepTrapScheduled: "포획 예정",
+        tnrStepTrapped: "포획",
+        tnrStepAtClinic: "병원 입원",
+        tnrStepReleased: "방사 완료",
+        tnrCaseCancelled: "이전 TNR 진행이 취소되었어요.",
+        btnRequestTnr: "TNR 진행 요청",
+        tnrRequestDesc: "요청하면 포획 일정, 병원, 봉사자를 함께 정리할 수 있어요. 방사까지 마치면 중성화 상태가 자동으로 바뀌어요.",
+        tnrHospital: "병원",
+        tnrNoHospital: "아직 정하지 않았어요",
+        tnrPickHospital: "근처 병원 선택",
+        tnrVolunteers: "봉사자",
+        btnJoinTnr: "봉사자로 참여",
+        btnLeaveTnr: "참여 취소",
+        tnrTrapDate: "포획 예정일",
+        btnTnrNext: "{step} 단계로",
+        btnCancelTnr: "진행 취소",
+        tnrConfirmCancel: "이 TNR 진행을 취소할까요?",
+        tnrConfirmRelease: "방사 완료로 바꾸면 이 고양이가 중성화 완료로 표시돼요. 계속할까요?",
+        tnrReleaseRestricted: "방사 완료는 요청한 분, 고양이를 등록한 분 또는 관리자만 표시할 수 있어요.",
+        tnrCasesTitle: "TNR 현황",
+        tnrCasesDesc: "지금 보고 있는 지도 주변에서 진행 중인 TNR이에요.",
+        tnrCasesEmpty: "이 주변에 진행 중인 TNR이 없어요.",
+
+        // Treatments
+        treatmentTitle: "치료 기록",
+        btnTreatmentRecords: "치료 기록 보기",
+        treatmentEmpty: "아직 치료 기록이 없어요.",
+        treatmentHelperHint: "도움 주기를 신청하면 치료 기록을 함께 관리할 수 있어요.",
+        btnOpenTreatment: "치료 케이스 열기",
+        placeholderSymptoms: "증상 (예: 왼쪽 뒷다리를 절어요, 눈곱이 심해요)",
+        urgencyCritical: "위급",
+        urgencyHigh: "빠른 치료 필요",
+        urgencyNormal: "경과 관찰",
+        treatmentOpen: "치료 중",
+        treatmentClosed: "종료",
+        labelFollowUp: "다음 진료일",
+        treatmentVisits: "진료",
+        treatmentTotalCost: "총 비용",
+        currencyUnit: "원",
+        labelDiagnosis: "진단",
+        labelCost: "비용",
+        placeholderVisitHospital: "병원 이름",
+        treatmentMedications: "약",
+        labelMedicationName: "약 이름",
+        labelDosage: "용량/횟수",
+        labelMedicationUntil: "복용 종료일",
+        btnAddVisit: "진료 추가",
+        btnAddMedication: "약 추가",
+        btnCloseTreatment: "치료 종료",
+        treatmentCloseDesc: "치료를 마치면 고양이의 도움 필요 항목과 건강 상태가 아래 값으로 바뀌어요.",
+        placeholderOutcomeNote: "결과 메모 (선택)",
+        treatmentOutcome: "결과",
+        treatmentConfirmClose: "치료 케이스를 종료할까요?",
+
+        // Lifecycle
+        lifecycleTitle: "지금 상태",
+        lifecycleActive: "활동 중",
+        lifecycleMissing: "실종",
+        lifecycleAdopted: "입양됨",
+        lifecycleShelter: "보호소 입소",
+        lifecycleRelocated: "이주",
+        lifecycleDeceased: "무지개다리",
+        lifecycleInactiveDesc: "더 이상 길에서 지내지 않아 지도에는 기본으로 보이지 않아요. 이름이나 상태로 검색하면 찾을 수 있어요.",
+        lifecycleDeletedNotice: "삭제된 기록이에요. 지도와 목록에서는 보이지 않아요.",
+        btnChangeStatus: "상태 변경",
+        placeholderStatusNote: "메모 (입양처, 이주 장소 등, 선택)",
+        labelLifecycle: "지금 상태",
+        filterLifecycleHint: "입양·보호소·이주·무지개다리 고양이는 상태를 고르거나 이름으로 검색할 때만 보여요.",
+        btnDeleteCat: "🗑️ 삭제",
+        confirmSoftDelete: "이 길냥이 기록을 삭제할까요? 보관함에서 다시 복원할 수 있어요.",
+        alertSoftDeleted: "삭제되었습니다. 보관함에서 복원할 수 있어요.",
+        btnRestoreCat: "복원",
+        archiveTitle: "보관함",
+        archiveDesc: "입양, 보호소 입소, 이주, 무지개다리로 길을 떠난 고양이들이에요.",
+        archiveEmpty: "아직 보관된 고양이가 없어요.",
+        archiveDeletedTitle: "내가 삭제한 기록",
+        adminTabDeleted: "삭제됨",
+        adminDeleted: "삭제됨",
+        adminUndelete: "삭제 취소",
+        adminPurge: "영구 삭제",
+        adminConfirmPurge: "이 기록을 영구 삭제할까요? 되돌릴 수 없어요.",
+        adminAction_undelete: "삭제 취소",
+        adminAction_purge: "영구 삭제",
+
         // Notices
         noticeNeuter: "📢 중성화 전 해당 구청 담당부서에 지원 문의를 해보세요!"
     },
@@ -97,7 +466,10 @@ export const translations = {
         labelCondition: "Condition",
         labelStatusSidebar: "Status",
         labelNeutered: "Neutered",
-        labelPhoto: "Photo URL (Optional)",
+        labelPhoto: "Photos (Optional)",
+        btnAddPhoto: "Add Photo",
+        photoHint: "Up to {max} photos. Location data (EXIF) is removed automatically.",
+        uploadingPhotos: "Uploading photos...",
         labelPhone: "Contact (Optional)",
         placeholderPhone: "(Enter if immediate joint vet visit is needed)",
         submitUpdate: "Update",
@@ -136,10 +508,22 @@ export const translations = {
 
         // Care/Help Modals
         careTitle: "🍚 Record Care",
-        careDesc: "Did you feed or water the cat today? Please record the time!",
+        careDesc: "What did you do for the cat today? Record it so other caretakers can follow along!",
         labelDate: "Date",
         labelTime: "Time",
         btnComplete: "Complete",
+        labelCareTypes: "What did you do?",
+        labelCareAmount: "Amount",
+        placeholderCareAmount: "ex) 1 cup dry food, 500ml water",
+        labelCareNote: "Note / health observation",
+        placeholderCareNote: "ex) Limping on the left hind leg, ate only half",
+        labelCarePhoto: "Photo (Optional)",
+        careTypeFood: "Food",
+        careTypeWater: "Water",
+        careTypeShelter: "Shelter cleaning",
+        careTypeMedication: "Medication",
+        careTypeVet: "Vet visit",
+        careTypeObservation: "Health check",
         helpTitle: "🆘 Offer Help",
         helpDesc: "Can you help? Leave your contact to coordinate with others.",
         labelContact: "Contact",
@@ -149,6 +533,7 @@ export const translations = {
         // Alerts
         alertThanks: "Thank you for helping! 🐾 Contact registered.",
         alertCare: "Care record added! 🍚💧",
+        alertCareType: "Select at least one thing you did.",
         alertError: "An error occurred.",
         alertSaveError: "Failed to save. Check console.",
 
@@ -156,6 +541,359 @@ export const translations = {
         historyTitle: "📋 Care History",
         historyEmpty: "No records yet.",
 
+        // Cat Profile Page
+        btnProfile: "Details",
+        btnShare: "Share",
+        profileBackToMap: "Back to map",
+        profileShowOnMap: "Show on map",
+        profileLoading: "Loading...",
+        profileNotFound: "Cat not found. It may have been removed or the link is wrong.",
+        profileTnrTitle: "TNR",
+        profileNoHelpers: "No helpers yet.",
+        profileLocation: "Location",
+        alertLinkCopied: "Link copied! Paste it into a messenger to share.",
+        alertLinkCopyManual: "Copy the link below.",
+
+        // Nearby Hospitals
+        hospitalListTitle: "💙 Nearby Vets",
+        hospitalListEmpty: "No vets within this radius. Try a wider one.",
+        hospital24h: "24h",
+        hospitalHouseCall: "House calls",
+        hospitalNoPhone: "No phone number",
+        hospitalDirections: "Directions",
+
+        // Filters
+        filterTitle: "🔎 Filters",
+        filterShowAll: "Show all",
+        filterShowMine: "Show mine",
+        filterNotFed: "Not fed for",
+        filterDays: "{n}+ days",
+        filterAny: "Any",
+        filterHelpers: "Helpers",
+        filterHasHelpers: "Has helpers",
+        filterNeedsHelpers: "Needs helpers",
+        filterReset: "Reset filters",
+
+        // Map Legend
+        legendTitle: "🗺️ Legend",
+        legendNeeds: "Ring color (needs)",
+        legendBadges: "Badges",
+        legendFeeding: "Last care",
+        legendFedRecent: "Within 24 hours",
+        legendFedLate: "1-3 days ago",
+        legendFedStale: "3+ days / never",
+
+        // Admin Console
+        adminTitle: "🛡️ Admin",
+        adminLink: "Admin console",
+        adminNoAccess: "Admins only.",
+        adminTabReported: "Reported cats",
+        adminTabDuplicates: "Possible duplicates",
+        adminTabHidden: "Hidden",
+        adminTabTnr: "TNR mismatch",
+        adminTabUsers: "Users",
+        adminTabAudit: "Audit log",
+        adminEmpty: "Nothing here.",
+        adminReports: "Reports",
+        adminHidden: "Hidden",
+        adminDuplicateOf: "Similar cat:",
+        adminHide: "Hide",
+        adminRestore: "Restore",
+        adminMerge: "Merge",
+        adminNotDuplicate: "Not a duplicate",
+        adminTnrConflict: "Answer: {neutered} / Photo: {suggested} ({p}%)",
+        adminAcceptTnrHint: "Apply photo result",
+        adminDismissTnrHint: "Keep answer",
+        adminSave: "Save",
+        adminCancel: "Cancel",
+        adminBan: "Ban",
+        adminUnban: "Unban",
+        adminBanned: "Banned",
+        adminHideReason: "Why is this cat being hidden?",
+        adminMergeTarget: "ID of the cat to merge into:",
+        adminBanReason: "Reason for the ban:",
+        adminAction_hide: "Hidden",
+        adminAction_restore: "Restored",
+        adminAction_merge: "Merged",
+        adminAction_dismissDuplicate: "Marked not duplicate",
+        adminAction_acceptTnrHint: "Applied TNR photo result",
+        adminAction_dismissTnrHint: "Kept TNR answer",
+        adminAction_edit: "Edited",
+        adminAction_ban: "Banned",
+        adminAction_unban: "Unbanned",
+        adminAction_reembed: "Re-embedded photos",
+        adminTabEmbeddings: "Photo embeddings",
+        adminEmbeddingDesc: "Creates duplicate-check embeddings with the current model ({version}) for every cat. Cats that are up to date are skipped. Leaving this tab stops the job.",
+        adminEmbeddingStats: "Scanned {scanned} · moved {moved} · embedded {embedded} · skipped {skipped} · failed {failed}",
+        adminEmbeddingStart: "Start",
+        adminEmbeddingStop: "Stop",
+        alertBanned: "This account is suspended. Please contact an admin.",
+
+        // Reports
+        btnReport: "Report this entry",
+        reportTitle: "Report this entry",
+        reportDesc: "An admin will review it. Entries reported by several people are hidden until reviewed.",
+        reportReasonDuplicate: "Duplicate",
+        reportReasonGone: "Cat is no longer here",
+        reportReasonWrongLocation: "Wrong location",
+        reportReasonAbuse: "Abusive or fake content",
+        reportReasonPersonalData: "Exposes personal data",
+        reportNotePlaceholder: "More details (optional)",
+        reportSubmit: "Report",
+        reportSubmitting: "Reporting...",
+        alertReportReason: "Please pick a reason.",
+        alertReported: "Thanks, your report was received. See the outcome under 'My reports'.",
+        alertAlreadyReported: "You already reported this entry. It is waiting for review.",
+        myReportsTitle: "My reports",
+        myReportsEmpty: "You have not reported anything.",
+        reportStatusOpen: "In review",
+        reportStatusResolved: "Resolved",
+        reportStatusDismissed: "Reviewed",
+        reportOutcome_hidden: "the entry was hidden",
+        reportOutcome_merged: "merged into another entry",
+        reportOutcome_kept: "no problem found, entry kept",
+        adminHiddenByReports: "reported",
+        adminKeep: "Dismiss reports",
+
+        // Duplicate Check
+        duplicateProgress_model: "Preparing photo check...",
+        duplicateProgress_embedding: "Analyzing photo...",
+        duplicateProgress_ranking: "Looking for similar cats...",
+
+        // Sightings & Merge
+        btnSawCat: "I saw this cat",
+        btnShowRange: "Range",
+        btnHideRange: "Hide range",
+        lastSeen: "👀 Last seen:",
+        labelLastSeen: "Last seen",
+        sightingCount: "{n} sightings",
+        sightingTitle: "I saw this cat",
+        sightingDesc: "Record where and when you saw it; the map draws its range from sightings.",
+        labelSightingLocation: "Where",
+        btnMyLocation: "My location",
+        btnPickOnMap: "Pick on map",
+        sightingPickHint: "Tap the map where you saw the cat",
+        placeholderSightingNote: "e.g. resting in the flower bed by the store",
+        alertNoGeolocation: "Could not get your location. Please pick it on the map.",
+        alertSightingAdded: "Added as a sighting of the existing cat. Thank you!",
+        profileMergedInto: "This record was merged into another cat:",
+        profileMergeTitle: "Merge duplicate record",
+        profileMergeDesc: "If this cat was registered twice, enter the share link or ID of the record to keep. Care logs, helpers and photos from this record move over.",
+        profileMergePlaceholder: "Link or ID of the cat to keep",
+        profileMergeBtn: "Merge",
+        profileMerging: "Merging...",
+        confirmMerge: "Merge this record into '{name}'? This record will be hidden and its link will point to '{name}'.",
+        alertMergeTarget: "Could not find that cat. Please check the link or ID.",
+        alertMergeNotOwner: "You can only merge records you registered yourself. For other records, report them as a duplicate.",
+        alertMerged: "Records merged.",
+
+        // Coat & Ear Tip
+        labelCoat: "Coat",
+        coatTabby: "Tabby",
+        coatCheese: "Orange",
+        coatCalico: "Calico",
+        coatTuxedo: "Tuxedo",
+        coatBlack: "All black",
+        coatWhite: "White",
+        coatGray: "Gray",
+        coatOther: "Other",
+        coatUnknown: "Unknown",
+        coatSuggested: "Suggested from photo: {coat}",
+        suggestionApply: "Apply",
+        earTipClipped: "Ear tip looks clipped in the photo ({p}%)",
+        earTipIntact: "No clipped ear tip in the photo ({p}%)",
+
+        // Offline Outbox
+        outboxTitle: "Outbox",
+        outboxDesc: "Records made without signal. They are sent automatically once you are online.",
+        outboxOfflineDesc: "You are offline. Records are kept on this device and sent once you are back online.",
+        outboxEmpty: "Nothing waiting to be sent.",
+        outboxTypeCare: "Care log",
+        outboxTypeSighting: "Sighting",
+        outboxTypeReport: "Report",
+        outboxTypeCat: "New cat",
+        outboxStatus_pending: "Waiting to send",
+        outboxStatus_failed: "Sending failed",
+        outboxConflict_fedMeanwhile: "Someone else logged a feeding at {time} in the meantime. Please check it is not a duplicate.",
+        outboxConflict_catMissing: "This cat has been deleted.",
+        outboxConflict_catMerged: "This cat was merged into another record.",
+        outboxConflict_alreadyReported: "You have already reported this cat.",
+        outboxConflict_possibleDuplicate: "This may be '{name}', already registered nearby. If it is a different cat, register it anyway.",
+        outboxConflict_quotaExceeded: "You can register at most 2 cats a day. Please try again tomorrow.",
+        outboxSendAnyway: "Send anyway",
+        outboxSendToMerged: "Send to merged cat",
+        outboxRegisterAnyway: "Register anyway",
+        outboxRetry: "Retry",
+        outboxDiscard: "Discard",
+        outboxConfirmDiscard: "Discard this record without sending it?",
+        outboxSendNow: "Send now",
+        offlineBadge: "Offline",
+        alertQueuedOffline: "You are offline, so this was saved on your device. It will be sent automatically.",
+
+        // Follows & Notifications
+        btnFollow: "Follow",
+        btnFollowing: "Following",
+        btnUnfollow: "Remove",
+        notifyTitle: "Notifications",
+        notifyEnablePush: "Get notifications on this device",
+        notifyPushOn: "This device receives notifications.",
+        notifyPushUnavailable: "Push notifications are not available in this browser. (Try the app added to your home screen)",
+        notifyTypes: "Notify me when",
+        notifyUrgent: "A cat needs treatment right away",
+        notifyHelp: "A cat asks for help",
+        notifyCareGap: "A cat is cared for after a long gap",
+        notifyStatus: "A cat is adopted, goes missing or passes away",
+        notifyQuietHours: "Quiet hours",
+        notifyFollowedCats: "Followed cats",
+        notifyNoFollowedCats: "Tap 🔕 Follow on a cat to add it.",
+        notifyFollowedAreas: "Followed areas",
+        notifyAreaDesc: "Adds an area around the current map center. New cats and changes there are notified too.",
+        notifyAreaLabelPlaceholder: "Area name (e.g. my neighborhood)",
+        notifyAddArea: "Add area",
+        alertPushDenied: "Notification permission was denied. Please allow it in your browser settings.",
+
+        // Feeding Roster
+        rosterTitle: "Feeding roster",
+        rosterMorning: "AM",
+        rosterAfternoon: "Noon",
+        rosterEvening: "PM",
+        dayMon: "Mon",
+        dayTue: "Tue",
+        dayWed: "Wed",
+        dayThu: "Thu",
+        dayFri: "Fri",
+        daySat: "Sat",
+        daySun: "Sun",
+        rosterOpen: "Open - tap to take it",
+        rosterLegend: "Tap + to take a slot, tap your own slot to give it up. You get a reminder an hour before.",
+        rosterMissed: "No feeding was logged for the {slot} slot ({name}). Can you step in?",
+        rosterConfirmRelease: "Give up this slot?",
+        alertRosterTaken: "Someone else took this slot first.",
+        notifyRosterReminder: "My feeding slot, an hour before",
+        notifyRosterMissed: "A slot was missed at a followed cat or my feeding spot",
+
+        // Feeding Spots
+        spotLayer: "Feeding spots",
+        spotLayerShow: "Show feeding spots",
+        spotLayerHide: "Hide feeding spots",
+        spotAddTitle: "🥣 Add Feeding Spot",
+        spotEditTitle: "🥣 Edit Feeding Spot",
+        spotPickHint: "📍 Click the feeding spot's location on the map",
+        spotTypeBowl: "Bowl",
+        spotTypeShelter: "Shelter",
+        spotTypeFeeder: "Automatic feeder",
+        labelSpotName: "Spot name",
+        placeholderSpotName: "e.g. Flower bed behind the playground",
+        labelSpotType: "Type",
+        labelSpotStock: "Food & supplies",
+        placeholderSpotStock: "e.g. 2kg dry food left, water bowl needs replacing",
+        labelSpotCats: "Cats that come here",
+        spotNoNearbyCats: "No registered cats nearby.",
+        spotNoCats: "No cats linked yet.",
+        spotNoStockNote: "No stock notes.",
+        spotManagers: "Caretakers",
+        anonymousName: "No name",
+        spotCareCount: "Care records",
+        btnJoinSpot: "Take care of this spot",
+        btnLeaveSpot: "Stop caring for this spot",
+        btnSpotCare: "Record care at this spot",
+        labelCatsSeen: "Cats that showed up",
+        spotCatsSeenHint: "Checked cats get this record in their own care log too.",
+        btnEditSpot: "Edit",
+        btnDeleteSpot: "Delete",
+        spotConfirmLeave: "Stop being a caretaker of this spot?",
+        spotConfirmDelete: "Delete this feeding spot? Its care log will no longer be shown.",
+        spotNotFound: "Feeding spot not found.",
+        spotSaving: "Saving...",
+        alertSpotSaved: "Feeding spot saved!",
+        profileSpots: "Feeding spots",
+
+        // TNR Cases
+        tnrStepRequested: "Requested",
+        tnrStepTrapScheduled: "Trap scheduled",
+        tnrStepTrapped: "Trapped",
+        tnrStepAtClinic: "At clinic",
+        tnrStepReleased: "Released",
+        tnrCaseCancelled: "The previous TNR case was cancelled.",
+        btnRequestTnr: "Request TNR",
+        tnrRequestDesc: "A request keeps the trapping date, clinic and volunteers in one place. Once released, the cat is marked as neutered automatically.",
+        tnrHospital: "Clinic",
+        tnrNoHospital: "Not chosen yet",
+        tnrPickHospital: "Pick a nearby clinic",
+        tnrVolunteers: "Volunteers",
+        btnJoinTnr: "Volunteer",
+        btnLeaveTnr: "Stop volunteering",
+        tnrTrapDate: "Planned trapping date",
+        btnTnrNext: "Move to {step}",
+        btnCancelTnr: "Cancel case",
+        tnrConfirmCancel: "Cancel this TNR case?",
+        tnrConfirmRelease: "Marking the cat as released also marks it as neutered. Continue?",
+        tnrReleaseRestricted: "Only the requester, the cat's owner or an admin can mark the cat as released.",
+        tnrCasesTitle: "TNR cases",
+        tnrCasesDesc: "Open TNR cases around the area you are looking at.",
+        tnrCasesEmpty: "No open TNR cases around here.",
+
+        // Treatments
+        treatmentTitle: "Treatment",
+        btnTreatmentRecords: "Treatment records",
+        treatmentEmpty: "No treatment records yet.",
+        treatmentHelperHint: "Sign up to help to keep the treatment records together with others.",
+        btnOpenTreatment: "Open a treatment case",
+        placeholderSymptoms: "Symptoms (e.g. limping on the left hind leg, eye discharge)",
+        urgencyCritical: "Critical",
+        urgencyHigh: "Needs treatment soon",
+        urgencyNormal: "Monitoring",
+        treatmentOpen: "Ongoing",
+        treatmentClosed: "Closed",
+        labelFollowUp: "Next check-up",
+        treatmentVisits: "Vet visits",
+        treatmentTotalCost: "Total",
+        currencyUnit: " KRW",
+        labelDiagnosis: "Diagnosis",
+        labelCost: "Cost",
+        placeholderVisitHospital: "Clinic name",
+        treatmentMedications: "Medication",
+        labelMedicationName: "Medicine",
+        labelDosage: "Dosage",
+        labelMedicationUntil: "Until",
+        btnAddVisit: "Add visit",
+        btnAddMedication: "Add medication",
+        btnCloseTreatment: "Close case",
+        treatmentCloseDesc: "Closing the case sets the cat's needs and condition to the values below.",
+        placeholderOutcomeNote: "Outcome note (optional)",
+        treatmentOutcome: "Outcome",
+        treatmentConfirmClose: "Close this treatment case?",
+
+        // Lifecycle
+        lifecycleTitle: "Whereabouts",
+        lifecycleActive: "Active",
+        lifecycleMissing: "Missing",
+        lifecycleAdopted: "Adopted",
+        lifecycleShelter: "In a shelter",
+        lifecycleRelocated: "Relocated",
+        lifecycleDeceased: "Passed away",
+        lifecycleInactiveDesc: "No longer on the street, so hidden from the map by default. Search by name or status to find it.",
+        lifecycleDeletedNotice: "This record was deleted. It no longer shows on the map or in lists.",
+        btnChangeStatus: "Change status",
+        placeholderStatusNote: "Note (new home, new area, ...; optional)",
+        labelLifecycle: "Whereabouts",
+        filterLifecycleHint: "Adopted, sheltered, relocated and deceased cats only show when you pick their status or search by name.",
+        btnDeleteCat: "🗑️ Delete",
+        confirmSoftDelete: "Delete this cat record? You can restore it from the archive.",
+        alertSoftDeleted: "Deleted. You can restore it from the archive.",
+        btnRestoreCat: "Restore",
+        archiveTitle: "Archive",
+        archiveDesc: "Cats that left the street: adopted, sheltered, relocated or passed away.",
+        archiveEmpty: "No archived cats yet.",
+        archiveDeletedTitle: "Records I deleted",
+        adminTabDeleted: "Deleted",
+        adminDeleted: "Deleted",
+        adminUndelete: "Undo delete",
+        adminPurge: "Delete permanently",
+        adminConfirmPurge: "Delete this record permanently? This cannot be undone.",
+        adminAction_undelete: "Undid deletion",
+        adminAction_purge: "Deleted permanently",
+
         // Notices
         noticeNeuter: "📢 Contact your local district office for neutering support!"
     }
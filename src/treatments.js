@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import { collection, doc, query, orderBy, onSnapshot, addDoc, updateDoc, writeBatch, arrayUnion, arrayRemove, serverTimestamp } from "firebase/firestore";
+import { db } from './firebase';
+
+// Medical treatment cases of a cat, in cats/{catId}/treatments/{caseId}:
+//   { symptoms, urgency, status: 'open' | 'closed', followUpDate,
+//     visits: [{ date, hospital, diagnosis, cost, note, uid, nickname }],
+//     medications: [{ name, dosage, until, uid }],
+//     outcome: { needs, condition, note }, userId, nickname, createdAt, updatedAt, closedAt }
+// The cat's owner, its helpers (cats/{catId}/helpers) and admins keep them up to date.
+export const TREATMENT_URGENCY = [
+    { value: 'critical', labelKey: 'urgencyCritical' },
+    { value: 'high', labelKey: 'urgencyHigh' },
+    { value: 'normal', labelKey: 'urgencyNormal' },
+];
+
+// What a closed case can leave on the cat; '직접 입력' needs a text and stays in the edit form
+export const OUTCOME_NEEDS = ['없음', '중성화 필요', '즉시 치료 필요', '주기적 길냥이 집사 필요'];
+export const OUTCOME_CONDITIONS = ['좋음', '보통', '마름'];
+
+// Keep in sync with firestore.rules
+export const MAX_VISITS = 30;
+export const MAX_MEDICATIONS = 20;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+export const createEmptyTreatmentForm = () => ({ symptoms: '', urgency: 'high', followUpDate: '' });
+
+export const createEmptyVisitForm = () => ({ date: today(), hospital: '', diagnosis: '', cost: '', note: '' });
+
+export const createEmptyMedicationForm = () => ({ name: '', dosage: '', until: '' });
+
+export const createOutcomeForm = () => ({ needs: '없음', condition: '좋음', note: '' });
+
+export const getTotalCost = (treatment) =>
+    (treatment.visits || []).reduce((sum, visit) => sum + (Number(visit.cost) || 0), 0);
+
+export const isFollowUpDue = (treatment) =>
+    treatment.status === 'open' && Boolean(treatment.followUpDate) && treatment.followUpDate <= today();
+
+// Owner, helpers and admins (checked in firestore.rules)
+export const canEditTreatments = (cat, uid, isAdmin, helpers) =>
+    Boolean(uid) && (isAdmin || cat.userId === uid || helpers.some(helper => helper.id === uid));
+
+const treatmentRef = (catId, caseId) => doc(db, "cats", catId, "treatments", caseId);
+
+export const openTreatment = (catId, { uid, nickname }, form) => addDoc(collection(db, "cats", catId, "treatments"), {
+    symptoms: form.symptoms.trim(),
+    urgency: form.urgency,
+    followUpDate: form.followUpDate,
+    status: 'open',
+    visits: [],
+    medications: [],
+    userId: uid,
+    nickname: nickname || '',
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+});
+
+export const updateTreatment = (catId, caseId, changes) =>
+    updateDoc(treatmentRef(catId, caseId), { ...changes, updatedAt: serverTimestamp() });
+
+export const addVisit = (catId, caseId, visit, { uid, nickname }) => updateTreatment(catId, caseId, {
+    visits: arrayUnion({
+        date: visit.date,
+        hospital: visit.hospital.trim(),
+        diagnosis: visit.diagnosis.trim(),
+        cost: Number(visit.cost) || 0,
+        note: visit.note.trim(),
+        uid,
+        nickname: nickname || '',
+    }),
+});
+
+export const addMedication = (catId, caseId, medication, uid) => updateTreatment(catId, caseId, {
+    medications: arrayUnion({ name: medication.name.trim(), dosage: medication.dosage.trim(), until: medication.until, uid }),
+});
+
+export const removeMedication = (catId, caseId, medication) =>
+    updateTreatment(catId, caseId, { medications: arrayRemove(medication) });
+
+// Closing writes the outcome on the case and its needs/condition on the cat in one batch.
+// `lastClosedTreatment` tells firestore.rules which case allows the cat update.
+export const closeTreatment = (catId, caseId, outcome) => {
+    const batch = writeBatch(db);
+    batch.update(treatmentRef(catId, caseId), {
+        status: 'closed',
+        outcome: { needs: outcome.needs, condition: outcome.condition, note: outcome.note.trim() },
+        closedAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+    });
+    batch.update(doc(db, "cats", catId), {
+        needs: outcome.needs,
+        condition: outcome.condition,
+        lastClosedTreatment: caseId,
+    });
+    return batch.commit();
+};
+
+// Live cases of one cat, open ones first, then newest first
+export function useTreatments(catId) {
+    const [treatments, setTreatments] = useState([]);
+
+    useEffect(() => {
+        if (!catId) {
+            setTreatments([]);
+            return undefined;
+        }
+        const q = query(collection(db, "cats", catId, "treatments"), orderBy("createdAt", "desc"));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            const list = querySnapshot.docs.map(caseDoc => ({ ...caseDoc.data(), id: caseDoc.id }));
+            setTreatments(list.sort((a, b) => (a.status === 'open' ? 0 : 1) - (b.status === 'open' ? 0 : 1)));
+        }, (error) => {
+            console.error("Error loading treatments:", error);
+        });
+        return () => unsubscribe();
+    }, [catId]);
+
+    return treatments;
+}
@@ -0,0 +1,59 @@
+import { useState, useEffect } from 'react';
+import { collection, query, where, orderBy, startAt, endAt, onSnapshot } from "firebase/firestore";
+import { db } from './firebase';
+import { geohashRangesForBounds, isInBounds } from './geo';
+
+const NO_FILTERS = [];
+
+// Cats carry a numeric `id` (registration time); newest first
+const newestCatFirst = (a, b) => b.id - a.id;
+
+// Soft-deleted cats are only readable by their owner and admins (firestore.rules)
+const LIVE_CATS = [where("deleted", "==", false)];
+
+// Live list of documents with lat/lng/geohash inside `bounds`. One onSnapshot listener per
+// geohash range; the ranges over-cover the viewport, so results are trimmed back to the bounds.
+// `filters` are extra query constraints and must be a stable array.
+function useViewportDocs(collectionName, bounds, compare, filters = NO_FILTERS) {
+    const [docs, setDocs] = useState([]);
+
+    useEffect(() => {
+        if (!bounds) return undefined;
+
+        const ranges = geohashRangesForBounds(bounds);
+        const resultsByRange = ranges.map(() => new Map());
+
+        const publish = () => {
+            const merged = new Map();
+            resultsByRange.forEach(results => results.forEach((item, id) => merged.set(id, item)));
+            const list = Array.from(merged.values()).filter(item => isInBounds(item.lat, item.lng, bounds));
+            setDocs(compare ? list.sort(compare) : list);
+        };
+
+        const unsubscribers = ranges.map(([start, end], idx) => {
+            const q = query(collection(db, collectionName), ...filters, orderBy("geohash"), startAt(start), endAt(end));
+            return onSnapshot(q, (querySnapshot) => {
+                const results = new Map();
+                querySnapshot.forEach((doc) => {
+                    results.set(doc.id, { ...doc.data(), firestoreId: doc.id });
+                });
+                resultsByRange[idx] = results;
+                publish();
+            }, (error) => {
+                console.error(`Viewport query on ${collectionName} failed:`, error);
+            });
+        });
+
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [collectionName, bounds, compare, filters]);
+
+    return docs;
+}
+
+export const useViewportCats = (bounds) => useViewportDocs("cats", bounds, newestCatFirst, LIVE_CATS);
+
+// Feeding spots (src/spots.js); pass null bounds while the layer is hidden
+export const useViewportSpots = (bounds) => useViewportDocs("spots", bounds);
+
+// TNR cases (src/tnrCases.js), located at their cat
+export const useViewportTnrCases = (bounds) => useViewportDocs("tnrCases", bounds);
@@ -0,0 +1,546 @@
+// firestore.rules against the local emulator. Run with `npm run test:rules`, which starts
+// the Firestore emulator through `firebase emulators:exec` (needs Java).
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+    collection, doc, getDoc, getDocs, limit, query, where, setDoc, updateDoc, deleteDoc, writeBatch,
+    arrayRemove, arrayUnion, increment, serverTimestamp, Timestamp,
+} from 'firebase/firestore';
+
+const VERIFIED = { email_verified: true };
+
+let testEnv;
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-straycat',
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    });
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(() => testEnv.clearFirestore());
+
+const asUser = (uid) => testEnv.authenticatedContext(uid, VERIFIED).firestore();
+
+// Writes fixtures with the rules switched off
+const seed = (writes) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const [path, data] of Object.entries(writes)) {
+        await setDoc(doc(db, path), data);
+    }
+});
+
+const catData = (overrides = {}) => ({
+    name: '나비',
+    desc: '',
+    condition: '좋음',
+    neutered: '모름',
+    needs: '없음',
+    customNeeds: '',
+    phone: '',
+    photos: [],
+    lat: 35.15,
+    lng: 126.85,
+    geohash: 'wy7b',
+    userId: 'alice',
+    helpers: 0,
+    caretakers: 0,
+    deleted: false,
+    ...overrides,
+});
+
+const careEntry = (uid) => ({
+    date: '2026-10-18',
+    time: '08:30',
+    types: ['food'],
+    amount: '',
+    note: '',
+    uid,
+    nickname: '',
+});
+
+// What src/careLog.js addCareLog writes
+const addCareLog = (db, catId, entry, catUpdate = {}) => {
+    const batch = writeBatch(db);
+    const logRef = doc(collection(db, 'cats', catId, 'careLogs'));
+    batch.set(logRef, { ...entry, createdAt: serverTimestamp() });
+    batch.update(doc(db, 'cats', catId), { caretakers: increment(1), lastCareLogId: logRef.id, ...catUpdate });
+    return batch.commit();
+};
+
+describe('users', () => {
+    beforeEach(() => seed({
+        'users/alice': { uid: 'alice', email: 'alice@example.com', nickname: 'alice' },
+        'users/bob': { uid: 'bob', email: 'bob@example.com', nickname: 'bob' },
+        'users/admin': { uid: 'admin', isAdmin: true },
+    }));
+
+    test('a user reads their own document only', async () => {
+        await assertSucceeds(getDoc(doc(asUser('alice'), 'users/alice')));
+        await assertFails(getDoc(doc(asUser('alice'), 'users/bob')));
+    });
+
+    test('only admins list users, even one at a time', async () => {
+        await assertFails(getDocs(query(collection(asUser('alice'), 'users'), limit(1))));
+        await assertFails(getDocs(query(collection(testEnv.unauthenticatedContext().firestore(), 'users'), limit(1))));
+        await assertSucceeds(getDocs(query(collection(asUser('admin'), 'users'), limit(10))));
+    });
+
+    test('users cannot make themselves admin', async () => {
+        await assertFails(updateDoc(doc(asUser('alice'), 'users/alice'), { isAdmin: true }));
+    });
+
+    test('nicknames are public and claimed together with the user document', async () => {
+        await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'nicknames/alice')));
+
+        const db = asUser('carol');
+        await assertFails(setDoc(doc(db, 'nicknames/carol'), { uid: 'carol' }));
+
+        const batch = writeBatch(db);
+        batch.set(doc(db, 'users/carol'), { uid: 'carol', email: 'carol@example.com', nickname: 'carol', isAdmin: false });
+        batch.set(doc(db, 'nicknames/carol'), { uid: 'carol' });
+        await assertSucceeds(batch.commit());
+    });
+});
+
+describe('cat edits', () => {
+    beforeEach(() => seed({ 'cats/cat1': catData() }));
+
+    test('the owner edits the content', async () => {
+        await assertSucceeds(updateDoc(doc(asUser('alice'), 'cats/cat1'), { desc: '고등어, 오른쪽 눈 다침' }));
+    });
+
+    test('other users cannot edit it', async () => {
+        await assertFails(updateDoc(doc(asUser('bob'), 'cats/cat1'), { desc: '바뀜' }));
+    });
+
+    test('unverified owners cannot edit it', async () => {
+        const db = testEnv.authenticatedContext('alice', { email_verified: false }).firestore();
+        await assertFails(updateDoc(doc(db, 'cats/cat1'), { desc: '바뀜' }));
+    });
+
+    test('the owner cannot touch counters, moderation or soft-delete fields', async () => {
+        const db = asUser('alice');
+        await assertFails(updateDoc(doc(db, 'cats/cat1'), { caretakers: 10 }));
+        await assertFails(updateDoc(doc(db, 'cats/cat1'), { hidden: false, reportCount: 0 }));
+        await assertFails(updateDoc(doc(db, 'cats/cat1'), { lastCareLogId: 'x' }));
+    });
+
+    test('field validation applies to owner edits', async () => {
+        await assertFails(updateDoc(doc(asUser('alice'), 'cats/cat1'), { condition: '최고' }));
+    });
+
+    test('only admins delete the document', async () => {
+        await assertFails(deleteDoc(doc(asUser('alice'), 'cats/cat1')));
+    });
+});
+
+describe('daily registration quota', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    // What src/registration.js registerCat writes: the cat and the quota in one batch
+    const register = (db, catId, catQuota) => {
+        const batch = writeBatch(db);
+        batch.set(doc(db, 'cats', catId), catData());
+        batch.set(doc(db, 'users/alice'), { catQuota }, { merge: true });
+        return batch.commit();
+    };
+    const seedQuota = (windowStart, count) => seed({
+        'users/alice': { uid: 'alice', nickname: 'alice', catQuota: { windowStart: Timestamp.fromMillis(windowStart), count, lastCatId: 'earlier' } },
+    });
+
+    test('the first registration opens a window', async () => {
+        await assertSucceeds(register(asUser('alice'), 'new1', { windowStart: serverTimestamp(), count: 1, lastCatId: 'new1' }));
+    });
+
+    test('a second registration within the window counts up', async () => {
+        await seedQuota(Date.now() - 60 * 60 * 1000, 1);
+        const { windowStart } = (await testEnv.withSecurityRulesDisabled(context => getDoc(doc(context.firestore(), 'users/alice')))).data().catQuota;
+        await assertSucceeds(register(asUser('alice'), 'new2', { windowStart, count: 2, lastCatId: 'new2' }));
+    });
+
+    test('a third registration within 24 hours is denied', async () => {
+        await seedQuota(Date.now() - 60 * 60 * 1000, 2);
+        const { windowStart } = (await testEnv.withSecurityRulesDisabled(context => getDoc(doc(context.firestore(), 'users/alice')))).data().catQuota;
+        await assertFails(register(asUser('alice'), 'new3', { windowStart, count: 3, lastCatId: 'new3' }));
+        // Nor by restarting the window early or leaving the count alone
+        await assertFails(register(asUser('alice'), 'new3', { windowStart: serverTimestamp(), count: 1, lastCatId: 'new3' }));
+        await assertFails(register(asUser('alice'), 'new3', { windowStart, count: 2, lastCatId: 'new3' }));
+    });
+
+    test('the window restarts after 24 hours', async () => {
+        await seedQuota(Date.now() - DAY - 60 * 1000, 2);
+        await assertSucceeds(register(asUser('alice'), 'new4', { windowStart: serverTimestamp(), count: 1, lastCatId: 'new4' }));
+    });
+
+    test('a cat cannot be created without counting it', async () => {
+        await assertFails(setDoc(doc(asUser('alice'), 'cats/new5'), catData()));
+    });
+});
+
+describe('deleted cats', () => {
+    const guest = () => testEnv.unauthenticatedContext().firestore();
+    const deletedCat = catData({ deleted: true, deletedAt: Timestamp.now(), deletedBy: 'alice' });
+
+    beforeEach(() => seed({ 'cats/cat1': catData(), 'cats/gone': deletedCat }));
+
+    test('only the owner and admins read a deleted cat', async () => {
+        await seed({ 'users/admin': { uid: 'admin', nickname: 'admin', isAdmin: true } });
+        await assertFails(getDoc(doc(guest(), 'cats/gone')));
+        await assertFails(getDoc(doc(asUser('bob'), 'cats/gone')));
+        await assertSucceeds(getDoc(doc(asUser('alice'), 'cats/gone')));
+        await assertSucceeds(getDoc(doc(asUser('admin'), 'cats/gone')));
+    });
+
+    test('cats from before soft delete stay readable', async () => {
+        const legacy = catData();
+        delete legacy.deleted;
+        await seed({ 'cats/legacy': legacy });
+        await assertSucceeds(getDoc(doc(guest(), 'cats/legacy')));
+    });
+
+    test('lists must ask for deleted == false, except for the own deleted cats', async () => {
+        await assertSucceeds(getDocs(query(collection(guest(), 'cats'), where('deleted', '==', false))));
+        await assertFails(getDocs(query(collection(guest(), 'cats'), limit(10))));
+        await assertFails(getDocs(query(collection(asUser('bob'), 'cats'), where('deleted', '==', true))));
+        await assertSucceeds(getDocs(query(collection(asUser('alice'), 'cats'), where('userId', '==', 'alice'), where('deleted', '==', true))));
+    });
+});
+
+describe('care log counter', () => {
+    beforeEach(() => seed({
+        'cats/cat1': catData(),
+        'users/banned': { uid: 'banned', banned: true },
+    }));
+
+    test('+1 together with a new care log', async () => {
+        const at = Timestamp.fromDate(new Date(Date.now() - 60 * 60 * 1000));
+        await assertSucceeds(addCareLog(asUser('bob'), 'cat1', careEntry('bob'), {
+            lastFeeding: { date: '2026-10-18', time: '08:30', at },
+        }));
+    });
+
+    test('no +1 without a care log', async () => {
+        await assertFails(updateDoc(doc(asUser('bob'), 'cats/cat1'), { caretakers: increment(1) }));
+        await assertFails(updateDoc(doc(asUser('bob'), 'cats/cat1'), { caretakers: increment(1), lastCareLogId: 'nothing' }));
+    });
+
+    test('no lastFeeding without a care log', async () => {
+        await assertFails(updateDoc(doc(asUser('bob'), 'cats/cat1'), {
+            lastFeeding: { date: '2026-10-18', time: '08:30', at: Timestamp.now() },
+        }));
+    });
+
+    test('lastFeeding must match the entry and not lie in the future', async () => {
+        const db = asUser('bob');
+        await assertFails(addCareLog(db, 'cat1', careEntry('bob'), {
+            lastFeeding: { date: '2026-10-19', time: '08:30', at: Timestamp.now() },
+        }));
+        await assertFails(addCareLog(db, 'cat1', careEntry('bob'), {
+            lastFeeding: { date: '2026-10-18', time: '08:30', at: Timestamp.fromDate(new Date(Date.now() + 24 * 60 * 60 * 1000)) },
+        }));
+    });
+
+    test('care logs are written in your own name', async () => {
+        await assertFails(addCareLog(asUser('bob'), 'cat1', careEntry('alice')));
+    });
+
+    test('banned users cannot log care', async () => {
+        await assertFails(addCareLog(asUser('banned'), 'cat1', careEntry('banned')));
+    });
+});
+
+describe('sighting counter', () => {
+    beforeEach(() => seed({ 'cats/cat1': catData() }));
+
+    const addSighting = (db, catUpdate = {}) => {
+        const batch = writeBatch(db);
+        const sightingRef = doc(collection(db, 'cats', 'cat1', 'sightings'));
+        batch.set(sightingRef, {
+            lat: 35.15, lng: 126.85, date: '2026-10-18', time: '09:00', note: '', photo: '', uid: 'bob', nickname: '',
+            createdAt: serverTimestamp(),
+        });
+        batch.update(doc(db, 'cats/cat1'), { sightingCount: increment(1), lastSightingId: sightingRef.id, ...catUpdate });
+        return batch.commit();
+    };
+
+    test('+1 together with a new sighting', async () => {
+        await assertSucceeds(addSighting(asUser('bob'), {
+            lastSeen: { date: '2026-10-18', time: '09:00', at: Timestamp.fromDate(new Date(Date.now() - 60 * 1000)) },
+        }));
+    });
+
+    test('no +1 or lastSeen without a sighting', async () => {
+        const db = asUser('bob');
+        await assertFails(updateDoc(doc(db, 'cats/cat1'), { sightingCount: increment(1) }));
+        await assertFails(updateDoc(doc(db, 'cats/cat1'), {
+            lastSeen: { date: '2026-10-18', time: '09:00', at: Timestamp.now() },
+        }));
+    });
+});
+
+describe('helpers', () => {
+    beforeEach(() => seed({
+        'cats/cat1': catData({ helpers: 1 }),
+        'cats/cat1/helpers/banned': { uid: 'banned', nickname: '', phone: '', createdAt: Timestamp.now() },
+        'users/banned': { uid: 'banned', banned: true },
+    }));
+
+    // What src/catHelpers.js addHelper writes for a new helper
+    const signUp = (db, uid) => {
+        const batch = writeBatch(db);
+        batch.set(doc(db, 'cats/cat1/helpers', uid), { uid, nickname: '', phone: '010-1234-5678', createdAt: serverTimestamp() });
+        batch.update(doc(db, 'cats/cat1'), { helpers: increment(1) });
+        return batch.commit();
+    };
+
+    test('users sign up once and change their phone', async () => {
+        await assertSucceeds(signUp(asUser('bob'), 'bob'));
+        await assertSucceeds(updateDoc(doc(asUser('bob'), 'cats/cat1/helpers/bob'), { phone: '010-0000-0000' }));
+    });
+
+    test('banned users neither sign up nor change their phone', async () => {
+        await seed({ 'users/banned2': { uid: 'banned2', banned: true } });
+        await assertFails(signUp(asUser('banned2'), 'banned2'));
+        await assertFails(updateDoc(doc(asUser('banned'), 'cats/cat1/helpers/banned'), { phone: '010-0000-0000' }));
+    });
+});
+
+describe('treatment entries', () => {
+    const medication = { name: '항생제', dosage: '1일 2회', until: '2026-10-20', uid: 'alice' };
+
+    beforeEach(() => seed({
+        'cats/cat1': catData(),
+        'cats/cat1/treatments/case1': {
+            symptoms: '기침', urgency: 'high', followUpDate: '', status: 'open',
+            visits: [], medications: [medication],
+            userId: 'alice', nickname: '', createdAt: Timestamp.now(), updatedAt: Timestamp.now(),
+        },
+    }));
+
+    // What src/treatments.js addVisit writes
+    const addVisit = (visit) => updateDoc(doc(asUser('alice'), 'cats/cat1/treatments/case1'), {
+        visits: arrayUnion({ date: '2026-10-10', hospital: '동물병원', diagnosis: '', cost: 30000, note: '', uid: 'alice', nickname: '', ...visit }),
+        updatedAt: serverTimestamp(),
+    });
+
+    test('a visit is added by its author', async () => {
+        await assertSucceeds(addVisit({}));
+    });
+
+    test('a visit with another author, extra keys, a text cost or a long note is refused', async () => {
+        await assertFails(addVisit({ uid: 'bob' }));
+        await assertFails(addVisit({ extra: true }));
+        await assertFails(addVisit({ cost: '30000' }));
+        await assertFails(addVisit({ note: 'x'.repeat(501) }));
+    });
+
+    test('earlier entries cannot be rewritten', async () => {
+        await assertFails(updateDoc(doc(asUser('alice'), 'cats/cat1/treatments/case1'), {
+            medications: [{ ...medication, dosage: 'x'.repeat(5000) }],
+        }));
+    });
+
+    test('medications are added and removed', async () => {
+        const db = asUser('alice');
+        await assertFails(updateDoc(doc(db, 'cats/cat1/treatments/case1'), { medications: arrayUnion({ ...medication, name: '', until: '' }) }));
+        await assertSucceeds(updateDoc(doc(db, 'cats/cat1/treatments/case1'), { medications: arrayUnion({ ...medication, name: '소염제' }) }));
+        await assertSucceeds(updateDoc(doc(db, 'cats/cat1/treatments/case1'), { medications: arrayRemove(medication) }));
+    });
+});
+
+describe('merge copies', () => {
+    beforeEach(() => seed({
+        'cats/source': catData(),
+        'cats/target': catData(),
+        'cats/bobsCat': catData({ userId: 'bob' }),
+        'cats/source/careLogs/log1': { ...careEntry('carol'), createdAt: Timestamp.now() },
+        'cats/source/careLogs/legacy-0': { date: '2020-01-01', time: '', types: ['food'], createdAt: Timestamp.now() },
+        'cats/source/helpers/carol': { uid: 'carol', nickname: 'carol', phone: '', createdAt: Timestamp.now() },
+        'cats/bobsCat/careLogs/log2': { ...careEntry('bob'), createdAt: Timestamp.now() },
+    }));
+
+    const copyOf = async (path) => (await testEnv.withSecurityRulesDisabled(async (context) =>
+        (await getDoc(doc(context.firestore(), path))).data()));
+
+    test('the owner of both cats copies entries unchanged', async () => {
+        const db = asUser('alice');
+        const log = await copyOf('cats/source/careLogs/log1');
+        await assertSucceeds(setDoc(doc(db, 'cats/target/careLogs/log1'), { ...log, mergedFrom: 'source', mergedDocId: 'log1' }));
+
+        const legacy = await copyOf('cats/source/careLogs/legacy-0');
+        await assertSucceeds(setDoc(doc(db, 'cats/target/careLogs/source-legacy-0'), { ...legacy, mergedFrom: 'source', mergedDocId: 'legacy-0' }));
+
+        const helper = await copyOf('cats/source/helpers/carol');
+        await assertSucceeds(setDoc(doc(db, 'cats/target/helpers/carol'), { ...helper, mergedFrom: 'source', mergedDocId: 'carol' }));
+    });
+
+    test('a mergedFrom key does not allow forged entries', async () => {
+        const db = asUser('alice');
+        await assertFails(setDoc(doc(db, 'cats/target/careLogs/fake'), {
+            ...careEntry('bob'), createdAt: Timestamp.fromDate(new Date('2020-01-01')), mergedFrom: 'source', mergedDocId: 'fake',
+        }));
+        await assertFails(setDoc(doc(db, 'cats/target/helpers/dave'), {
+            uid: 'dave', nickname: 'dave', phone: '', createdAt: Timestamp.now(), mergedFrom: 'source', mergedDocId: 'dave',
+        }));
+    });
+
+    test('copies must not change the original', async () => {
+        const log = await copyOf('cats/source/careLogs/log1');
+        await assertFails(setDoc(doc(asUser('alice'), 'cats/target/careLogs/log1'), {
+            ...log, uid: 'alice', mergedFrom: 'source', mergedDocId: 'log1',
+        }));
+    });
+
+    test('only from a cat you own', async () => {
+        const log = await copyOf('cats/bobsCat/careLogs/log2');
+        await assertFails(setDoc(doc(asUser('alice'), 'cats/target/careLogs/log2'), { ...log, mergedFrom: 'bobsCat', mergedDocId: 'log2' }));
+    });
+
+    test('not once the source has been merged', async () => {
+        await seed({ 'cats/source': catData({ hidden: true, hiddenReason: 'merged', mergedInto: 'target' }) });
+        const log = await copyOf('cats/source/careLogs/log1');
+        await assertFails(setDoc(doc(asUser('alice'), 'cats/target/careLogs/log1'), { ...log, mergedFrom: 'source', mergedDocId: 'log1' }));
+    });
+});
+
+describe('follows', () => {
+    const areaFollow = (uid, overrides = {}) => ({
+        uid,
+        type: 'area',
+        lat: 35.15,
+        lng: 126.85,
+        radiusKm: 1,
+        label: '우리 동네',
+        geohash: 'wy7b',
+        createdAt: serverTimestamp(),
+        ...overrides,
+    });
+
+    beforeEach(() => seed({ 'follows/area1': { ...areaFollow('alice'), createdAt: Timestamp.now() } }));
+
+    test('users create and update their own follows', async () => {
+        const db = asUser('bob');
+        await assertSucceeds(setDoc(doc(db, 'follows/area2'), areaFollow('bob')));
+        await assertSucceeds(setDoc(doc(db, 'follows/area2'), areaFollow('bob', { radiusKm: 3 })));
+    });
+
+    test('follows are not created for someone else', async () => {
+        await assertFails(setDoc(doc(asUser('bob'), 'follows/area3'), areaFollow('alice')));
+    });
+
+    test("another user's follow cannot be overwritten or taken over", async () => {
+        const db = asUser('bob');
+        await assertFails(setDoc(doc(db, 'follows/area1'), areaFollow('bob')));
+        await assertFails(setDoc(doc(db, 'follows/area1'), areaFollow('alice', { lat: 37.5 })));
+    });
+
+    test('follows are read by their owner only', async () => {
+        await assertSucceeds(getDoc(doc(asUser('alice'), 'follows/area1')));
+        await assertFails(getDoc(doc(asUser('bob'), 'follows/area1')));
+    });
+});
+
+describe('TNR requests', () => {
+    beforeEach(() => seed({ 'cats/cat1': catData() }));
+
+    // What src/tnrCases.js requestTnrCase writes for a new case
+    const newCase = (overrides = {}) => ({
+        catId: 'cat1',
+        catName: '나비',
+        lat: 35.15,
+        lng: 126.85,
+        geohash: 'wy7b',
+        step: 'requested',
+        stepDates: { requested: '2026-10-01' },
+        volunteers: { bob: '' },
+        hospital: null,
+        userId: 'bob',
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+        ...overrides,
+    });
+
+    test('a case copies the name and location of its cat', async () => {
+        await assertSucceeds(setDoc(doc(asUser('bob'), 'tnrCases/cat1'), newCase()));
+    });
+
+    test('whoever requests a cancelled case again becomes its creator', async () => {
+        await seed({ 'tnrCases/cat1': { ...newCase(), step: 'cancelled', createdAt: Timestamp.now(), updatedAt: Timestamp.now() } });
+        const restart = (db, uid, userId) => updateDoc(doc(db, 'tnrCases/cat1'), {
+            step: 'requested',
+            stepDates: { requested: '2026-10-10' },
+            hospital: null,
+            [`volunteers.${uid}`]: '',
+            userId,
+            updatedAt: serverTimestamp(),
+        });
+        await assertFails(restart(asUser('carol'), 'carol', 'bob'));
+        await assertSucceeds(restart(asUser('carol'), 'carol', 'carol'));
+    });
+
+    test('a case cannot claim another name or place', async () => {
+        const db = asUser('bob');
+        await assertFails(setDoc(doc(db, 'tnrCases/cat1'), newCase({ catName: '다른 이름' })));
+        await assertFails(setDoc(doc(db, 'tnrCases/cat1'), newCase({ lat: 37.5, lng: 127.0, geohash: 'wydm' })));
+    });
+});
+
+describe('TNR release', () => {
+    beforeEach(() => seed({
+        'cats/cat1': catData({ needs: '중성화 필요' }),
+        'tnrCases/cat1': {
+            catId: 'cat1',
+            userId: 'carol',
+            step: 'atClinic',
+            stepDates: { requested: '2026-10-01', trapScheduled: '2026-10-05', trapped: '2026-10-05', atClinic: '2026-10-06' },
+            volunteers: { carol: '', bob: '' },
+            hospital: null,
+            createdAt: Timestamp.now(),
+        },
+    }));
+
+    // What src/tnrCases.js advanceTnrCase writes for the last step
+    const release = (db) => {
+        const batch = writeBatch(db);
+        batch.update(doc(db, 'tnrCases/cat1'), {
+            step: 'released',
+            'stepDates.released': '2026-10-08',
+            updatedAt: serverTimestamp(),
+        });
+        batch.update(doc(db, 'cats/cat1'), { neutered: '확인됨(TNR 완료)', needs: '없음' });
+        return batch.commit();
+    };
+
+    test('volunteers cannot release the cat', async () => {
+        await assertFails(release(asUser('bob')));
+    });
+
+    test('the creator of the case releases it', async () => {
+        await assertSucceeds(release(asUser('carol')));
+    });
+
+    test("the cat's owner releases it without volunteering", async () => {
+        await assertSucceeds(release(asUser('alice')));
+    });
+
+    test('the hospital is fixed once the case is closed', async () => {
+        const setHospital = (db) => updateDoc(doc(db, 'tnrCases/cat1'), {
+            hospital: { id: 'h1', name: '동물병원', phone: '' },
+            updatedAt: serverTimestamp(),
+        });
+        await assertSucceeds(setHospital(asUser('carol')));
+        for (const step of ['released', 'cancelled']) {
+            await seed({ 'tnrCases/cat1': { catId: 'cat1', userId: 'carol', step, stepDates: { requested: '2026-10-01' }, volunteers: { carol: '' }, hospital: null } });
+            await assertFails(setHospital(asUser('carol')));
+        }
+    });
+
+    test('volunteers still move the earlier steps', async () => {
+        await seed({ 'tnrCases/cat1': { catId: 'cat1', userId: 'carol', step: 'trapped', stepDates: { requested: '2026-10-01', trapScheduled: '2026-10-05', trapped: '2026-10-05' }, volunteers: { carol: '', bob: '' }, hospital: null } });
+        await assertSucceeds(updateDoc(doc(asUser('bob'), 'tnrCases/cat1'), { step: 'atClinic', 'stepDates.atClinic': '2026-10-06', updatedAt: serverTimestamp() }));
+    });
+});
@@ -0,0 +1,87 @@
+// storage.rules against the local emulators. Run with `npm run test:rules`, which starts
+// the Storage and Firestore emulators through `firebase emulators:exec` (needs Java).
+// The rules read cat owners from Firestore, so the fixtures are written there.
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+
+const VERIFIED = { email_verified: true };
+const MB = 1024 * 1024;
+
+let testEnv;
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-straycat',
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+        storage: { rules: readFileSync('storage.rules', 'utf8') },
+    });
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), 'cats/cat1'), { userId: 'alice', name: '나비' }));
+});
+
+const storageAs = (uid, token = VERIFIED) => testEnv.authenticatedContext(uid, token).storage();
+
+// What src/photos.js uploads: a resized JPEG
+const upload = (storage, path, size = 200 * 1024, contentType = 'image/jpeg') =>
+    storage.ref(path).put(new Uint8Array(size), { contentType });
+
+describe('cat photos', () => {
+    test('the owner adds photos to their cat', async () => {
+        await assertSucceeds(upload(storageAs('alice'), 'cats/cat1/photos/a.jpg'));
+    });
+
+    test('others cannot add photos to it', async () => {
+        await assertFails(upload(storageAs('bob'), 'cats/cat1/photos/a.jpg'));
+    });
+
+    test('photos of a cat that is being registered are accepted', async () => {
+        await assertSucceeds(upload(storageAs('bob'), 'cats/newCat/photos/a.jpg'));
+    });
+
+    test('unverified and signed-out users cannot upload', async () => {
+        await assertFails(upload(storageAs('alice', { email_verified: false }), 'cats/cat1/photos/a.jpg'));
+        await assertFails(upload(testEnv.unauthenticatedContext().storage(), 'cats/newCat/photos/a.jpg'));
+    });
+
+    test('only images under 5 MB', async () => {
+        await assertFails(upload(storageAs('alice'), 'cats/cat1/photos/big.jpg', 5 * MB));
+        await assertFails(upload(storageAs('alice'), 'cats/cat1/photos/a.txt', 1024, 'text/plain'));
+    });
+
+    test('only the owner deletes them', async () => {
+        await testEnv.withSecurityRulesDisabled(context => context.storage().ref('cats/cat1/photos/a.jpg').put(new Uint8Array(16), { contentType: 'image/jpeg' }));
+        await assertFails(storageAs('bob').ref('cats/cat1/photos/a.jpg').delete());
+        await assertSucceeds(storageAs('alice').ref('cats/cat1/photos/a.jpg').delete());
+    });
+});
+
+describe('sighting and care photos', () => {
+    test('any signed-in user adds them to an existing cat', async () => {
+        await assertSucceeds(upload(storageAs('bob'), 'cats/cat1/sightings/a.jpg'));
+        await assertSucceeds(upload(storageAs('bob'), 'cats/cat1/care/a.jpg'));
+    });
+
+    test('not to a cat that does not exist', async () => {
+        await assertFails(upload(storageAs('bob'), 'cats/nope/sightings/a.jpg'));
+        await assertFails(upload(storageAs('bob'), 'cats/nope/care/a.jpg'));
+    });
+
+    test('the same size and type limits apply', async () => {
+        await assertFails(upload(storageAs('bob'), 'cats/cat1/sightings/big.jpg', 5 * MB));
+        await assertFails(upload(storageAs('bob'), 'cats/cat1/care/a.pdf', 1024, 'application/pdf'));
+    });
+
+    test('care photos are not public', async () => {
+        await testEnv.withSecurityRulesDisabled(context => context.storage().ref('cats/cat1/care/a.jpg').put(new Uint8Array(16), { contentType: 'image/jpeg' }));
+        await assertFails(testEnv.unauthenticatedContext().storage().ref('cats/cat1/care/a.jpg').getDownloadURL());
+        await assertSucceeds(storageAs('bob').ref('cats/cat1/care/a.jpg').getDownloadURL());
+    });
+});
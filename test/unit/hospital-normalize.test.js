@@ -0,0 +1,102 @@
+// scripts/hospital-normalize.js on rows of the legacy dump (src/data/hospitals.json before
+// the import script). Run with `npm run test:unit`.
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+    normalizePhone, projectToWgs84, regionFromAddress, regionFromLocation, flagsFromName, parseCsv, HOSPITAL_FLAGS,
+} from '../../scripts/hospital-normalize.js';
+
+// Same steps as readLegacyRows + the main loop of scripts/import-hospitals.js:
+// `lat`/`lng` hold EPSG:5181 X/Y and there is no address
+const normalizeLegacyRow = (row) => {
+    const { lat, lng } = projectToWgs84(row.lat, row.lng);
+    const region = regionFromLocation(lat, lng);
+    return { region, phone: normalizePhone(row.phone, region) };
+};
+
+describe('legacy rows', () => {
+    test('local numbers get the area code of the metropolitan city they are in', () => {
+        assert.deepEqual(
+            normalizeLegacyRow({ phone: '571-9114', name: '일곡동물병원', lat: 190562.9092, lng: 189333.0171 }),
+            { region: '광주', phone: '062-571-9114' },
+        );
+        assert.deepEqual(
+            normalizeLegacyRow({ phone: '325-7579', name: '강동물병원', lat: 339729.1289, lng: 272059.6403 }),
+            { region: '대구', phone: '053-325-7579' },
+        );
+    });
+
+    test('local numbers outside the metropolitan cities are left without an area code', () => {
+        assert.deepEqual(
+            normalizeLegacyRow({ phone: '792-0081', name: '한강동물병원', lat: 265884.5465, lng: 162792.5969 }),
+            { region: null, phone: '792-0081' },
+        );
+    });
+
+    test('"062)" style prefixes', () => {
+        assert.equal(normalizeLegacyRow({ phone: '062) 419-7582', name: '빛고을동물의료센터', lat: 192695.3842, lng: 186661.031 }).phone, '062-419-7582');
+        assert.equal(normalizeLegacyRow({ phone: '062)571-1275', name: '마음동물병원', lat: 187289.8266, lng: 189707.5239 }).phone, '062-571-1275');
+        assert.equal(normalizeLegacyRow({ phone: '031)536-8388', name: '한강동물병원', lat: 218159.4447, lng: 488426.9983 }).phone, '031-536-8388');
+    });
+
+    test('missing phone', () => {
+        assert.deepEqual(
+            normalizeLegacyRow({ phone: '', name: '마음동물병원', lat: 202376.7147, lng: 441157.6467 }),
+            { region: '서울', phone: '' },
+        );
+        assert.equal(normalizePhone(undefined, '서울'), '');
+    });
+
+    test('missing region keeps full numbers as they are', () => {
+        assert.deepEqual(
+            normalizeLegacyRow({ phone: '031-941-2422', name: '고려동물병원', lat: 179569.7244, lng: 472580.2658 }),
+            { region: null, phone: '031-941-2422' },
+        );
+        assert.equal(normalizePhone('070-4647-2999', null), '070-4647-2999');
+    });
+
+    test('nationwide 15xx/16xx/18xx numbers never get an area code', () => {
+        assert.equal(normalizeLegacyRow({ phone: '1577-9291', name: '고려동물병원', lat: 218899.0992, lng: 449383.5555 }).phone, '1577-9291');
+        assert.equal(normalizeLegacyRow({ phone: '1666-7501', name: '탑케어동물의료원', lat: 185013.7034, lng: 458778.5228 }).phone, '1666-7501');
+        assert.equal(normalizeLegacyRow({ phone: '1833-3339', name: '24시 고덕동물의료센터', lat: 203929.1042, lng: 394024.0316 }).phone, '1833-3339');
+    });
+
+    test('050x personal numbers keep their four-digit prefix', () => {
+        assert.equal(normalizeLegacyRow({ phone: '0505-315-1234', name: '야탑서울동물병원', lat: 212139.1792, lng: 434331.3753 }).phone, '0505-315-1234');
+        assert.equal(normalizePhone('0507-1375-5852', '서울'), '0507-1375-5852');
+    });
+
+    test('only the first of several numbers is kept', () => {
+        assert.equal(normalizePhone('031-425-7588,7580', '경기'), '031-425-7588');
+        assert.equal(normalizePhone('742-4287,8', '대전'), '042-742-4287');
+        assert.equal(normalizePhone('582-3363,562-1729', '대구'), '053-582-3363');
+    });
+});
+
+describe('regions', () => {
+    test('from addresses in long and short form', () => {
+        assert.equal(regionFromAddress('전라남도 순천시 중앙로 1'), '전남');
+        assert.equal(regionFromAddress('광주광역시 북구 일곡동'), '광주');
+        // 경기도 광주시 is not 광주광역시
+        assert.equal(regionFromAddress('경기도 광주시 오포읍'), '경기');
+        assert.equal(regionFromAddress(''), null);
+    });
+});
+
+describe('flags', () => {
+    test('24-hour and house-call clinics from the name', () => {
+        assert.equal(flagsFromName('24시 고덕동물의료센터'), HOSPITAL_FLAGS.OPEN_24H);
+        assert.equal(flagsFromName('양하무역산업동물병원(출장전문)'), HOSPITAL_FLAGS.HOUSE_CALL);
+        assert.equal(flagsFromName('일곡동물병원'), 0);
+    });
+});
+
+describe('parseCsv', () => {
+    test('quoted fields, escaped quotes and CRLF', () => {
+        const rows = parseCsv('사업장명,소재지전화\r\n"고려동물병원, 본점","02-""1"""\r\n\r\n일곡동물병원,571-9114\r\n');
+        assert.deepEqual(rows, [
+            { 사업장명: '고려동물병원, 본점', 소재지전화: '02-"1"' },
+            { 사업장명: '일곡동물병원', 소재지전화: '571-9114' },
+        ]);
+    });
+});
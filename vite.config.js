@@ -4,6 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vitejs.dev/config/
 export default defineConfig({
     plugins: [react()],
+    // The embedding worker is an ES module (src/embedding.worker.js)
+    worker: {
+        format: 'es'
+    },
     server: {
         allowedHosts: true // 모든 호스트를 허용하여 터널링 에러를 해결합니다.
     }